@@ -63,7 +63,8 @@ const nodeConfig = {
   },
   plugins: [
     alias({
-      './urlhandlers/mock_node_url_handler': './urlhandlers/node_url_handler'
+      './urlhandlers/mock_node_url_handler': './urlhandlers/node_url_handler',
+      './transports/mock_node_transport': './transports/node_transport'
     }),
     resolve({
       preferBuiltins: true
@@ -10,7 +10,17 @@ export class Ad {
     this.survey = null;
     this.errorURLTemplates = [];
     this.impressionURLTemplates = [];
+    // The VAST 4 ViewableImpression urls, called with the outcome of the viewability measurement
+    this.viewableImpression = {
+      id: null,
+      viewableURLTemplates: [],
+      notViewableURLTemplates: [],
+      viewUndeterminedURLTemplates: []
+    };
     this.creatives = [];
     this.extensions = [];
+    this.adVerifications = [];
+    // The hops the ad went through, from the root VAST to its InLine
+    this.wrapperChain = [];
   }
 }
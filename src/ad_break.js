@@ -0,0 +1,11 @@
+export class AdBreak {
+  constructor() {
+    this.timeOffset = null;
+    this.offset = null;
+    this.breakType = null;
+    this.breakId = null;
+    this.repeatAfter = null;
+    this.adSource = null;
+    this.trackingEvents = {};
+  }
+}
@@ -8,6 +8,46 @@
 
 import { EventEmitter } from 'events';
 
+export interface VastSeekPolicy {
+    /**
+     * Whether the forward jumps of the playhead are detected as seeks, the quartiles and progress offsets
+     * being then credited only for the time actually played (default false)
+     */
+    detectSeeks: boolean;
+    /**
+     * The largest forward jump in seconds between two progress updates which isn't a seek (default 2)
+     */
+    seekThreshold: number;
+}
+
+export interface VastAvocMetrics {
+    /**
+     * The time in seconds played audible
+     */
+    timeAudible: number;
+    /**
+     * The time in seconds played visible, null if the viewability has never been measured
+     */
+    timeVisible: number | null;
+    /**
+     * The time in seconds played both audible and visible
+     */
+    timeAudibleAndVisible: number | null;
+    /**
+     * Whether the ad was audible and visible at each quartile, null for the ones not reached
+     */
+    quartiles: {
+        firstQuartile: boolean | null,
+        midpoint: boolean | null,
+        thirdQuartile: boolean | null,
+        complete: boolean | null,
+    };
+    /**
+     * Whether the ad was completed while audible and visible, null before the ad ends
+     */
+    audibleAndVisibleOnCompletion: boolean | null;
+}
+
 export class VASTTracker extends EventEmitter {
     /**
      * The VAST tracker constructor will process the tracking URLs of the selected ad/creative and returns an instance of VASTTracker.
@@ -30,6 +70,33 @@ export class VASTTracker extends EventEmitter {
          */
         variation?: VastCreativeCompanion | VastCreativeNonLinear,
     );
+    /**
+     * The macros replaced in the tracked urls, inheriting the ones of the client.
+     */
+    macros: MacroRegistry;
+    /**
+     * The transport of the tracking calls, the one of the client by default.
+     * The results of the calls are emitted as tracking-success and tracking-failure events.
+     */
+    trackingTransport: TrackingTransport;
+    /**
+     * The recorder of the tracking calls, the one of the client by default.
+     */
+    trackingRecorder: TrackingRecorder | null;
+    /**
+     * The media element the tracker is attached to.
+     */
+    mediaElement: HTMLMediaElement | null;
+    /**
+     * Attaches the tracker to the media element playing the ad, so that the playback is tracked from its events.
+     * The media errors are reported with the matching VAST error code.
+     * If the ad has no duration, the one of the media is used once its metadata is loaded.
+     */
+    attachMediaElement(mediaElement: HTMLMediaElement): void;
+    /**
+     * Detaches the tracker from its media element, removing all the listeners it added.
+     */
+    detach(): void;
     /**
      * Sets the duration of the ad and updates the quartiles based on that.
      */
@@ -44,6 +111,33 @@ export class VASTTracker extends EventEmitter {
          */
         progress: number
     ): void;
+    /**
+     * The outcome of the viewability measurement once tracked: viewable, notViewable or viewUndetermined.
+     */
+    viewabilityOutcome: 'viewable' | 'notViewable' | 'viewUndetermined' | null;
+    /**
+     * Returns the audibility and visibility metrics of the playback of a linear ad.
+     */
+    getAvocMetrics(): VastAvocMetrics;
+    /**
+     * Sets the share of the pixels of the ad in view, between 0 and 100, to measure its viewability.
+     * The ad is viewable once 50% of its pixels have been in view for 2 continuous seconds of playback for a linear ad,
+     * or 1 continuous second otherwise. A single outcome is tracked with the ViewableImpression urls.
+     */
+    setViewability(percentInView: number): void;
+    /**
+     * Measures the viewability of the ad with an IntersectionObserver on the given element, until the ad ends.
+     * Returns false when the IntersectionObserver API isn't supported.
+     */
+    observeViewability(element: Element): boolean;
+    /**
+     * Sets whether the ad started without any user interaction, reported in the [PLAYERSTATE] macro.
+     */
+    setAutoplayed(autoplayed: boolean): void;
+    /**
+     * Sets the playhead in seconds of the content the ad is played within, reported in the [MEDIAPLAYHEAD] and [CONTENTPLAYHEAD] macros.
+     */
+    setContentPlayhead(playhead: number): void;
     /**
      * Update the mute state and call the mute/unmute tracking URLs. Emit a mute or unmute event.
      */
@@ -80,6 +174,28 @@ export class VASTTracker extends EventEmitter {
          */
         expanded: boolean,
     ): void;
+    /**
+     * The policy of the crediting of the progress events.
+     */
+    seekPolicy: VastSeekPolicy;
+    /**
+     * The segments of the ad played without seeking, when the seeks are detected.
+     */
+    watchedSegments: Array<{ start: number, end: number }>;
+    /**
+     * Sets the policy of the crediting of the progress events, merged with the default one.
+     * When the seeks are detected, the quartiles and progress offsets are credited for the time actually played,
+     * and a seek event is emitted for each forward jump.
+     */
+    setSeekPolicy(policy: Partial<VastSeekPolicy>): void;
+    /**
+     * Returns the names of the progress-[offset] events not tracked yet whose offset has been reached, sorted by offset.
+     */
+    getReachedProgressEvents(progress: number): string[];
+    /**
+     * Returns the time in seconds of the ad played without seeking.
+     */
+    getWatchedTime(): number;
     /**
      * Must be called if you want to overwrite the <Linear> Skipoffset value. This will init the skip countdown duration.
      * Then, every time you call setProgress(), it will decrease the countdown and emit a skip-countdown event with the remaining time.
@@ -128,6 +244,15 @@ export class VASTTracker extends EventEmitter {
      * Emit a clickthrough event with the resolved clickThrough URL when done.
      */
     click(): void;
+    /**
+     * Returns the values of the macros of the urls called by the tracker: the playback macros derived from its state,
+     * overridden by the ones of its registry, themselves overridden by the given variables.
+     */
+    getMacroValues(variables?: { [name: string]: any }): { [name: string]: any };
+    /**
+     * Formats the progress of the ad as HH:MM:SS.mmm.
+     */
+    progressFormatted(): string;
     /**
      * Calls the tracking URLs for the given eventName and emits the event.
      */
@@ -164,6 +289,18 @@ export class VASTClient {
     cappingFreeLunch: number;
     cappingMinimumTimeInterval: number;
     storage: VASTClientCustomStorage | Storage;
+    /**
+     * The macros of the player, replaced in the tracked error urls and in the urls of the trackers of the client.
+     */
+    macros: MacroRegistry;
+    /**
+     * The transport of the tracking calls, shared with the parser and used by default by the trackers of the client.
+     */
+    trackingTransport: TrackingTransport;
+    /**
+     * The recorder of the tracking calls, shared with the parser and used by default by the trackers of the client.
+     */
+    trackingRecorder: TrackingRecorder | null;
     /**
      * Fetch a URL and parse the response into a valid VAST object.
      *
@@ -172,13 +309,41 @@ export class VASTClient {
      */
     get(url: string, options?: VastRequestOptions): Promise<VastResponse>;
     /**
-     * Returns a boolean indicating if there are more ads to resolve for the current parsing.
+     * Tries the given ad tags in order until one of them returns a playable ad.
+     * The capping rules apply to the whole waterfall.
+     *
+     * @param tags The ad tags, as urls or objects with a url and a timeout for their tier.
+     * @param options The request options, the deadline being the one of the whole waterfall.
      */
-    hasRemainingAds(): boolean;
+    getWaterfall(
+        tags: Array<string | { url: string, timeout?: number }>,
+        options?: VastRequestOptions & {
+            tierTimeout?: number,
+            isPlayable?: (response: VastResponse) => boolean,
+        },
+    ): Promise<VastResponse & { waterfall: VastWaterfallTier[] }>;
+    /**
+     * Requests the given ad tags at the same time and selects the response with the highest price.
+     * The capping rules apply to the whole auction.
+     *
+     * @param tags The urls of the ad tags.
+     * @param options The request options, with the floor and the conversion rates of the auction.
+     */
+    getAuction(
+        tags: string[],
+        options?: VastRequestOptions & {
+            floor?: number,
+            rateTable?: VastAuctionRateTable,
+        },
+    ): Promise<VastResponse & { auction: VastAuctionReport }>;
+    /**
+     * Returns a boolean indicating if there are more ads to resolve for the given parsing session, the last started one by default.
+     */
+    hasRemainingAds(session?: ParsingSession): boolean;
     /**
      * Resolves the next group of ads. If all is true resolves all the remaining ads.
      */
-    getNextAds(all?: boolean): Promise<VastResponse>;
+    getNextAds(all?: boolean, options?: { session?: ParsingSession, signal?: AbortSignal }): Promise<VastResponse>;
     /**
      * Returns the instance of VASTParser used by the client to parse the VAST.
      * Use it to directly call a method provided by the VASTParser class.
@@ -187,10 +352,34 @@ export class VASTClient {
 }
 
 export class VASTParser extends EventEmitter {
+    /**
+     * The parsing session of the last started parsing.
+     */
+    session: ParsingSession;
     /**
      * util method for handling urls, it is used to make the requests.
      */
-    urlHandler: VASTClientUrlHandler;
+    readonly urlHandler: VASTClientUrlHandler;
+    /**
+     * The remaining ads of the last started parsing.
+     */
+    readonly remainingAds: VastAd[][];
+    /**
+     * A cache in front of the URLHandler, null by default.
+     */
+    responseCache: ResponseCache | null;
+    /**
+     * The macros replaced in the tracked error urls, the ones of the client for its parser.
+     */
+    macros: MacroRegistry;
+    /**
+     * The transport of the tracked error urls.
+     */
+    trackingTransport: TrackingTransport;
+    /**
+     * The recorder of the tracked error urls.
+     */
+    trackingRecorder: TrackingRecorder | null;
     /**
      * Add the replace function at the end of the URLTemplateFilters array.
      * All functions in URLTemplateFilters will be called with the VAST URL as parameter before fetching the VAST URL document.
@@ -235,8 +424,20 @@ export class VASTParser extends EventEmitter {
         /**
          * url of original wrapper
          */
-        originalUrl?: string
+        originalUrl?: string,
+        /**
+         * A signal to abort the request, the signal of the session by default
+         */
+        signal?: AbortSignal,
+        /**
+         * The parsing session of the request, the last started one by default
+         */
+        session?: ParsingSession
     ): Promise<Document>;
+    /**
+     * Resolves the next group of ads of the given session. If all is true resolves all the remaining ads.
+     */
+    getRemainingAds(all?: boolean, options?: { session?: ParsingSession, signal?: AbortSignal }): Promise<VastResponse>;
     /**
      * Fetches and parses a VAST for the given url.
      * Returns a Promise which resolves with a fully parsed VASTResponse or rejects with an Error.
@@ -265,6 +466,317 @@ export class VASTParser extends EventEmitter {
          */
         options?: VastRequestOptions,
     ): Promise<VastResponse>;
+    /**
+     * Checks the given xml Object against the VAST specification.
+     * Returns the diagnostics, empty if the document is valid.
+     */
+    validate(
+        /**
+         * A VAST XML document
+         */
+        vastXml: Document,
+        /**
+         * The VAST version to check against, the version of the document by default.
+         */
+        options?: { version?: string },
+    ): VastDiagnostic[];
+}
+
+export interface TrackingTransport {
+    /**
+     * Calls the url, then calls cb with an Error or null.
+     */
+    send(url: string, options: { timeout?: number, withCredentials?: boolean }, cb: (error: Error | null) => void): void;
+}
+
+/**
+ * The built-in tracking transports.
+ */
+export const trackingTransports: {
+    image: TrackingTransport,
+    beacon: TrackingTransport,
+    fetch: TrackingTransport,
+    node: TrackingTransport,
+};
+
+export class TrackingQueue implements TrackingTransport {
+    constructor(options?: {
+        /**
+         * The transport of the calls, the default one if not provided
+         */
+        transport?: TrackingTransport,
+        /**
+         * The storage of the queue, the default Storage if not provided
+         */
+        storage?: VASTClientCustomStorage,
+        /**
+         * The key of the queue in the storage
+         */
+        storageKey?: string,
+        /**
+         * The time in ms after which a url which could not be sent is dropped (default 24 hours)
+         */
+        maxAge?: number,
+        /**
+         * The delay in ms before the first retry of a failed call (default 1000)
+         */
+        baseDelay?: number,
+        /**
+         * The maximum delay in ms between two attempts (default 5 minutes)
+         */
+        maxDelay?: number,
+        /**
+         * The time in ms after which a call still in flight is considered interrupted (default 1 minute)
+         */
+        leaseDuration?: number,
+    });
+    /**
+     * Queues the url, cb is called once it has been sent or dropped.
+     */
+    send(url: string, options: object, cb?: (error: Error | null) => void): void;
+    /**
+     * Sends the urls which are due, or all of them when force is true.
+     */
+    flush(force?: boolean): void;
+    /**
+     * Returns the urls waiting to be sent, a url being listed once per pending call.
+     */
+    getPendingURLs(): string[];
+    /**
+     * Stops the retries, the pending urls are kept in the storage.
+     */
+    stop(): void;
+}
+
+export interface TrackingRecord {
+    /**
+     * The name of the tracked event, e.g. impression, start, clickTracking, error or breakStart
+     */
+    event: string | null;
+    /**
+     * The url template, before the replacement of the macros
+     */
+    template: string;
+    /**
+     * The called url
+     */
+    url: string;
+    /**
+     * The values of the macros
+     */
+    variables: VastMacroValues;
+    /**
+     * The time of the call in ms
+     */
+    timestamp: number;
+    /**
+     * VASTTracker, VASTParser or VMAPParser
+     */
+    source: string | null;
+    /**
+     * False in dry-run mode
+     */
+    sent: boolean;
+}
+
+export class TrackingRecorder {
+    constructor(options?: {
+        /**
+         * Whether the recorded calls must not be sent (default false)
+         */
+        dryRun?: boolean,
+    });
+    dryRun: boolean;
+    /**
+     * Returns the recorded calls, only the ones of the given event if provided.
+     */
+    getEntries(event?: string): TrackingRecord[];
+    /**
+     * Removes all the recorded calls.
+     */
+    clear(): void;
+    toJSON(): TrackingRecord[];
+    /**
+     * Returns the recorded calls as a JSON string.
+     */
+    export(space?: number): string;
+}
+
+export class MacroRegistry {
+    constructor(
+        /**
+         * The initial values of the macros, indexed by name.
+         */
+        values?: VastMacroValues,
+        /**
+         * An optional registry to inherit the values from.
+         */
+        parent?: MacroRegistry | null,
+    );
+    values: VastMacroValues;
+    parent: MacroRegistry | null;
+    /**
+     * Sets the value of a macro, or of several macros when an object is given.
+     * A function value is called each time the macro is replaced.
+     */
+    set(name: string | VastMacroValues, value?: VastMacroValue): MacroRegistry;
+    /**
+     * Withholds the value of the given macros, which are then replaced by -2.
+     */
+    withhold(...names: string[]): MacroRegistry;
+    /**
+     * Removes the value of a macro.
+     */
+    remove(name: string): MacroRegistry;
+    /**
+     * Returns true if a value is registered for the given macro, in this registry or its parent.
+     */
+    has(name: string): boolean;
+    /**
+     * Returns the current values of all the registered macros, the missing ones being unknown (-1).
+     */
+    getValues(): { [name: string]: any };
+}
+
+export type VastMacroValue = string | number | boolean | Date | Array<string | number> | null | undefined | ((name: string) => any);
+
+export interface VastMacroValues {
+    [name: string]: VastMacroValue;
+}
+
+export class ResponseCache {
+    constructor(options?: {
+        /**
+         * The time to live in ms of the responses without cache headers or Expires element (default 0, not cached)
+         */
+        defaultTTL?: number,
+        /**
+         * Called with the url of each request, returns false to bypass the cache
+         */
+        shouldCache?: (url: string) => boolean,
+        /**
+         * A key-value store to keep the entries in, in memory by default.
+         * The entries hold the parsed XML documents, the store must keep the objects as they are
+         */
+        store?: { getItem(key: string): any, setItem(key: string, value: any): void, removeItem(key: string): void },
+    });
+    defaultTTL: number;
+    /**
+     * Returns the time to live in ms of a response.
+     */
+    getTTL(xml: XMLDocument, details?: { headers?: { [name: string]: string } }): number;
+    /**
+     * Returns the cached entry of the given url, or null if there isn't any valid one.
+     */
+    getEntry(url: string): { xml: XMLDocument, size: number | null, expiresAt: number } | null;
+    /**
+     * Removes the cached entry of the given url.
+     */
+    remove(url: string): void;
+    /**
+     * Fetches a VAST document through the given URLHandler, unless it's cached or already being fetched.
+     */
+    get(url: string, options: object, urlHandler: VASTClientUrlHandler, cb: typeof UrlHandlerCbType): void;
+}
+
+export class VASTResponse implements VastResponse {
+    ads: VastAd[];
+    errorURLTemplates: string[];
+    version: string | null;
+    /**
+     * The parsing session which produced the response, null for a rehydrated one.
+     */
+    session: ParsingSession | null;
+    /**
+     * Returns a versioned snapshot of the response, made of plain objects only.
+     */
+    toJSON(): VastResponseSnapshot;
+    /**
+     * Rebuilds a VASTResponse and its models from a snapshot created by toJSON.
+     */
+    static fromJSON(snapshot: VastResponseSnapshot | string): VASTResponse;
+}
+
+export class VASTWriter {
+    constructor(options?: { version?: string });
+    /**
+     * Serializes the given VASTResponse into a VAST XML String.
+     */
+    write(vastResponse: VastResponse, options?: { version?: string }): string;
+}
+
+export class VMAPParser {
+    constructor(vastParser?: VASTParser);
+    vastParser: VASTParser;
+    /**
+     * Fetches and parses a VMAP document for the given url.
+     */
+    getAndParseVMAP(url: string, options?: VastRequestOptions): Promise<VmapResponse>;
+    /**
+     * Parses the given xml Object into a VMAPResponse.
+     */
+    parseVMAP(vmapXml: Document, options?: { originalUrl?: string }): Promise<VmapResponse>;
+    /**
+     * Resolves the VAST content of the given ad break.
+     */
+    resolveAdBreak(adBreak: VmapAdBreak, options?: VastRequestOptions): Promise<VastResponse>;
+    /**
+     * Calls the VMAP tracking URLs (breakStart, breakEnd or error) of the given ad break.
+     */
+    trackAdBreakEvent(adBreak: VmapAdBreak, eventName: 'breakStart' | 'breakEnd' | 'error', variables?: { [key: string]: any }): void;
+}
+
+export class VMAPScheduler {
+    constructor(vmapResponse: VmapResponse, contentDuration?: number);
+    contentDuration: number;
+    /**
+     * Resets the scheduling state, every ad break becomes playable again.
+     */
+    reset(): void;
+    /**
+     * Sets the duration of the content, percent offsets can be scheduled from then on.
+     */
+    setContentDuration(duration: number): void;
+    /**
+     * Returns the content time in seconds at which the given ad break is first due.
+     */
+    getAdBreakTime(adBreak: VmapAdBreak): number | null;
+    /**
+     * Returns the time based ad breaks which became due since the previous call.
+     */
+    getAdBreaksToPlay(currentTime: number): VmapAdBreak[];
+    /**
+     * Returns the post-roll ad breaks which haven't been played yet.
+     */
+    getAdBreaksAtEnd(): VmapAdBreak[];
+    /**
+     * Returns the position based ad breaks for the given position which haven't been played yet.
+     */
+    getAdBreaksAtPosition(position: number): VmapAdBreak[];
+}
+
+export interface VmapResponse {
+    adBreaks: VmapAdBreak[];
+    version: string | null;
+}
+
+export interface VmapAdBreak {
+    timeOffset: string | null;
+    offset: { type: 'start' | 'end' | 'percent' | 'position' | 'time', value: number | null } | null;
+    breakType: string | null;
+    breakId: string | null;
+    repeatAfter: number | null;
+    adSource: VmapAdSource | null;
+    trackingEvents: { [key: string]: string[] };
+}
+
+export interface VmapAdSource {
+    id: string | null;
+    allowMultipleAds: boolean | null;
+    followRedirects: boolean | null;
+    vastAdData: { documentElement: Element } | null;
+    adTagURI: string | null;
+    templateType: string | null;
 }
 
 export interface VASTClientCustomStorage {
@@ -273,13 +785,13 @@ export interface VASTClientCustomStorage {
     [key: string]: any | (() => any);
 }
 
-export function UrlHandlerCbType(err: null, xml: XMLDocument): void;
+export function UrlHandlerCbType(err: null, xml: XMLDocument, details?: { size?: number, headers?: { [name: string]: string } }): void;
 export function UrlHandlerCbType(err: Error): void;
 
 export interface VASTClientUrlHandler {
     get(
         url: string,
-        options: { timeout: number, withCredentials: boolean },
+        options: { timeout: number, withCredentials: boolean, signal?: AbortSignal },
         cb: typeof UrlHandlerCbType,
     ): void;
 }
@@ -289,6 +801,26 @@ export interface VastRequestOptions {
      * A custom timeout for the requests (default 0)
      */
     timeout?: number;
+    /**
+     * A total time budget in ms for the whole resolution, the ads resolved when it passes are returned (default 0, no deadline)
+     */
+    deadline?: number;
+    /**
+     * The maximum time in ms for a request to return a Wrapper response (default timeout)
+     */
+    wrapperTimeout?: number;
+    /**
+     * The maximum time in ms for a request to return an InLine response (default timeout)
+     */
+    inlineTimeout?: number;
+    /**
+     * Context variables of the request, expanded in the root and wrapper urls along with the macros of the parser
+     */
+    macros?: VastMacroValues;
+    /**
+     * A retry policy for the failed requests of the root and wrapper urls (default no retry)
+     */
+    retry?: VastRetryPolicy;
     /**
      * A boolean to enable the withCredentials options for the XHR and FLASH URLHandlers (default false)
      */
@@ -305,11 +837,131 @@ export interface VastRequestOptions {
      * Allows you to parse all the ads contained in the VAST or to parse them ad by ad or adPod by adPod (default true)
      */
     resolveAll?: boolean;
+    /**
+     * A signal to abort the request, the Promise then rejects with an Error named AbortError
+     */
+    signal?: AbortSignal;
+    /**
+     * Rejects the documents which violate the VAST specification (default false)
+     */
+    strict?: boolean;
+}
+
+export interface VastRetryPolicy {
+    /**
+     * The maximum number of attempts of a request (default 1, no retry)
+     */
+    maxAttempts?: number;
+    /**
+     * The delay in ms before the first retry (default 100)
+     */
+    baseDelay?: number;
+    /**
+     * The factor applied to the delay after each retry (default 2)
+     */
+    factor?: number;
+    /**
+     * The maximum delay in ms between two attempts (default 2000)
+     */
+    maxDelay?: number;
+    /**
+     * The ratio of the delay which is randomly removed from it, between 0 and 1 (default 0.5)
+     */
+    jitter?: number;
+    /**
+     * Returns false if the failed attempt must not be retried (by default, all errors but an AbortError are retried)
+     */
+    isRetryable?: (error: Error, attempt: number) => boolean;
+}
+
+export interface VastDiagnostic {
+    severity: 'error' | 'warning';
+    /**
+     * The related VAST error code
+     */
+    code: number;
+    /**
+     * The path of the faulty element, e.g. /VAST/Ad[2]/InLine/AdTitle
+     */
+    path: string;
+    message: string;
 }
 
 export interface VastResponse {
     ads: VastAd[];
     errorURLTemplates: string[];
+    version?: string | null;
+    session?: ParsingSession | null;
+    toJSON?(): VastResponseSnapshot;
+}
+
+/**
+ * The state of the resolution of a single VAST request.
+ */
+export interface VastWaterfallTier {
+    url: string;
+    status: 'filled' | 'no-ad' | 'error' | 'timeout' | 'skipped';
+    reason: string | null;
+    duration: number;
+}
+
+export interface VastAuctionRateTable {
+    /**
+     * The currency of the auction, USD by default.
+     */
+    currency?: string;
+    /**
+     * The value in the auction currency of one unit of each other currency.
+     */
+    currencies?: { [currency: string]: number };
+    /**
+     * The CPM equivalent of a price of 1 in each other pricing model.
+     */
+    models?: { [model: string]: number };
+}
+
+export interface VastAuctionReport {
+    price: number | null;
+    currency: string;
+    bids: Array<{
+        url: string,
+        response: VastResponse | null,
+        status: 'won' | 'lost' | 'no-bid' | 'error',
+        price: number | null,
+        reason: string | null,
+        lossCode: number | null,
+    }>;
+}
+
+export interface ParsingSession {
+    rootURL: string;
+    /**
+     * The groups of ads left unresolved when resolveAll is false.
+     */
+    remainingAds: VastAd[][];
+    parentURLs: string[];
+    errorURLTemplates: string[];
+    rootErrorURLTemplates: string[];
+    vastVersion: string | null;
+    urlHandler: VASTClientUrlHandler;
+    /**
+     * The context variables of the request, expanded in the root and wrapper urls.
+     */
+    macros: VastMacroValues;
+    signal: AbortSignal | null;
+    retryPolicy: VastRetryPolicy;
+    hasRemainingAds(): boolean;
+    /**
+     * Returns the delay in ms before retrying a failed attempt, or null if it must not be retried.
+     */
+    getRetryDelay(error: Error, attempt: number): number | null;
+}
+
+export interface VastResponseSnapshot {
+    snapshotVersion: number;
+    ads: VastAd[];
+    errorURLTemplates: string[];
+    version: string | null;
 }
 
 export interface VastError {
@@ -325,6 +977,7 @@ export interface VastError {
     ERRORMESSAGE?: string;
     extensions?: VastAdExtension[];
     system?: VastSystem | string | null;
+    wrapperChain?: VastWrapperChainHop[];
 }
 
 export interface VastCreative {
@@ -368,6 +1021,66 @@ export interface VastAd {
     survey: string | null;
     system: VastSystem | string | null;
     title: string | null;
+    /**
+     * The VAST 4 ViewableImpression urls, the ones of the wrappers coming first.
+     */
+    viewableImpression: VastViewableImpression;
+    adVerifications: VastAdVerification[];
+    /**
+     * The hops the ad went through, from the root VAST to its InLine.
+     */
+    wrapperChain: VastWrapperChainHop[];
+}
+
+export interface VastViewableImpression {
+    id: string | null;
+    viewableURLTemplates: string[];
+    notViewableURLTemplates: string[];
+    viewUndeterminedURLTemplates: string[];
+}
+
+export interface VastWrapperChainHop {
+    /**
+     * The url of the VAST document, null for a parsed one.
+     */
+    url: string | null;
+    depth: number;
+    adSystem: VastSystem | null;
+    adId: string | null;
+    /**
+     * The fetch latency in ms, null for a parsed document.
+     */
+    latency: number | null;
+    /**
+     * The size of the response, when provided by the URLHandler.
+     */
+    responseSize: number | null;
+    impressionURLTemplates: string[];
+    errorURLTemplates: string[];
+    /**
+     * The tracking urls grouped by creative type and event name.
+     */
+    trackingEvents: { [type: string]: VastTrackingEvents };
+}
+
+export interface VastAdVerification {
+    vendor: string | null;
+    javaScriptResources: VastVerificationJavaScriptResource[];
+    executableResources: VastVerificationExecutableResource[];
+    parameters: string | null;
+    trackingEvents: { [key: string]: string[] };
+}
+
+export interface VastVerificationJavaScriptResource {
+    apiFramework: string | null;
+    browserOptional: boolean;
+    url: string;
+}
+
+export interface VastVerificationExecutableResource {
+    apiFramework: string | null;
+    type: string | null;
+    url: string;
 }
 
 export interface VastAdExtension {
@@ -1,5 +1,27 @@
 import { VASTParser } from './parser/vast_parser.js';
+import { VMAPParser } from './parser/vmap_parser.js';
 import { VASTClient } from './vast_client.js';
+import { MacroRegistry } from './util/macro_registry.js';
+import { ResponseCache } from './util/response_cache.js';
+import { TrackingQueue } from './util/tracking_queue.js';
+import { TrackingRecorder } from './util/tracking_recorder.js';
+import { VASTResponse } from './vast_response.js';
 import { VASTTracker } from './vast_tracker.js';
+import { VASTWriter } from './writer/vast_writer.js';
+import { trackingTransports } from './tracking_transport.js';
+import { VMAPScheduler } from './vmap_scheduler.js';
 
-export { VASTClient, VASTParser, VASTTracker };
+export {
+  MacroRegistry,
+  ResponseCache,
+  TrackingQueue,
+  TrackingRecorder,
+  VASTClient,
+  VASTParser,
+  VASTResponse,
+  VASTTracker,
+  VASTWriter,
+  VMAPParser,
+  VMAPScheduler,
+  trackingTransports
+};
@@ -5,6 +5,7 @@ import { parseCreativeCompanion } from './creative_companion_parser';
 import { parseCreativeLinear } from './creative_linear_parser';
 import { parseCreativeNonLinear } from './creative_non_linear_parser';
 import { parserUtils } from './parser_utils';
+import { Verification } from '../verification';
 
 /**
  * This module provides methods to parse a VAST Ad Element.
@@ -59,6 +60,10 @@ function parseInLine(inLineElement) {
         ad.impressionURLTemplates.push(parserUtils.parseNodeText(node));
         break;
 
+      case 'ViewableImpression':
+        parseViewableImpression(ad.viewableImpression, node);
+        break;
+
       case 'Creatives':
         parserUtils
           .childrenByName(node, 'Creative')
@@ -108,10 +113,33 @@ function parseInLine(inLineElement) {
           });
         break;
 
-      case 'Extensions':
-        parseExtensions(
-          ad.extensions,
-          parserUtils.childrenByName(node, 'Extension')
+      case 'Extensions': {
+        const extNodes = parserUtils.childrenByName(node, 'Extension');
+        parseExtensions(ad.extensions, extNodes);
+
+        // VAST 3 convention: verifications are wrapped in an AdVerifications Extension
+        extNodes
+          .filter(extNode => extNode.getAttribute('type') === 'AdVerifications')
+          .forEach(extNode => {
+            parserUtils
+              .childrenByName(extNode, 'AdVerifications')
+              .forEach(adVerificationsNode => {
+                parseAdVerifications(
+                  ad.adVerifications,
+                  parserUtils.childrenByName(
+                    adVerificationsNode,
+                    'Verification'
+                  )
+                );
+              });
+          });
+        break;
+      }
+
+      case 'AdVerifications':
+        parseAdVerifications(
+          ad.adVerifications,
+          parserUtils.childrenByName(node, 'Verification')
         );
         break;
 
@@ -151,6 +179,34 @@ function parseInLine(inLineElement) {
   return ad;
 }
 
+/**
+ * Parses a ViewableImpression element into the given viewableImpression of an ad.
+ * @param  {Object} viewableImpression - The viewableImpression of the ad to fill.
+ * @param  {Object} viewableImpressionElement - The VAST ViewableImpression element to parse.
+ * @return {void}
+ */
+function parseViewableImpression(
+  viewableImpression,
+  viewableImpressionElement
+) {
+  viewableImpression.id = viewableImpressionElement.getAttribute('id') || null;
+
+  [
+    ['Viewable', 'viewableURLTemplates'],
+    ['NotViewable', 'notViewableURLTemplates'],
+    ['ViewUndetermined', 'viewUndeterminedURLTemplates']
+  ].forEach(([nodeName, property]) => {
+    parserUtils
+      .childrenByName(viewableImpressionElement, nodeName)
+      .forEach(node => {
+        const URLTemplate = parserUtils.parseNodeText(node);
+        if (URLTemplate) {
+          viewableImpression[property].push(URLTemplate);
+        }
+      });
+  });
+}
+
 /**
  * Parses a Wrapper element without resolving the wrapped urls.
  * @param  {Object} wrapperElement - The VAST Wrapper element to be parsed.
@@ -163,6 +219,17 @@ function parseWrapper(wrapperElement) {
     'VASTAdTagURI'
   );
 
+  // VAST 3/4 resolution constraints, only enforced when explicitly set
+  ad.followAdditionalWrappers = parseWrapperAttribute(
+    wrapperElement,
+    'followAdditionalWrappers'
+  );
+  ad.allowMultipleAds = parseWrapperAttribute(
+    wrapperElement,
+    'allowMultipleAds'
+  );
+  ad.fallbackOnNoAd = parseWrapperAttribute(wrapperElement, 'fallbackOnNoAd');
+
   if (wrapperURLElement) {
     ad.nextWrapperURL = parserUtils.parseNodeText(wrapperURLElement);
   } else {
@@ -230,6 +297,21 @@ function parseWrapper(wrapperElement) {
   }
 }
 
+/**
+ * Parses a boolean attribute of a Wrapper element.
+ * @param  {Object} wrapperElement - The VAST Wrapper element.
+ * @param  {String} attributeName - The name of the attribute.
+ * @return {Boolean|null} The value of the attribute, or null if it is not set.
+ */
+function parseWrapperAttribute(wrapperElement, attributeName) {
+  const attributeValue = wrapperElement.getAttribute(attributeName);
+
+  if (!attributeValue) {
+    return null;
+  }
+  return parserUtils.parseBoolean(attributeValue);
+}
+
 /**
  * Parses an array of Extension elements.
  * @param  {Array} collection - The array used to store the parsed extensions.
@@ -280,6 +362,67 @@ function parseExtensions(collection, extensions) {
   });
 }
 
+/**
+ * Parses an array of Verification elements.
+ * @param  {Array} collection - The array used to store the parsed verifications.
+ * @param  {Array} verifications - The array of Verification elements to parse.
+ */
+function parseAdVerifications(collection, verifications) {
+  verifications.forEach(verificationNode => {
+    const verification = new Verification();
+    verification.vendor = verificationNode.getAttribute('vendor') || null;
+
+    parserUtils
+      .childrenByName(verificationNode, 'JavaScriptResource')
+      .forEach(resourceNode => {
+        verification.javaScriptResources.push({
+          apiFramework: resourceNode.getAttribute('apiFramework') || null,
+          browserOptional: parserUtils.parseBoolean(
+            resourceNode.getAttribute('browserOptional')
+          ),
+          url: parserUtils.parseNodeText(resourceNode)
+        });
+      });
+
+    parserUtils
+      .childrenByName(verificationNode, 'ExecutableResource')
+      .forEach(resourceNode => {
+        verification.executableResources.push({
+          apiFramework: resourceNode.getAttribute('apiFramework') || null,
+          type: resourceNode.getAttribute('type') || null,
+          url: parserUtils.parseNodeText(resourceNode)
+        });
+      });
+
+    const parametersNode = parserUtils.childByName(
+      verificationNode,
+      'VerificationParameters'
+    );
+    if (parametersNode) {
+      verification.parameters = parserUtils.parseNodeText(parametersNode);
+    }
+
+    parserUtils
+      .childrenByName(verificationNode, 'TrackingEvents')
+      .forEach(trackingEventsNode => {
+        parserUtils
+          .childrenByName(trackingEventsNode, 'Tracking')
+          .forEach(trackingNode => {
+            const eventName = trackingNode.getAttribute('event');
+            const trackingURLTemplate = parserUtils.parseNodeText(trackingNode);
+            if (eventName && trackingURLTemplate) {
+              if (!Array.isArray(verification.trackingEvents[eventName])) {
+                verification.trackingEvents[eventName] = [];
+              }
+              verification.trackingEvents[eventName].push(trackingURLTemplate);
+            }
+          });
+      });
+
+    collection.push(verification);
+  });
+}
+
 /**
  * Parses the creative adId Attribute.
  * @param  {any} creativeElement - The creative element to retrieve the adId from.
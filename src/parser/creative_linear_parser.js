@@ -89,9 +89,10 @@ export function parseCreativeLinear(creativeElement, creativeAttributes) {
               if (offset.charAt(offset.length - 1) === '%') {
                 eventName = `progress-${offset}`;
               } else {
+                // The offsets are indexed in seconds, with a millisecond precision
                 eventName = `progress-${Math.round(
-                  parserUtils.parseDuration(offset)
-                )}`;
+                  parserUtils.parseDuration(offset) * 1000
+                ) / 1000}`;
               }
             }
 
@@ -172,6 +172,58 @@ function splitVAST(ads) {
   return splittedVAST;
 }
 
+/**
+ * Describes the hop of a wrapper chain at which the given ad has been parsed,
+ * with the tracking, impression and error urls it contributes.
+ * @param  {Ad} ad - The ad parsed at this hop, before being merged with its wrappers.
+ * @param  {Object} hop - The data of the hop.
+ * @param  {String} hop.url - The url of the VAST document.
+ * @param  {Number} hop.depth - The depth of the document in the wrapper chain.
+ * @param  {Number} hop.latency - The fetch latency of the document in ms, null if it wasn't fetched.
+ * @param  {Number} hop.size - The size of the document, null if unknown.
+ * @param  {Array} hop.errorURLTemplates - The document level error url templates.
+ * @return {Object}
+ */
+function buildWrapperChainHop(
+  ad,
+  { url, depth, latency, size, errorURLTemplates }
+) {
+  // Wrappers group their tracking events by creative type, do the same for inline ads
+  const trackingEvents = {};
+  const addTrackingEvents = (type, events) => {
+    trackingEvents[type] = trackingEvents[type] || {};
+    for (const eventName in events) {
+      trackingEvents[type][eventName] = (
+        trackingEvents[type][eventName] || []
+      ).concat(events[eventName]);
+    }
+  };
+
+  if (ad.trackingEvents) {
+    for (const type in ad.trackingEvents) {
+      addTrackingEvents(type, ad.trackingEvents[type]);
+    }
+  } else {
+    ad.creatives.forEach(creative => {
+      if (creative.trackingEvents) {
+        addTrackingEvents(creative.type, creative.trackingEvents);
+      }
+    });
+  }
+
+  return {
+    url,
+    depth,
+    adSystem: ad.system ? Object.assign({}, ad.system) : null,
+    adId: ad.id,
+    latency,
+    responseSize: size,
+    impressionURLTemplates: ad.impressionURLTemplates.slice(),
+    errorURLTemplates: errorURLTemplates.concat(ad.errorURLTemplates),
+    trackingEvents
+  };
+}
+
 /**
  * Merges the data between an unwrapped ad and his wrapper.
  * @param  {Ad} unwrappedAd - The 'unwrapped' Ad.
@@ -179,13 +231,28 @@ function splitVAST(ads) {
  * @return {void}
  */
 function mergeWrapperAdData(unwrappedAd, wrapper) {
+  unwrappedAd.wrapperChain = wrapper.wrapperChain.concat(
+    unwrappedAd.wrapperChain
+  );
   unwrappedAd.errorURLTemplates = wrapper.errorURLTemplates.concat(
     unwrappedAd.errorURLTemplates
   );
   unwrappedAd.impressionURLTemplates = wrapper.impressionURLTemplates.concat(
     unwrappedAd.impressionURLTemplates
   );
+  [
+    'viewableURLTemplates',
+    'notViewableURLTemplates',
+    'viewUndeterminedURLTemplates'
+  ].forEach(property => {
+    unwrappedAd.viewableImpression[property] = wrapper.viewableImpression[
+      property
+    ].concat(unwrappedAd.viewableImpression[property]);
+  });
   unwrappedAd.extensions = wrapper.extensions.concat(unwrappedAd.extensions);
+  unwrappedAd.adVerifications = wrapper.adVerifications.concat(
+    unwrappedAd.adVerifications
+  );
 
   const wrapperCompanions = (wrapper.creatives || []).filter(
     creative => creative && creative.type === 'companion'
@@ -274,5 +341,6 @@ export const parserUtils = {
   copyNodeAttribute,
   parseDuration,
   splitVAST,
+  buildWrapperChainHop,
   mergeWrapperAdData
 };
@@ -0,0 +1,212 @@
+import { urlHandler } from '../url_handler';
+import { util } from '../util/util';
+
+const DEFAULT_MAX_WRAPPER_DEPTH = 10;
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  baseDelay: 100,
+  maxDelay: 2000,
+  factor: 2,
+  jitter: 0.5,
+  isRetryable: error => !util.isAbortError(error)
+};
+
+/**
+ * This class holds the state of the resolution of a single VAST request,
+ * so that a VASTParser can resolve several requests at the same time.
+ * @export
+ * @class ParsingSession
+ */
+export class ParsingSession {
+  /**
+   * Creates an instance of ParsingSession.
+   * @param {Object} options - The options of the parsing sequence.
+   * @constructor
+   */
+  constructor(options = {}) {
+    this.rootURL = '';
+    this.remainingAds = [];
+    this.parentURLs = [];
+    this.errorURLTemplates = [];
+    this.rootErrorURLTemplates = [];
+    this.maxWrapperDepth = options.wrapperLimit || DEFAULT_MAX_WRAPPER_DEPTH;
+    this.fetchingOptions = {
+      timeout: options.timeout,
+      withCredentials: options.withCredentials
+    };
+    this.wrapperTimeout = options.wrapperTimeout || null;
+    this.inlineTimeout = options.inlineTimeout || null;
+    this.deadlineDuration = options.deadline || null;
+    this.startDeadline();
+    this.retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, options.retry);
+
+    // The context variables of the request, replaced in the root and wrapper urls
+    this.macros = options.macros || {};
+    this.urlHandler = options.urlHandler || options.urlhandler || urlHandler;
+    this.vastVersion = null;
+    this.strict = options.strict === true;
+    this.signal = options.signal || null;
+  }
+
+  /**
+   * Returns a boolean indicating if there are more ads to resolve in this session.
+   * @return {Boolean}
+   */
+  hasRemainingAds() {
+    return this.remainingAds.length > 0;
+  }
+
+  /**
+   * Returns a boolean indicating if the signal of the session has been aborted.
+   * @return {Boolean}
+   */
+  isAborted() {
+    return !!(this.signal && this.signal.aborted);
+  }
+
+  /**
+   * Returns an array of errorURLTemplates for the VAST being parsed.
+   * @return {Array}
+   */
+  getErrorURLTemplates() {
+    return this.rootErrorURLTemplates.concat(this.errorURLTemplates);
+  }
+
+  /**
+   * Resolves with the result of the given Promise, or rejects with an AbortError
+   * as soon as the signal of the session is aborted.
+   * @param  {Promise} promise - The Promise to race against the signal.
+   * @return {Promise}
+   */
+  raceAbort(promise) {
+    const signal = this.signal;
+    if (!signal) {
+      return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(util.createAbortError());
+      signal.addEventListener('abort', onAbort);
+
+      promise.then(
+        result => {
+          signal.removeEventListener('abort', onAbort);
+          signal.aborted ? onAbort() : resolve(result);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          signal.aborted ? onAbort() : reject(error);
+        }
+      );
+
+      if (signal.aborted) {
+        onAbort();
+      }
+    });
+  }
+
+  /**
+   * Starts the total time budget of a resolution, if a deadline is defined.
+   * @return {void}
+   */
+  startDeadline() {
+    this.deadline = this.deadlineDuration
+      ? Date.now() + this.deadlineDuration
+      : null;
+  }
+
+  /**
+   * Returns the timeout of the next request, which can either return a wrapper or an inline:
+   * the largest of the hop timeouts (the timeout option standing for an undefined one),
+   * capped by the time left before the deadline.
+   * @return {Number|null} The timeout in ms, or null if none applies.
+   */
+  getRequestTimeout() {
+    const hopTimeouts = [this.wrapperTimeout, this.inlineTimeout].map(
+      hopTimeout => hopTimeout || this.fetchingOptions.timeout
+    );
+    let timeout = hopTimeouts.every(hopTimeout => hopTimeout > 0)
+      ? Math.max(...hopTimeouts)
+      : this.fetchingOptions.timeout;
+
+    if (this.deadline) {
+      const timeLeft = this.deadline - Date.now();
+      timeout = timeout > 0 ? Math.min(timeout, timeLeft) : timeLeft;
+    }
+
+    return typeof timeout === 'number' ? timeout : null;
+  }
+
+  /**
+   * Returns a boolean indicating if the failed requests of the session can be retried.
+   * @return {Boolean}
+   */
+  hasRetryPolicy() {
+    return this.retryPolicy.maxAttempts > 1;
+  }
+
+  /**
+   * Returns the delay in ms before retrying a failed request, or null if it must not be retried:
+   * when the attempts are exhausted, the error isn't retryable or the retry wouldn't start before the deadline.
+   * The delay grows exponentially with the attempts, up to maxDelay, and is reduced by a random jitter.
+   * @param  {Error} error - The error of the failed attempt.
+   * @param  {Number} attempt - The number of the failed attempt, starting at 1.
+   * @return {Number|null}
+   */
+  getRetryDelay(error, attempt) {
+    const {
+      maxAttempts,
+      baseDelay,
+      maxDelay,
+      factor,
+      jitter,
+      isRetryable
+    } = this.retryPolicy;
+    if (attempt >= maxAttempts || !isRetryable(error, attempt)) {
+      return null;
+    }
+
+    const backoff = Math.min(
+      maxDelay,
+      baseDelay * Math.pow(factor, attempt - 1)
+    );
+    const delay = Math.round(backoff * (1 - jitter * Math.random()));
+    if (this.deadline && Date.now() + delay >= this.deadline) {
+      return null;
+    }
+
+    return delay;
+  }
+
+  /**
+   * Resolves with the result of the given Promise, or with the result of
+   * onDeadline if the deadline passes first.
+   * @param  {Promise} promise - The Promise to race against the deadline.
+   * @param  {Function} onDeadline - Called when the deadline passes first.
+   * @return {Promise}
+   */
+  raceDeadline(promise, onDeadline) {
+    if (!this.deadline) {
+      return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => resolve(onDeadline()),
+        Math.max(0, this.deadline - Date.now())
+      );
+
+      promise.then(
+        result => {
+          clearTimeout(timer);
+          resolve(result);
+        },
+        error => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      );
+    });
+  }
+}
@@ -1,14 +1,17 @@
 import { parseAd } from './ad_parser';
 import { EventEmitter } from 'events';
+import { MacroRegistry } from '../util/macro_registry';
 import { parserUtils } from './parser_utils';
-import { urlHandler } from '../url_handler';
+import { ParsingSession } from './parsing_session';
 import { util } from '../util/util';
+import { trackingTransport } from '../tracking_transport';
+import { validateVAST } from './vast_validator';
 import { VASTResponse } from '../vast_response';
 
-const DEFAULT_MAX_WRAPPER_DEPTH = 10;
 const DEFAULT_EVENT_DATA = {
   ERRORCODE: 900,
-  extensions: []
+  extensions: [],
+  wrapperChain: []
 };
 
 /**
@@ -25,13 +28,48 @@ export class VASTParser extends EventEmitter {
   constructor() {
     super();
 
-    this.remainingAds = [];
-    this.parentURLs = [];
-    this.errorURLTemplates = [];
-    this.rootErrorURLTemplates = [];
-    this.maxWrapperDepth = null;
     this.URLTemplateFilters = [];
-    this.fetchingOptions = {};
+    this.responseCache = null;
+    this.macros = new MacroRegistry();
+    this.trackingTransport = trackingTransport;
+    this.trackingRecorder = null;
+    this.session = new ParsingSession();
+  }
+
+  /**
+   * The state of the last started parsing, kept for backward compatibility.
+   * The state of a given parsing is available on its session.
+   */
+  get remainingAds() {
+    return this.session.remainingAds;
+  }
+
+  get parentURLs() {
+    return this.session.parentURLs;
+  }
+
+  get errorURLTemplates() {
+    return this.session.errorURLTemplates;
+  }
+
+  get rootErrorURLTemplates() {
+    return this.session.rootErrorURLTemplates;
+  }
+
+  get maxWrapperDepth() {
+    return this.session.maxWrapperDepth;
+  }
+
+  get fetchingOptions() {
+    return this.session.fetchingOptions;
+  }
+
+  get urlHandler() {
+    return this.session.urlHandler;
+  }
+
+  get vastVersion() {
+    return this.session.vastVersion;
   }
 
   /**
@@ -71,6 +109,8 @@ export class VASTParser extends EventEmitter {
 
   /**
    * Tracks the error provided in the errorCode parameter and emits a VAST-error event for the given error.
+   * The macros of the registry of the parser are replaced in the tracking urls,
+   * which are called through the tracking transport of the parser, and recorded by its recorder if any.
    * @param  {Array} urlTemplates - An Array of url templates to use to make the tracking call.
    * @param  {Object} errorCode - An Object containing the error data.
    * @param  {Object} data - One (or more) Object containing additional data.
@@ -82,15 +122,25 @@ export class VASTParser extends EventEmitter {
       'VAST-error',
       Object.assign({}, DEFAULT_EVENT_DATA, errorCode, ...data)
     );
-    util.track(urlTemplates, errorCode);
+    util.track(
+      urlTemplates,
+      Object.assign(this.macros.getValues(), errorCode),
+      {
+        transport: this.trackingTransport,
+        recorder: this.trackingRecorder,
+        event: 'error',
+        source: 'VASTParser'
+      }
+    );
   }
 
   /**
    * Returns an array of errorURLTemplates for the VAST being parsed.
+   * @param  {ParsingSession} session - The parsing session, the last started one by default.
    * @return {Array}
    */
-  getErrorURLTemplates() {
-    return this.rootErrorURLTemplates.concat(this.errorURLTemplates);
+  getErrorURLTemplates(session = this.session) {
+    return session.getErrorURLTemplates();
   }
 
   /**
@@ -99,81 +149,211 @@ export class VASTParser extends EventEmitter {
    * @param  {String} url - The url to request the VAST document.
    * @param {Number} wrapperDepth - how many times the current url has been wrapped
    * @param {String} originalUrl - url of original wrapper
+   * @param {AbortSignal} signal - A signal to abort the request, the signal of the session by default
+   * @param {ParsingSession} session - The parsing session, the last started one by default
+   * @emits  VASTParser#VAST-resolving
+   * @emits  VASTParser#VAST-resolved
+   * @return {Promise}
+   */
+  fetchVAST(
+    url,
+    wrapperDepth = 0,
+    originalUrl = null,
+    signal = null,
+    session = this.session
+  ) {
+    return this.requestVAST(
+      url,
+      wrapperDepth,
+      originalUrl,
+      signal,
+      session
+    ).then(response => response.xml);
+  }
+
+  /**
+   * Fetches a VAST document for the given url, like fetchVAST.
+   * Returns a Promise which resolves with the fetched xml, the latency of the request in ms
+   * and the size of the response, when the URLHandler provides it.
+   * The macros of the url are expanded with the ones of the parser and of the session.
+   * Failed requests are retried following the retry policy of the session,
+   * the latency being the one of the successful attempt.
+   * @param  {String} url - The url to request the VAST document.
+   * @param {Number} wrapperDepth - how many times the current url has been wrapped
+   * @param {String} originalUrl - url of original wrapper
+   * @param {AbortSignal} signal - A signal to abort the request, the signal of the session by default
+   * @param {ParsingSession} session - The parsing session, the last started one by default
    * @emits  VASTParser#VAST-resolving
    * @emits  VASTParser#VAST-resolved
    * @return {Promise}
    */
-  fetchVAST(url, wrapperDepth = 0, originalUrl = null) {
+  requestVAST(
+    url,
+    wrapperDepth = 0,
+    originalUrl = null,
+    signal = null,
+    session = this.session
+  ) {
     return new Promise((resolve, reject) => {
-      // Process url with defined filter
+      signal = signal || session.signal;
+      if (signal && signal.aborted) {
+        return reject(util.createAbortError());
+      }
+
+      // The wrapper loops are detected on the urls as written in the VAST
+      const parentURL = url;
+
+      // Expand the macros of the url, then process it with defined filter
+      url = util.resolveURLTemplates(
+        [url],
+        Object.assign(this.macros.getValues(), session.macros)
+      )[0];
       this.URLTemplateFilters.forEach(filter => {
         url = filter(url);
       });
 
-      this.parentURLs.push(url);
-      this.emit('VAST-resolving', { url, wrapperDepth, originalUrl });
+      // Each failed attempt can be retried, following the retry policy of the session
+      const attemptRequest = attempt => {
+        const timeout = session.getRequestTimeout();
+        if (session.deadline && timeout <= 0) {
+          return reject(new Error('VAST deadline exceeded'));
+        }
 
-      this.urlHandler.get(url, this.fetchingOptions, (err, xml) => {
-        this.emit('VAST-resolved', { url, error: err, xml, wrapperDepth });
+        if (attempt === 1) {
+          session.parentURLs.push(parentURL);
+        }
+        const resolvingData = { url, wrapperDepth, originalUrl };
+        if (session.hasRetryPolicy()) {
+          resolvingData.attempt = attempt;
+        }
+        this.emit('VAST-resolving', resolvingData);
 
-        if (err) {
-          reject(err);
+        const fetchingOptions = Object.assign({}, session.fetchingOptions, {
+          timeout,
+          signal
+        });
+
+        const requestStart = Date.now();
+        const onResponse = (err, xml, details) => {
+          const resolvedData = { url, error: err, xml, wrapperDepth };
+          if (this.responseCache) {
+            resolvedData.cache = details.cache;
+          }
+          if (session.hasRetryPolicy()) {
+            resolvedData.attempt = attempt;
+          }
+          this.emit('VAST-resolved', resolvedData);
+
+          if (err) {
+            const retryDelay = session.getRetryDelay(err, attempt);
+            if (retryDelay === null) {
+              return reject(err);
+            }
+
+            setTimeout(() => {
+              if (signal && signal.aborted) {
+                reject(util.createAbortError());
+              } else {
+                attemptRequest(attempt + 1);
+              }
+            }, retryDelay);
+          } else {
+            resolve({
+              xml,
+              latency: Date.now() - requestStart,
+              size:
+                details && typeof details.size === 'number'
+                  ? details.size
+                  : null
+            });
+          }
+        };
+
+        if (this.responseCache) {
+          this.responseCache.get(
+            url,
+            fetchingOptions,
+            session.urlHandler,
+            onResponse
+          );
         } else {
-          resolve(xml);
+          session.urlHandler.get(url, fetchingOptions, onResponse);
         }
-      });
+      };
+
+      attemptRequest(1);
     });
   }
 
   /**
-   * Inits the parsing properties of the class with the custom values provided as options.
+   * Starts a new parsing session with the custom values provided as options.
+   * The session becomes the last started one, used by default by the other methods.
    * @param {Object} options - The options to initialize a parsing sequence
+   * @return {ParsingSession}
    */
   initParsingStatus(options = {}) {
-    this.rootURL = '';
-    this.remainingAds = [];
-    this.parentURLs = [];
-    this.errorURLTemplates = [];
-    this.rootErrorURLTemplates = [];
-    this.maxWrapperDepth = options.wrapperLimit || DEFAULT_MAX_WRAPPER_DEPTH;
-    this.fetchingOptions = {
-      timeout: options.timeout,
-      withCredentials: options.withCredentials
-    };
-
-    this.urlHandler = options.urlHandler || options.urlhandler || urlHandler;
-    this.vastVersion = null;
+    this.session = new ParsingSession(options);
+
+    return this.session;
+  }
+
+  /**
+   * Checks the given xml Object against the VAST specification.
+   * Returns an Array of diagnostics, each one with a severity ('error' or 'warning'),
+   * the related VAST error code, the path of the faulty element and a message.
+   * @param  {Object} vastXml - An object representing a VAST xml document.
+   * @param  {Object} options - An optional Object of parameters.
+   * @param  {String} options.version - The VAST version to check against, the version of the document by default.
+   * @return {Array}
+   */
+  validate(vastXml, options = {}) {
+    return validateVAST(vastXml, options);
   }
 
   /**
    * Resolves the next group of ads. If all is true resolves all the remaining ads.
    * @param  {Boolean} all - If true all the remaining ads are resolved
+   * @param  {Object} options - An optional Object of parameters.
+   * @param  {ParsingSession} options.session - The session holding the remaining ads, the last started one by default.
+   * @param  {AbortSignal} options.signal - A signal to abort the resolution, the signal of the initial request by default.
    * @return {Promise}
    */
-  getRemainingAds(all) {
-    if (this.remainingAds.length === 0) {
+  getRemainingAds(all, options = {}) {
+    const session = options.session || this.session;
+
+    if (!session.hasRemainingAds()) {
       return Promise.reject(
         new Error('No more ads are available for the given VAST')
       );
     }
 
     const ads = all
-      ? util.flatten(this.remainingAds)
-      : this.remainingAds.shift();
-    this.errorURLTemplates = [];
-    this.parentURLs = [];
-
-    return this.resolveAds(ads, {
-      wrapperDepth: 0,
-      originalUrl: this.rootURL
-    }).then(resolvedAds => {
-      return this.buildVASTResponse(resolvedAds);
-    });
+      ? util.flatten(session.remainingAds)
+      : session.remainingAds.shift();
+    session.errorURLTemplates = [];
+    session.parentURLs = [];
+    session.startDeadline();
+    if (options.signal) {
+      session.signal = options.signal;
+    }
+
+    return session
+      .raceAbort(
+        this.resolveAds(ads, {
+          wrapperDepth: 0,
+          originalUrl: session.rootURL,
+          session
+        })
+      )
+      .then(resolvedAds => {
+        return this.buildVASTResponse(resolvedAds, session);
+      });
   }
 
   /**
    * Fetches and parses a VAST for the given url.
    * Returns a Promise which resolves with a fully parsed VASTResponse or rejects with an Error.
+   * Each call starts its own parsing session, exposed on the returned response.
    * @param  {String} url - The url to request the VAST document.
    * @param  {Object} options - An optional Object of parameters to be used in the parsing process.
    * @emits  VASTParser#VAST-resolving
@@ -181,22 +361,36 @@ export class VASTParser extends EventEmitter {
    * @return {Promise}
    */
   getAndParseVAST(url, options = {}) {
-    this.initParsingStatus(options);
-    this.rootURL = url;
+    const session = this.initParsingStatus(options);
+    session.rootURL = url;
 
-    return this.fetchVAST(url).then(xml => {
-      options.originalUrl = url;
-      options.isRootVAST = true;
+    const rootRequest = session.raceDeadline(
+      this.requestVAST(url, 0, null, null, session),
+      () => Promise.reject(new Error('VAST deadline exceeded'))
+    );
 
-      return this.parse(xml, options).then(ads => {
-        return this.buildVASTResponse(ads);
+    // Nothing is tracked once the request is aborted
+    return session
+      .raceAbort(
+        rootRequest.then(response => {
+          options.originalUrl = url;
+          options.isRootVAST = true;
+          options.hopDuration = response.latency;
+          options.responseSize = response.size;
+          options.session = session;
+
+          return this.parse(response.xml, options);
+        })
+      )
+      .then(ads => {
+        return this.buildVASTResponse(ads, session);
       });
-    });
   }
 
   /**
    * Parses the given xml Object into a VASTResponse.
    * Returns a Promise which resolves with a fully parsed VASTResponse or rejects with an Error.
+   * Each call starts its own parsing session, exposed on the returned response.
    * @param  {Object} vastXml - An object representing a vast xml document.
    * @param  {Object} options - An optional Object of parameters to be used in the parsing process.
    * @emits  VASTParser#VAST-resolving
@@ -204,25 +398,28 @@ export class VASTParser extends EventEmitter {
    * @return {Promise}
    */
   parseVAST(vastXml, options = {}) {
-    this.initParsingStatus(options);
+    const session = this.initParsingStatus(options);
 
     options.isRootVAST = true;
+    options.session = session;
 
-    return this.parse(vastXml, options).then(ads => {
-      return this.buildVASTResponse(ads);
+    return session.raceAbort(this.parse(vastXml, options)).then(ads => {
+      return this.buildVASTResponse(ads, session);
     });
   }
 
   /**
    * Builds a VASTResponse which can be returned.
    * @param  {Array} ads - An Array of unwrapped ads
+   * @param  {ParsingSession} session - The parsing session, the last started one by default.
    * @return {VASTResponse}
    */
-  buildVASTResponse(ads) {
+  buildVASTResponse(ads, session = this.session) {
     const response = new VASTResponse();
     response.ads = ads;
-    response.errorURLTemplates = this.getErrorURLTemplates();
-    response.version = this.vastVersion;
+    response.errorURLTemplates = session.getErrorURLTemplates();
+    response.version = session.vastVersion;
+    response.session = session;
     this.completeWrapperResolving(response);
 
     return response;
@@ -235,8 +432,37 @@ export class VASTParser extends EventEmitter {
    * @param  {Object} options - An optional Object of parameters to be used in the parsing process.
    * @return {Array}
    * @throws {Error} `vastXml` must be a valid VAST XMLDocument
+   * @emits  VASTParser#VAST-validated
    */
-  parseVastXml(vastXml, { isRootVAST = false }) {
+  parseVastXml(
+    vastXml,
+    {
+      isRootVAST = false,
+      url = null,
+      wrapperDepth = 0,
+      latency = null,
+      size = null,
+      session = this.session
+    }
+  ) {
+    // In strict mode, documents violating the VAST specification are rejected
+    if (session.strict) {
+      const diagnostics = this.validate(vastXml);
+      const errors = diagnostics.filter(
+        diagnostic => diagnostic.severity === 'error'
+      );
+      this.emit('VAST-validated', { url, diagnostics, wrapperDepth });
+
+      if (errors.length > 0) {
+        const error = new Error(
+          `Invalid VAST XMLDocument: ${errors[0].message} (${errors[0].path})`
+        );
+        error.diagnostics = diagnostics;
+        error.vastErrorCode = errors[0].code;
+        throw error;
+      }
+    }
+
     // check if is a valid VAST document
     if (
       !vastXml ||
@@ -247,6 +473,7 @@ export class VASTParser extends EventEmitter {
     }
 
     const ads = [];
+    const documentErrorURLTemplates = [];
     const childNodes = vastXml.documentElement.childNodes;
 
     /* Only parse the version of the Root VAST for now because we don't know yet how to
@@ -254,7 +481,7 @@ export class VASTParser extends EventEmitter {
     */
     if (isRootVAST) {
       const vastVersion = vastXml.documentElement.getAttribute('version');
-      if (vastVersion) this.vastVersion = vastVersion;
+      if (vastVersion) session.vastVersion = vastVersion;
     }
 
     // Fill the VASTResponse object with ads and errorURLTemplates
@@ -263,11 +490,12 @@ export class VASTParser extends EventEmitter {
 
       if (node.nodeName === 'Error') {
         const errorURLTemplate = parserUtils.parseNodeText(node);
+        documentErrorURLTemplates.push(errorURLTemplate);
 
         // Distinguish root VAST url templates from ad specific ones
         isRootVAST
-          ? this.rootErrorURLTemplates.push(errorURLTemplate)
-          : this.errorURLTemplates.push(errorURLTemplate);
+          ? session.rootErrorURLTemplates.push(errorURLTemplate)
+          : session.errorURLTemplates.push(errorURLTemplate);
       }
 
       if (node.nodeName === 'Ad') {
@@ -275,15 +503,29 @@ export class VASTParser extends EventEmitter {
 
         if (ad) {
           ads.push(ad);
-        } else {
+        } else if (!session.isAborted()) {
           // VAST version of response not supported.
-          this.trackVastError(this.getErrorURLTemplates(), {
+          // The errors of an aborted resolution are not relevant anymore
+          this.trackVastError(session.getErrorURLTemplates(), {
             ERRORCODE: 101
           });
         }
       }
     }
 
+    // The wrapper chain of each ad starts with the document it was found in
+    ads.forEach(ad => {
+      ad.wrapperChain = [
+        parserUtils.buildWrapperChainHop(ad, {
+          url,
+          depth: wrapperDepth,
+          latency,
+          size,
+          errorURLTemplates: documentErrorURLTemplates
+        })
+      ];
+    });
+
     return ads;
   }
 
@@ -303,16 +545,73 @@ export class VASTParser extends EventEmitter {
       wrapperSequence = null,
       originalUrl = null,
       wrapperDepth = 0,
-      isRootVAST = false
+      isRootVAST = false,
+      followAdditionalWrappers = null,
+      allowMultipleAds = null,
+      hopDuration = null,
+      responseSize = null,
+      session = this.session
     }
   ) {
     let ads = [];
     try {
-      ads = this.parseVastXml(vastXml, { isRootVAST });
+      ads = this.parseVastXml(vastXml, {
+        isRootVAST,
+        url: originalUrl,
+        wrapperDepth,
+        latency: hopDuration,
+        size: responseSize,
+        session
+      });
     } catch (e) {
       return Promise.reject(e);
     }
 
+    // A hop must answer within the timeout matching the type of its response
+    if (hopDuration !== null) {
+      const isWrapperResponse = ads.some(ad => ad.nextWrapperURL);
+      const hopTimeout = isWrapperResponse
+        ? session.wrapperTimeout
+        : session.inlineTimeout;
+
+      if (hopTimeout && hopDuration > hopTimeout) {
+        const error = new Error(
+          `VAST ${
+            isWrapperResponse ? 'wrapper' : 'inline'
+          } response received after ${hopTimeout}ms`
+        );
+        error.vastErrorCode = 301;
+        return Promise.reject(error);
+      }
+    }
+
+    // The parent wrapper only allows the first stand-alone ad
+    if (allowMultipleAds === false && ads.length > 1) {
+      const standaloneAds = ads.filter(ad => !ad.sequence);
+      if (standaloneAds.length === 0) {
+        // Video player expecting different size Ad Pod
+        const error = new Error(
+          'Ad pod received while the wrapper does not allow multiple ads'
+        );
+        error.vastErrorCode = 203;
+        return Promise.reject(error);
+      }
+      ads = standaloneAds.slice(0, 1);
+    }
+
+    // The parent wrapper forbids following more wrappers
+    if (followAdditionalWrappers === false) {
+      ads.forEach(ad => {
+        if (ad.nextWrapperURL) {
+          // Trafficking error, an unexpected Wrapper was received
+          ad.errorCode = 200;
+          ad.errorMessage =
+            'Wrapper received while the parent wrapper does not allow additional wrappers';
+          delete ad.nextWrapperURL;
+        }
+      });
+    }
+
     const adsCount = ads.length;
     const lastAddedAd = ads[adsCount - 1];
     // if in child nodes we have only one ads
@@ -330,12 +629,12 @@ export class VASTParser extends EventEmitter {
 
     // Split the VAST in case we don't want to resolve everything at the first time
     if (resolveAll === false) {
-      this.remainingAds = parserUtils.splitVAST(ads);
+      session.remainingAds = parserUtils.splitVAST(ads);
       // Remove the first element from the remaining ads array, since we're going to resolve that element
-      ads = this.remainingAds.shift();
+      ads = session.remainingAds.shift();
     }
 
-    return this.resolveAds(ads, { wrapperDepth, originalUrl });
+    return this.resolveAds(ads, { wrapperDepth, originalUrl, session });
   }
 
   /**
@@ -345,29 +644,67 @@ export class VASTParser extends EventEmitter {
    * @param {Object} options - An options Object containing resolving parameters
    * @return {Promise}
    */
-  resolveAds(ads = [], { wrapperDepth, originalUrl }) {
+  resolveAds(ads = [], { wrapperDepth, originalUrl, session = this.session }) {
     const resolveWrappersPromises = [];
 
     ads.forEach(ad => {
       const resolveWrappersPromise = this.resolveWrappers(
         ad,
         wrapperDepth,
-        originalUrl
+        originalUrl,
+        session
       );
 
       resolveWrappersPromises.push(resolveWrappersPromise);
     });
 
     return Promise.all(resolveWrappersPromises).then(unwrappedAds => {
-      const resolvedAds = util.flatten(unwrappedAds);
+      let resolvedAds = util.flatten(unwrappedAds);
 
-      if (!resolvedAds && this.remainingAds.length > 0) {
-        const remainingAdsToResolve = this.remainingAds.shift();
+      if (!resolvedAds && session.hasRemainingAds()) {
+        const remainingAdsToResolve = session.remainingAds.shift();
 
         return this.resolveAds(remainingAdsToResolve, {
           wrapperDepth,
-          originalUrl
+          originalUrl,
+          session
+        });
+      }
+
+      // Only the root ads can fall back on the remaining ads,
+      // and an aborted resolution doesn't fall back at all
+      if (wrapperDepth > 0 || session.isAborted()) {
+        return resolvedAds;
+      }
+
+      // Wrappers with fallbackOnNoAd which returned no ad are replaced by the next remaining ads
+      const noAdWrappers = resolvedAds.filter(
+        ad =>
+          ad.fallbackOnNoAd === true &&
+          (ad.errorCode || ad.creatives.length === 0)
+      );
+      resolvedAds.forEach(ad => delete ad.fallbackOnNoAd);
+
+      if (noAdWrappers.length > 0 && session.hasRemainingAds()) {
+        noAdWrappers.forEach(ad => {
+          this.trackVastError(
+            ad.errorURLTemplates.concat(session.getErrorURLTemplates()),
+            { ERRORCODE: ad.errorCode || 303 },
+            { ERRORMESSAGE: ad.errorMessage || '' },
+            { extensions: ad.extensions },
+            { system: ad.system },
+            { wrapperChain: ad.wrapperChain }
+          );
         });
+        resolvedAds = resolvedAds.filter(ad => noAdWrappers.indexOf(ad) === -1);
+        // The error URLs of the failed wrapper chains don't apply to the fallback ads
+        session.errorURLTemplates = [];
+
+        return this.resolveAds(session.remainingAds.shift(), {
+          wrapperDepth,
+          originalUrl,
+          session
+        }).then(fallbackAds => resolvedAds.concat(fallbackAds));
       }
 
       return resolvedAds;
@@ -380,12 +717,18 @@ export class VASTParser extends EventEmitter {
    * @param  {Ad} ad - An ad to be unwrapped.
    * @param  {Number} wrapperDepth - The reached depth in the wrapper resolving chain.
    * @param  {String} originalUrl - The original vast url.
+   * @param  {ParsingSession} session - The parsing session, the last started one by default.
    * @return {Promise}
    */
-  resolveWrappers(ad, wrapperDepth, originalUrl) {
+  resolveWrappers(ad, wrapperDepth, originalUrl, session = this.session) {
     return new Promise(resolve => {
       // Going one level deeper in the wrapper chain
       wrapperDepth++;
+      // Constraints set by the Wrapper on the VAST response it requests
+      const { followAdditionalWrappers, allowMultipleAds } = ad;
+      delete ad.followAdditionalWrappers;
+      delete ad.allowMultipleAds;
+
       // We already have a resolved VAST ad, no need to resolve wrapper
       if (!ad.nextWrapperURL) {
         delete ad.nextWrapperURL;
@@ -393,8 +736,8 @@ export class VASTParser extends EventEmitter {
       }
 
       if (
-        wrapperDepth >= this.maxWrapperDepth ||
-        this.parentURLs.indexOf(ad.nextWrapperURL) !== -1
+        wrapperDepth >= session.maxWrapperDepth ||
+        session.parentURLs.indexOf(ad.nextWrapperURL) !== -1
       ) {
         // Wrapper limit reached, as defined by the video player.
         // Too many Wrapper responses have been received with no InLine response.
@@ -413,37 +756,60 @@ export class VASTParser extends EventEmitter {
       const wrapperSequence = ad.sequence;
       originalUrl = ad.nextWrapperURL;
 
-      this.fetchVAST(ad.nextWrapperURL, wrapperDepth, originalUrl)
-        .then(xml => {
-          return this.parse(xml, {
+      // Once the deadline has passed, the pending request is a timeout. The outer wrappers
+      // wait for the inner ones, so that the whole chain is merged and its errors tracked.
+      session
+        .raceDeadline(
+          this.requestVAST(
+            ad.nextWrapperURL,
+            wrapperDepth,
+            originalUrl,
+            null,
+            session
+          ),
+          () => Promise.reject(new Error('VAST deadline exceeded'))
+        )
+        .then(response => {
+          return this.parse(response.xml, {
             originalUrl,
             wrapperSequence,
-            wrapperDepth
+            wrapperDepth,
+            followAdditionalWrappers,
+            allowMultipleAds,
+            hopDuration: response.latency,
+            responseSize: response.size,
+            session
           }).then(unwrappedAds => {
             delete ad.nextWrapperURL;
             if (unwrappedAds.length === 0) {
               // No ads returned by the wrappedResponse, discard current <Ad><Wrapper> creatives
               ad.creatives = [];
-              return resolve(ad);
+              return ad;
             }
 
             unwrappedAds.forEach(unwrappedAd => {
               if (unwrappedAd) {
                 parserUtils.mergeWrapperAdData(unwrappedAd, ad);
+                // A failure deeper in the chain is a no ad response for this wrapper
+                if (ad.fallbackOnNoAd === true) {
+                  unwrappedAd.fallbackOnNoAd = true;
+                }
               }
             });
 
-            resolve(unwrappedAds);
+            return unwrappedAds;
           });
         })
         .catch(err => {
           // Timeout of VAST URI provided in Wrapper element, or of VAST URI provided in a subsequent Wrapper element.
           // (URI was either unavailable or reached a timeout as defined by the video player.)
-          ad.errorCode = 301;
+          // Strict mode rejects invalid documents with the code of their first error.
+          ad.errorCode = err.vastErrorCode || 301;
           ad.errorMessage = err.message;
 
-          resolve(ad);
-        });
+          return ad;
+        })
+        .then(resolve);
     });
   }
 
@@ -471,7 +837,8 @@ export class VASTParser extends EventEmitter {
             { ERRORCODE: ad.errorCode || 303 },
             { ERRORMESSAGE: ad.errorMessage || '' },
             { extensions: ad.extensions },
-            { system: ad.system }
+            { system: ad.system },
+            { wrapperChain: ad.wrapperChain }
           );
           vastResponse.ads.splice(index, 1);
         }
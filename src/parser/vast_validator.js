@@ -0,0 +1,495 @@
+import { parserUtils } from './parser_utils';
+
+/**
+ * This module provides methods to check a VAST document against the VAST specification.
+ */
+
+const SUPPORTED_VERSIONS = ['2.0', '3.0', '4.0', '4.1', '4.2'];
+
+// VAST error codes attached to the diagnostics
+const XML_PARSING_ERROR = 100;
+const SCHEMA_VALIDATION_ERROR = 101;
+const VERSION_NOT_SUPPORTED = 102;
+
+const VAST2_TRACKING_EVENTS = [
+  'creativeView',
+  'start',
+  'firstQuartile',
+  'midpoint',
+  'thirdQuartile',
+  'complete',
+  'mute',
+  'unmute',
+  'pause',
+  'rewind',
+  'resume',
+  'fullscreen',
+  'exitFullscreen',
+  'expand',
+  'collapse',
+  'acceptInvitation',
+  'close'
+];
+const VAST3_TRACKING_EVENTS = VAST2_TRACKING_EVENTS.concat([
+  'skip',
+  'progress',
+  'closeLinear',
+  'acceptInvitationLinear'
+]);
+const VAST4_TRACKING_EVENTS = VAST3_TRACKING_EVENTS.concat([
+  'loaded',
+  'playerExpand',
+  'playerCollapse',
+  'notUsed',
+  'otherAdInteraction',
+  'adExpand',
+  'adCollapse',
+  'minimize',
+  'overlayViewDuration',
+  'timeSpentViewing',
+  'verificationNotExecuted',
+  'interactiveStart'
+]);
+
+const DURATION_REGEXP = /^\d{2}:[0-5]\d:[0-5]\d(\.\d{3})?$/;
+const PERCENT_REGEXP = /^(100|[1-9]?\d)(\.\d+)?%$/;
+const INTEGER_REGEXP = /^\d+$/;
+
+/**
+ * Checks the given xml Object against the VAST specification.
+ * Each diagnostic is an Object with a severity ('error' or 'warning'), a VAST error code,
+ * the path of the faulty element and a message.
+ * @param  {Object} vastXml - An object representing a VAST xml document.
+ * @param  {Object} options - An optional Object of parameters.
+ * @param  {String} options.version - The VAST version to check against, the version of the document by default.
+ * @return {Array} The diagnostics, empty if the document is valid.
+ */
+export function validateVAST(vastXml, { version = null } = {}) {
+  const diagnostics = [];
+  const report = (severity, code, path, message) =>
+    diagnostics.push({ severity, code, path, message });
+
+  if (
+    !vastXml ||
+    !vastXml.documentElement ||
+    vastXml.documentElement.nodeName !== 'VAST'
+  ) {
+    report('error', XML_PARSING_ERROR, '/', 'Root element must be <VAST>');
+    return diagnostics;
+  }
+
+  const vastElement = vastXml.documentElement;
+  const documentVersion = vastElement.getAttribute('version');
+
+  if (!documentVersion) {
+    report(
+      'error',
+      SCHEMA_VALIDATION_ERROR,
+      '/VAST',
+      'Missing required attribute version'
+    );
+  } else if (SUPPORTED_VERSIONS.indexOf(documentVersion) === -1) {
+    report(
+      'error',
+      VERSION_NOT_SUPPORTED,
+      '/VAST',
+      `Unsupported VAST version ${documentVersion}`
+    );
+  } else if (version && version !== documentVersion) {
+    report(
+      'warning',
+      VERSION_NOT_SUPPORTED,
+      '/VAST',
+      `Document version ${documentVersion} doesn't match the expected version ${version}`
+    );
+  }
+
+  const context = {
+    majorVersion: parseInt(version || documentVersion, 10) || 4,
+    report
+  };
+
+  childElements(vastElement, '/VAST').forEach(({ node, path }) => {
+    if (node.nodeName === 'Ad') {
+      validateAd(node, path, context);
+    }
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Validates an Ad element.
+ * @param  {Object} adElement - The Ad element.
+ * @param  {String} path - The path of the element.
+ * @param  {Object} context - The validation context.
+ * @return {void}
+ */
+function validateAd(adElement, path, context) {
+  const adTypes = childElements(adElement, path).filter(
+    ({ node }) => node.nodeName === 'InLine' || node.nodeName === 'Wrapper'
+  );
+
+  if (adTypes.length !== 1) {
+    context.report(
+      'error',
+      SCHEMA_VALIDATION_ERROR,
+      path,
+      'An <Ad> must contain exactly one <InLine> or <Wrapper>'
+    );
+    return;
+  }
+  validateInteger(adElement, 'sequence', path, context);
+
+  const { node, path: adTypePath } = adTypes[0];
+  const isWrapper = node.nodeName === 'Wrapper';
+  const required = isWrapper
+    ? ['AdSystem', 'Impression']
+    : ['AdSystem', 'AdTitle', 'Impression'];
+
+  required.forEach(name => {
+    if (!parserUtils.parseNodeText(parserUtils.childByName(node, name))) {
+      context.report(
+        'error',
+        SCHEMA_VALIDATION_ERROR,
+        `${adTypePath}/${name}`,
+        `Missing required element <${name}>`
+      );
+    }
+  });
+
+  if (isWrapper && !parserUtils.childByName(node, 'VASTAdTagURI')) {
+    // Pre-release VAST 2 wrappers used <VASTAdTagURL><URL>, still supported by the parser
+    parserUtils.childByName(node, 'VASTAdTagURL')
+      ? context.report(
+          'warning',
+          SCHEMA_VALIDATION_ERROR,
+          `${adTypePath}/VASTAdTagURL`,
+          'Deprecated element <VASTAdTagURL>, use <VASTAdTagURI>'
+        )
+      : context.report(
+          'error',
+          SCHEMA_VALIDATION_ERROR,
+          `${adTypePath}/VASTAdTagURI`,
+          'Missing required element <VASTAdTagURI>'
+        );
+  }
+
+  const creativesElement = parserUtils.childByName(node, 'Creatives');
+  if (!creativesElement) {
+    if (!isWrapper) {
+      context.report(
+        'error',
+        SCHEMA_VALIDATION_ERROR,
+        `${adTypePath}/Creatives`,
+        'Missing required element <Creatives>'
+      );
+    }
+    return;
+  }
+
+  childElements(creativesElement, `${adTypePath}/Creatives`)
+    .filter(creative => creative.node.nodeName === 'Creative')
+    .forEach(creative => {
+      validateInteger(creative.node, 'sequence', creative.path, context);
+
+      childElements(creative.node, creative.path).forEach(creativeType => {
+        switch (creativeType.node.nodeName) {
+          case 'Linear':
+            validateLinear(creativeType.node, creativeType.path, context, {
+              isWrapper
+            });
+            break;
+          case 'CompanionAds':
+            validateVariations(
+              creativeType.node,
+              creativeType.path,
+              'Companion',
+              context,
+              { isWrapper }
+            );
+            break;
+          case 'NonLinearAds':
+            validateVariations(
+              creativeType.node,
+              creativeType.path,
+              'NonLinear',
+              context,
+              { isWrapper }
+            );
+            break;
+        }
+      });
+    });
+}
+
+/**
+ * Validates a Linear element.
+ * @param  {Object} linearElement - The Linear element.
+ * @param  {String} path - The path of the element.
+ * @param  {Object} context - The validation context.
+ * @param  {Object} options - Whether the Linear belongs to a Wrapper.
+ * @return {void}
+ */
+function validateLinear(linearElement, path, context, { isWrapper }) {
+  const skipOffset = linearElement.getAttribute('skipoffset');
+  if (skipOffset) {
+    if (context.majorVersion < 3) {
+      context.report(
+        'warning',
+        SCHEMA_VALIDATION_ERROR,
+        path,
+        'Attribute skipoffset is not supported before VAST 3'
+      );
+    } else if (!isOffset(skipOffset)) {
+      context.report(
+        'error',
+        SCHEMA_VALIDATION_ERROR,
+        path,
+        `Invalid skipoffset "${skipOffset}", expected HH:MM:SS[.mmm] or n%`
+      );
+    }
+  }
+
+  validateTrackingEvents(linearElement, path, context);
+
+  // Wrapper linears only carry trackers
+  if (isWrapper) {
+    return;
+  }
+
+  const durationElement = parserUtils.childByName(linearElement, 'Duration');
+  const duration = parserUtils.parseNodeText(durationElement);
+  if (!durationElement) {
+    context.report(
+      'error',
+      SCHEMA_VALIDATION_ERROR,
+      `${path}/Duration`,
+      'Missing required element <Duration>'
+    );
+  } else if (!DURATION_REGEXP.test(duration)) {
+    context.report(
+      'error',
+      SCHEMA_VALIDATION_ERROR,
+      `${path}/Duration`,
+      `Invalid duration "${duration}", expected HH:MM:SS[.mmm]`
+    );
+  }
+
+  const mediaFilesElement = parserUtils.childByName(
+    linearElement,
+    'MediaFiles'
+  );
+  const mediaFiles = mediaFilesElement
+    ? childElements(mediaFilesElement, `${path}/MediaFiles`).filter(
+        ({ node }) => node.nodeName === 'MediaFile'
+      )
+    : [];
+  if (mediaFiles.length === 0) {
+    context.report(
+      'error',
+      SCHEMA_VALIDATION_ERROR,
+      `${path}/MediaFiles`,
+      'Missing required element <MediaFiles> with at least one <MediaFile>'
+    );
+  }
+
+  mediaFiles.forEach(({ node, path: mediaFilePath }) => {
+    const delivery = node.getAttribute('delivery');
+    if (['progressive', 'streaming'].indexOf(delivery) === -1) {
+      context.report(
+        'error',
+        SCHEMA_VALIDATION_ERROR,
+        mediaFilePath,
+        `Invalid delivery "${delivery}", expected progressive or streaming`
+      );
+    }
+    if (!node.getAttribute('type')) {
+      context.report(
+        'error',
+        SCHEMA_VALIDATION_ERROR,
+        mediaFilePath,
+        'Missing required attribute type'
+      );
+    }
+    validateInteger(node, 'width', mediaFilePath, context, true);
+    validateInteger(node, 'height', mediaFilePath, context, true);
+    validateInteger(node, 'bitrate', mediaFilePath, context);
+    validateBoolean(node, 'scalable', mediaFilePath, context);
+    validateBoolean(node, 'maintainAspectRatio', mediaFilePath, context);
+
+    if (!parserUtils.parseNodeText(node)) {
+      context.report(
+        'error',
+        SCHEMA_VALIDATION_ERROR,
+        mediaFilePath,
+        'Missing media file URI'
+      );
+    }
+  });
+}
+
+/**
+ * Validates the Companion or NonLinear variations of a CompanionAds or NonLinearAds element.
+ * @param  {Object} element - The CompanionAds or NonLinearAds element.
+ * @param  {String} path - The path of the element.
+ * @param  {String} variationName - The name of the variation elements.
+ * @param  {Object} context - The validation context.
+ * @param  {Object} options - Whether the variations belong to a Wrapper.
+ * @return {void}
+ */
+function validateVariations(
+  element,
+  path,
+  variationName,
+  context,
+  { isWrapper }
+) {
+  childElements(element, path)
+    .filter(({ node }) => node.nodeName === variationName)
+    .forEach(({ node, path: variationPath }) => {
+      // Wrapper variations may only carry trackers
+      validateInteger(node, 'width', variationPath, context, !isWrapper);
+      validateInteger(node, 'height', variationPath, context, !isWrapper);
+      validateTrackingEvents(node, variationPath, context);
+    });
+
+  if (variationName === 'NonLinear') {
+    validateTrackingEvents(element, path, context);
+  }
+}
+
+/**
+ * Validates the Tracking elements contained in the TrackingEvents of the given element.
+ * @param  {Object} element - The element containing the TrackingEvents.
+ * @param  {String} path - The path of the element.
+ * @param  {Object} context - The validation context.
+ * @return {void}
+ */
+function validateTrackingEvents(element, path, context) {
+  const knownEvents =
+    context.majorVersion >= 4
+      ? VAST4_TRACKING_EVENTS
+      : context.majorVersion === 3
+        ? VAST3_TRACKING_EVENTS
+        : VAST2_TRACKING_EVENTS;
+
+  parserUtils
+    .childrenByName(element, 'TrackingEvents')
+    .forEach(trackingEventsElement => {
+      childElements(trackingEventsElement, `${path}/TrackingEvents`)
+        .filter(({ node }) => node.nodeName === 'Tracking')
+        .forEach(({ node, path: trackingPath }) => {
+          const eventName = node.getAttribute('event');
+
+          if (knownEvents.indexOf(eventName) === -1) {
+            context.report(
+              'warning',
+              SCHEMA_VALIDATION_ERROR,
+              trackingPath,
+              `Unknown tracking event "${eventName}"`
+            );
+          } else if (eventName === 'progress') {
+            const offset = node.getAttribute('offset');
+            if (!isOffset(offset)) {
+              context.report(
+                'error',
+                SCHEMA_VALIDATION_ERROR,
+                trackingPath,
+                `Invalid progress offset "${offset}", expected HH:MM:SS[.mmm] or n%`
+              );
+            }
+          }
+        });
+    });
+}
+
+/**
+ * Reports an error if the given attribute is not an integer.
+ * @param  {Object} node - The element holding the attribute.
+ * @param  {String} attributeName - The name of the attribute.
+ * @param  {String} path - The path of the element.
+ * @param  {Object} context - The validation context.
+ * @param  {Boolean} [required=false] - Whether the attribute is required.
+ * @return {void}
+ */
+function validateInteger(node, attributeName, path, context, required = false) {
+  const value = node.getAttribute(attributeName);
+
+  if (!value) {
+    if (required) {
+      context.report(
+        'error',
+        SCHEMA_VALIDATION_ERROR,
+        path,
+        `Missing required attribute ${attributeName}`
+      );
+    }
+  } else if (!INTEGER_REGEXP.test(value)) {
+    context.report(
+      'error',
+      SCHEMA_VALIDATION_ERROR,
+      path,
+      `Invalid ${attributeName} "${value}", expected an integer`
+    );
+  }
+}
+
+/**
+ * Reports an error if the given optional attribute is not a boolean.
+ * @param  {Object} node - The element holding the attribute.
+ * @param  {String} attributeName - The name of the attribute.
+ * @param  {String} path - The path of the element.
+ * @param  {Object} context - The validation context.
+ * @return {void}
+ */
+function validateBoolean(node, attributeName, path, context) {
+  const value = node.getAttribute(attributeName);
+
+  if (value && ['true', 'false', '1', '0'].indexOf(value) === -1) {
+    context.report(
+      'error',
+      SCHEMA_VALIDATION_ERROR,
+      path,
+      `Invalid ${attributeName} "${value}", expected a boolean`
+    );
+  }
+}
+
+/**
+ * Checks if the given string is a time offset (HH:MM:SS[.mmm]) or a percentage.
+ * @param  {String} offset - The offset to check.
+ * @return {Boolean}
+ */
+function isOffset(offset) {
+  return DURATION_REGEXP.test(offset) || PERCENT_REGEXP.test(offset);
+}
+
+/**
+ * Returns the element children of the given node along with their path.
+ * Elements sharing their name with a sibling are indexed, starting at 1.
+ * @param  {Object} node - The parent node.
+ * @param  {String} path - The path of the parent node.
+ * @return {Array}
+ */
+function childElements(node, path) {
+  const elements = [];
+  const childNodes = node.childNodes;
+
+  for (const childKey in childNodes) {
+    const child = childNodes[childKey];
+
+    if (child && child.nodeType === 1) {
+      elements.push(child);
+    }
+  }
+
+  return elements.map(child => {
+    const homonyms = elements.filter(
+      element => element.nodeName === child.nodeName
+    );
+    const index = homonyms.length > 1 ? `[${homonyms.indexOf(child) + 1}]` : '';
+
+    return { node: child, path: `${path}/${child.nodeName}${index}` };
+  });
+}
@@ -0,0 +1,311 @@
+import { AdBreak } from '../ad_break';
+import { parserUtils } from './parser_utils';
+import { urlHandler } from '../url_handler';
+import { util } from '../util/util';
+import { VASTParser } from './vast_parser';
+import { VMAPResponse } from '../vmap_response';
+
+/**
+ * The VMAP tracking events a player is expected to report for an ad break.
+ * @constant
+ * @type {Array}
+ */
+const VMAP_TRACKING_EVENTS = ['breakStart', 'breakEnd', 'error'];
+
+/**
+ * This class provides methods to fetch and parse a VMAP document.
+ * The ad breaks are only resolved on demand, through a VASTParser.
+ * @export
+ * @class VMAPParser
+ */
+export class VMAPParser {
+  /**
+   * Creates an instance of VMAPParser.
+   * @param {VASTParser} [vastParser] - The VASTParser used to resolve the ad breaks.
+   * @constructor
+   */
+  constructor(vastParser) {
+    this.vastParser = vastParser || new VASTParser();
+  }
+
+  /**
+   * Fetches and parses a VMAP document for the given url.
+   * Returns a Promise which resolves with a VMAPResponse or rejects with an Error.
+   * @param  {String} url - The url to request the VMAP document.
+   * @param  {Object} options - An optional Object of parameters to be used in the request.
+   * @return {Promise}
+   */
+  getAndParseVMAP(url, options = {}) {
+    const handler = options.urlHandler || options.urlhandler || urlHandler;
+    const fetchingOptions = {
+      timeout: options.timeout,
+      withCredentials: options.withCredentials
+    };
+
+    return new Promise((resolve, reject) => {
+      handler.get(url, fetchingOptions, (err, xml) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(xml);
+        }
+      });
+    }).then(xml =>
+      this.parseVMAP(xml, Object.assign({}, options, { originalUrl: url }))
+    );
+  }
+
+  /**
+   * Parses the given xml Object into a VMAPResponse.
+   * Returns a Promise which resolves with the VMAPResponse or rejects with an Error.
+   * @param  {Object} vmapXml - An object representing a VMAP xml document.
+   * @param  {Object} options - An optional Object of parameters to be used in the parsing process.
+   * @return {Promise}
+   */
+  parseVMAP(vmapXml, { originalUrl = null } = {}) {
+    if (
+      !vmapXml ||
+      !vmapXml.documentElement ||
+      localName(vmapXml.documentElement) !== 'VMAP'
+    ) {
+      return Promise.reject(new Error('Invalid VMAP XMLDocument'));
+    }
+
+    const response = new VMAPResponse();
+    response.version = vmapXml.documentElement.getAttribute('version') || null;
+    response.adBreaks = childrenByLocalName(
+      vmapXml.documentElement,
+      'AdBreak'
+    ).map(adBreakElement => parseAdBreak(adBreakElement, originalUrl));
+
+    return Promise.resolve(response);
+  }
+
+  /**
+   * Resolves the VAST content of the given ad break.
+   * Returns a Promise which resolves with a VASTResponse or rejects with an Error.
+   * @param  {AdBreak} adBreak - The ad break to resolve.
+   * @param  {Object} options - An optional Object of parameters passed to the VASTParser.
+   * @return {Promise}
+   */
+  resolveAdBreak(adBreak, options = {}) {
+    const adSource = adBreak.adSource;
+
+    if (!adSource) {
+      return Promise.reject(new Error('No AdSource defined for the AdBreak'));
+    }
+
+    options = Object.assign({}, options);
+    // A VMAP AdSource can forbid following the wrappers of its VAST response
+    if (adSource.followRedirects === false) {
+      options.wrapperLimit = 1;
+    }
+
+    if (adSource.vastAdData) {
+      return this.vastParser.parseVAST(adSource.vastAdData, options);
+    }
+    if (adSource.adTagURI) {
+      return this.vastParser.getAndParseVAST(adSource.adTagURI, options);
+    }
+
+    return Promise.reject(
+      new Error(
+        'Unsupported AdSource, only VASTAdData and AdTagURI are handled'
+      )
+    );
+  }
+
+  /**
+   * Calls the VMAP tracking URLs (breakStart, breakEnd or error) of the given ad break.
+   * @param  {AdBreak} adBreak - The ad break to track.
+   * @param  {String} eventName - The name of the VMAP tracking event.
+   * @param  {Object} [variables={}] - An optional Object of parameters to be used in the tracking calls,
+   * merged with the values of the macro registry of the VASTParser.
+   * @return {void}
+   */
+  trackAdBreakEvent(adBreak, eventName, variables = {}) {
+    const URLTemplates = adBreak.trackingEvents[eventName];
+
+    if (!URLTemplates || !URLTemplates.length) {
+      return;
+    }
+    // VMAP error codes (1000-1008) are not valid VAST error codes
+    util.track(
+      URLTemplates,
+      Object.assign(this.vastParser.macros.getValues(), variables),
+      {
+        isCustomCode: eventName === 'error',
+        transport: this.vastParser.trackingTransport,
+        recorder: this.vastParser.trackingRecorder,
+        event: eventName,
+        source: 'VMAPParser'
+      }
+    );
+  }
+}
+
+/**
+ * Parses an AdBreak element.
+ * @param  {Object} adBreakElement - The VMAP AdBreak element to parse.
+ * @param  {String} originalUrl - The url of the VMAP document, used to resolve relative AdTagURIs.
+ * @return {AdBreak}
+ */
+function parseAdBreak(adBreakElement, originalUrl) {
+  const adBreak = new AdBreak();
+  adBreak.timeOffset = adBreakElement.getAttribute('timeOffset') || null;
+  adBreak.offset = parseTimeOffset(adBreak.timeOffset);
+  adBreak.breakType = adBreakElement.getAttribute('breakType') || null;
+  adBreak.breakId = adBreakElement.getAttribute('breakId') || null;
+
+  const repeatAfter = adBreakElement.getAttribute('repeatAfter');
+  if (repeatAfter) {
+    const repeatAfterDuration = parserUtils.parseDuration(repeatAfter);
+    adBreak.repeatAfter = repeatAfterDuration > 0 ? repeatAfterDuration : null;
+  }
+
+  const adSourceElement = childByLocalName(adBreakElement, 'AdSource');
+  if (adSourceElement) {
+    adBreak.adSource = parseAdSource(adSourceElement, originalUrl);
+  }
+
+  VMAP_TRACKING_EVENTS.forEach(eventName => {
+    adBreak.trackingEvents[eventName] = [];
+  });
+  childrenByLocalName(adBreakElement, 'TrackingEvents').forEach(
+    trackingEventsElement => {
+      childrenByLocalName(trackingEventsElement, 'Tracking').forEach(
+        trackingElement => {
+          const eventName = trackingElement.getAttribute('event');
+          const trackingURLTemplate = parserUtils.parseNodeText(
+            trackingElement
+          );
+          if (eventName && trackingURLTemplate) {
+            if (!Array.isArray(adBreak.trackingEvents[eventName])) {
+              adBreak.trackingEvents[eventName] = [];
+            }
+            adBreak.trackingEvents[eventName].push(trackingURLTemplate);
+          }
+        }
+      );
+    }
+  );
+
+  return adBreak;
+}
+
+/**
+ * Parses an AdSource element.
+ * @param  {Object} adSourceElement - The VMAP AdSource element to parse.
+ * @param  {String} originalUrl - The url of the VMAP document.
+ * @return {Object}
+ */
+function parseAdSource(adSourceElement, originalUrl) {
+  const adSource = {
+    id: adSourceElement.getAttribute('id') || null,
+    allowMultipleAds: parseOptionalBoolean(
+      adSourceElement.getAttribute('allowMultipleAds')
+    ),
+    followRedirects: parseOptionalBoolean(
+      adSourceElement.getAttribute('followRedirects')
+    ),
+    vastAdData: null,
+    adTagURI: null,
+    templateType: null
+  };
+
+  const vastAdDataElement = childByLocalName(adSourceElement, 'VASTAdData');
+  if (vastAdDataElement) {
+    const vastElement = childByLocalName(vastAdDataElement, 'VAST');
+    if (vastElement) {
+      // VASTParser only relies on the documentElement of the given document
+      adSource.vastAdData = { documentElement: vastElement };
+    }
+  }
+
+  const adTagURIElement = childByLocalName(adSourceElement, 'AdTagURI');
+  if (adTagURIElement) {
+    adSource.templateType =
+      adTagURIElement.getAttribute('templateType') || null;
+    adSource.adTagURI = parserUtils.resolveVastAdTagURI(
+      parserUtils.parseNodeText(adTagURIElement),
+      originalUrl
+    );
+  }
+
+  return adSource;
+}
+
+/**
+ * Parses a VMAP timeOffset attribute.
+ * Supported formats are: start, end, n%, #n and HH:MM:SS[.mmm].
+ * @param  {String} timeOffset - The timeOffset to parse.
+ * @return {Object|null} An Object with a type (start, end, percent, position or time) and a value.
+ */
+function parseTimeOffset(timeOffset) {
+  if (!timeOffset) {
+    return null;
+  }
+  if (timeOffset === 'start' || timeOffset === 'end') {
+    return { type: timeOffset, value: null };
+  }
+  if (timeOffset.charAt(timeOffset.length - 1) === '%') {
+    return { type: 'percent', value: parseFloat(timeOffset) };
+  }
+  if (timeOffset.charAt(0) === '#') {
+    return { type: 'position', value: parseInt(timeOffset.slice(1), 10) };
+  }
+
+  const time = parserUtils.parseDuration(timeOffset);
+  return time === -1 ? null : { type: 'time', value: time };
+}
+
+/**
+ * Converts an optional boolean attribute into a Boolean, or null if missing.
+ * @param  {String} booleanString - The boolean string to convert.
+ * @return {Boolean|null}
+ */
+function parseOptionalBoolean(booleanString) {
+  if (!booleanString) {
+    return null;
+  }
+  return parserUtils.parseBoolean(booleanString);
+}
+
+/**
+ * Returns the name of a node without its namespace prefix (e.g. vmap:AdBreak).
+ * @param  {Object} node - The node to get the name from.
+ * @return {String}
+ */
+function localName(node) {
+  return node.localName || (node.nodeName || '').replace(/^.*:/, '');
+}
+
+/**
+ * Returns the first child of the given node which local name matches the given name.
+ * @param  {Object} node - The node to use to find a match.
+ * @param  {String} name - The name to look for.
+ * @return {Object}
+ */
+function childByLocalName(node, name) {
+  return childrenByLocalName(node, name)[0];
+}
+
+/**
+ * Returns all the children of the given node which local name match the given name.
+ * @param  {Object} node - The node to use to find the matches.
+ * @param  {String} name - The name to look for.
+ * @return {Array}
+ */
+function childrenByLocalName(node, name) {
+  const children = [];
+  const childNodes = node.childNodes;
+
+  for (const childKey in childNodes) {
+    const child = childNodes[childKey];
+
+    if (child && child.nodeType === 1 && localName(child) === name) {
+      children.push(child);
+    }
+  }
+  return children;
+}
@@ -0,0 +1,49 @@
+import { beaconTransport } from './transports/beacon_transport';
+import { fetchTransport } from './transports/fetch_transport';
+import { imageTransport } from './transports/image_transport';
+import { nodeTransport } from './transports/mock_node_transport';
+
+function send(url, options, cb) {
+  // Allow skip of the options param
+  if (!cb) {
+    if (typeof options === 'function') {
+      cb = options;
+    }
+    options = {};
+  }
+
+  // The image pixels report an error for the responses which are not images, e.g. a 204,
+  // although they were received: the transports which only fail when the call could not be made are preferred
+  if (typeof window === 'undefined' || window === null) {
+    return nodeTransport.send(url, options, cb);
+  } else if (fetchTransport.supported()) {
+    return fetchTransport.send(url, options, cb);
+  } else if (beaconTransport.supported()) {
+    return beaconTransport.send(url, options, cb);
+  } else if (imageTransport.supported()) {
+    return imageTransport.send(url, options, cb);
+  }
+  return cb(
+    new Error(
+      'Current context is not supported by any of the default tracking transports. Please provide a custom transport'
+    )
+  );
+}
+
+/**
+ * The default transport of the tracking calls: a keepalive fetch in browsers, or a beacon,
+ * or an image pixel in the browsers supporting neither, a http(s) request in node.
+ */
+export const trackingTransport = {
+  send
+};
+
+/**
+ * The built-in transports, to be used instead of the default one.
+ */
+export const trackingTransports = {
+  image: imageTransport,
+  beacon: beaconTransport,
+  fetch: fetchTransport,
+  node: nodeTransport
+};
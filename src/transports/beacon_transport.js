@@ -0,0 +1,25 @@
+function supported() {
+  return (
+    typeof navigator !== 'undefined' &&
+    navigator !== null &&
+    typeof navigator.sendBeacon === 'function'
+  );
+}
+
+// The beacon is sent as a POST request, even when the page is being unloaded.
+// Its success only means the browser queued it.
+function send(url, options, cb) {
+  let queued = false;
+  try {
+    queued = navigator.sendBeacon(url);
+  } catch (err) {
+    return cb(err);
+  }
+
+  cb(queued ? null : new Error(`Tracking beacon could not be queued: ${url}`));
+}
+
+export const beaconTransport = {
+  supported,
+  send
+};
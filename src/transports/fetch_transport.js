@@ -0,0 +1,19 @@
+function supported() {
+  return typeof fetch === 'function';
+}
+
+// The keepalive flag lets the request outlive the page, the no-cors mode
+// makes the response opaque: only network errors can be reported.
+function send(url, options, cb) {
+  fetch(url, {
+    method: 'GET',
+    mode: 'no-cors',
+    credentials: options.withCredentials === false ? 'omit' : 'include',
+    keepalive: true
+  }).then(() => cb(null), err => cb(err));
+}
+
+export const fetchTransport = {
+  supported,
+  send
+};
@@ -0,0 +1,19 @@
+function supported() {
+  return (
+    typeof window !== 'undefined' &&
+    window !== null &&
+    typeof Image !== 'undefined'
+  );
+}
+
+function send(url, options, cb) {
+  const image = new Image();
+  image.onload = () => cb(null);
+  image.onerror = () => cb(new Error(`Tracking pixel failed to load: ${url}`));
+  image.src = url;
+}
+
+export const imageTransport = {
+  supported,
+  send
+};
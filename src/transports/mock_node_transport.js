@@ -0,0 +1,15 @@
+// This mock module is loaded in stead of the original NodeTransport module
+// when bundling the library for environments which are not node.
+// This allows us to avoid bundling useless node components and have a smaller build.
+function supported() {
+  return false;
+}
+
+function send(url, options, cb) {
+  cb(new Error('Please bundle the library for node to use the node transport'));
+}
+
+export const nodeTransport = {
+  supported,
+  send
+};
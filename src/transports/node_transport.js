@@ -0,0 +1,44 @@
+const uri = require('url');
+const http = require('http');
+const https = require('https');
+
+function supported() {
+  return true;
+}
+
+function send(url, options, cb) {
+  const parsedUrl = uri.parse(url);
+  const httpModule = parsedUrl.protocol === 'https:' ? https : http;
+  let done = false;
+
+  // The callback is called once, an aborted socket may still emit events
+  const finish = err => {
+    if (!done) {
+      done = true;
+      cb(err);
+    }
+  };
+
+  const req = httpModule.get(parsedUrl.href, res => {
+    // The body of a tracking response is useless
+    res.resume();
+    if (res.statusCode >= 400) {
+      finish(
+        new Error(`Tracking request failed with status ${res.statusCode}`)
+      );
+    } else {
+      finish(null);
+    }
+  });
+
+  req.on('error', err => finish(err));
+  req.setTimeout(options.timeout || 10000, () => {
+    finish(new Error('Tracking request timed out'));
+    req.abort();
+  });
+}
+
+export const nodeTransport = {
+  supported,
+  send
+};
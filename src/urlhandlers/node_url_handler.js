@@ -1,3 +1,5 @@
+import { util } from '../util/util';
+
 const uri = require('url');
 const fs = require('fs');
 const http = require('http');
@@ -5,21 +7,44 @@ const https = require('https');
 const DOMParser = require('xmldom').DOMParser;
 
 function get(url, options, cb) {
+  const signal = options.signal;
+  if (signal && signal.aborted) {
+    return cb(util.createAbortError());
+  }
+
   url = uri.parse(url);
   const httpModule = url.protocol === 'https:' ? https : http;
   if (url.protocol === 'file:') {
     fs.readFile(url.pathname, 'utf8', function(err, data) {
+      if (signal && signal.aborted) {
+        return cb(util.createAbortError());
+      }
       if (err) {
         return cb(err);
       }
       const xml = new DOMParser().parseFromString(data);
-      cb(null, xml);
+      cb(null, xml, { size: data.length });
     });
   } else {
     let timing;
     let data = '';
+    let done = false;
 
     const timeoutWrapper = req => () => req.abort();
+    // The callback is called once, an aborted socket may still emit events
+    const finish = (err, xml, details) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(timing);
+      signal && signal.removeEventListener('abort', onAbort);
+      cb(err, xml, details);
+    };
+    const onAbort = () => {
+      finish(util.createAbortError());
+      req.abort();
+    };
 
     const req = httpModule.get(url.href, function(res) {
       res.on('data', function(chunk) {
@@ -28,16 +53,17 @@ function get(url, options, cb) {
         timing = setTimeout(fn, options.timeout || 120000);
       });
       res.on('end', function() {
-        clearTimeout(timing);
-        const xml = new DOMParser().parseFromString(data);
-        cb(null, xml);
+        finish(null, new DOMParser().parseFromString(data), {
+          size: data.length,
+          headers: res.headers
+        });
       });
     });
 
     req.on('error', function(err) {
-      clearTimeout(timing);
-      cb(err);
+      finish(err);
     });
+    signal && signal.addEventListener('abort', onAbort);
 
     const fn = timeoutWrapper(req);
     timing = setTimeout(fn, options.timeout || 120000);
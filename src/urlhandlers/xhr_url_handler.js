@@ -1,3 +1,5 @@
+import { util } from '../util/util';
+
 function xhr() {
   try {
     const request = new window.XMLHttpRequest();
@@ -11,6 +13,25 @@ function xhr() {
   }
 }
 
+/**
+ * Returns the headers of the given request, with lower case names.
+ * @param  {XMLHttpRequest} request - A completed request.
+ * @return {Object}
+ */
+function getResponseHeaders(request) {
+  const headers = {};
+
+  (request.getAllResponseHeaders() || '').split(/\r?\n/).forEach(line => {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex > 0) {
+      const name = line.slice(0, separatorIndex).trim();
+      headers[name.toLowerCase()] = line.slice(separatorIndex + 1).trim();
+    }
+  });
+
+  return headers;
+}
+
 function supported() {
   return !!xhr();
 }
@@ -20,8 +41,14 @@ function get(url, options, cb) {
     return cb(new Error('XHRURLHandler: Cannot go from HTTPS to HTTP.'));
   }
 
+  const signal = options.signal;
+  if (signal && signal.aborted) {
+    return cb(util.createAbortError());
+  }
+
   try {
     const request = xhr();
+    const onAbort = () => request.abort();
 
     request.open('GET', url);
     request.timeout = options.timeout || 0;
@@ -29,13 +56,21 @@ function get(url, options, cb) {
     request.overrideMimeType && request.overrideMimeType('text/xml');
     request.onreadystatechange = function() {
       if (request.readyState === 4) {
-        if (request.status === 200) {
-          cb(null, request.responseXML);
+        signal && signal.removeEventListener('abort', onAbort);
+
+        if (signal && signal.aborted) {
+          cb(util.createAbortError());
+        } else if (request.status === 200) {
+          cb(null, request.responseXML, {
+            size: (request.responseText || '').length,
+            headers: getResponseHeaders(request)
+          });
         } else {
           cb(new Error(`XHRURLHandler: ${request.statusText}`));
         }
       }
     };
+    signal && signal.addEventListener('abort', onAbort);
     request.send();
   } catch (error) {
     cb(new Error('XHRURLHandler: Unexpected error'));
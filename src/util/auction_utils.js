@@ -0,0 +1,150 @@
+import { macroUtils } from './macros';
+
+/**
+ * This module provides support methods to run an auction between VAST responses.
+ */
+
+/**
+ * The loss reasons given in the [AUCTION_LOSS] macro, as defined by OpenRTB.
+ * @constant
+ * @type {Object}
+ */
+const LOSS_REASONS = {
+  INVALID_BID: 3,
+  BELOW_FLOOR: 100,
+  LOWER_BID: 102
+};
+
+/**
+ * Returns the rate of the given name from a rate table, ignoring the case of the names.
+ * @param  {Object} rates - The rates indexed by name.
+ * @param  {String} name - The name of the rate.
+ * @return {Number|null}
+ */
+function getRate(rates, name) {
+  for (const key in rates) {
+    if (key.toLowerCase() === name.toLowerCase()) {
+      return typeof rates[key] === 'number' ? rates[key] : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Converts the pricing of an ad into a CPM in the currency of the rate table.
+ * Returns null if the pricing can't be converted.
+ * @param  {Object} pricing - The pricing of an ad: value, model and currency.
+ * @param  {Object} rateTable - The conversion rates.
+ * @param  {String} rateTable.currency - The currency of the auction (default USD).
+ * @param  {Object} rateTable.currencies - The value in the auction currency of one unit of each currency.
+ * @param  {Object} rateTable.models - The CPM equivalent of a price of 1 in each pricing model, CPM being 1.
+ * @return {Number|null}
+ */
+function normalizePrice(pricing, rateTable = {}) {
+  const value = pricing ? parseFloat(pricing.value) : NaN;
+  if (isNaN(value)) {
+    return null;
+  }
+
+  const auctionCurrency = rateTable.currency || 'USD';
+  const currency = pricing.currency || auctionCurrency;
+  const model = pricing.model || 'cpm';
+
+  const currencyRate =
+    currency.toLowerCase() === auctionCurrency.toLowerCase()
+      ? 1
+      : getRate(rateTable.currencies, currency);
+  const modelRate =
+    model.toLowerCase() === 'cpm' ? 1 : getRate(rateTable.models, model);
+
+  if (currencyRate === null || modelRate === null) {
+    return null;
+  }
+
+  return value * currencyRate * modelRate;
+}
+
+/**
+ * Formats a price to be used as a macro value.
+ * @param  {Number} price - The price.
+ * @return {String}
+ */
+function formatPrice(price) {
+  return String(Math.round(price * 10000) / 10000);
+}
+
+/**
+ * Replaces the given macros in all the tracking, impression, click and error url templates of an ad.
+ * @param  {Ad} ad - The ad to update.
+ * @param  {Object} variables - The values of the macros, indexed by name.
+ * @return {void}
+ */
+function expandAdMacros(ad, variables) {
+  const expandList = templates =>
+    templates.map(template => macroUtils.replaceMacros(template, variables));
+  const expandEvents = trackingEvents => {
+    for (const eventName in trackingEvents) {
+      trackingEvents[eventName] = expandList(trackingEvents[eventName]);
+    }
+  };
+
+  ad.impressionURLTemplates = expandList(ad.impressionURLTemplates);
+  ad.errorURLTemplates = expandList(ad.errorURLTemplates);
+  [
+    'viewableURLTemplates',
+    'notViewableURLTemplates',
+    'viewUndeterminedURLTemplates'
+  ].forEach(property => {
+    ad.viewableImpression[property] = expandList(
+      ad.viewableImpression[property]
+    );
+  });
+
+  ad.creatives.forEach(creative => {
+    expandEvents(creative.trackingEvents);
+
+    if (creative.type === 'linear') {
+      creative.videoClickTrackingURLTemplates = expandList(
+        creative.videoClickTrackingURLTemplates
+      );
+      creative.videoCustomClickURLTemplates = expandList(
+        creative.videoCustomClickURLTemplates
+      );
+      creative.icons.forEach(icon => {
+        icon.iconClickTrackingURLTemplates = expandList(
+          icon.iconClickTrackingURLTemplates
+        );
+        if (icon.iconViewTrackingURLTemplate) {
+          icon.iconViewTrackingURLTemplate = macroUtils.replaceMacros(
+            icon.iconViewTrackingURLTemplate,
+            variables
+          );
+        }
+      });
+    } else {
+      (creative.variations || []).forEach(variation => {
+        if (variation.trackingEvents) {
+          expandEvents(variation.trackingEvents);
+        }
+        if (variation.companionClickTrackingURLTemplates) {
+          variation.companionClickTrackingURLTemplates = expandList(
+            variation.companionClickTrackingURLTemplates
+          );
+        }
+        if (variation.nonlinearClickTrackingURLTemplates) {
+          variation.nonlinearClickTrackingURLTemplates = expandList(
+            variation.nonlinearClickTrackingURLTemplates
+          );
+        }
+      });
+    }
+  });
+}
+
+export const auctionUtils = {
+  LOSS_REASONS,
+  normalizePrice,
+  formatPrice,
+  expandAdMacros
+};
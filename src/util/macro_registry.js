@@ -0,0 +1,95 @@
+import { macroUtils } from './macros';
+
+/**
+ * This class holds the values of the macros supported by a player,
+ * which are replaced in all the urls it calls.
+ * A registry can inherit the values of a parent registry, and override them.
+ * @export
+ * @class MacroRegistry
+ */
+export class MacroRegistry {
+  /**
+   * Creates an instance of MacroRegistry.
+   * @param {Object} values - The initial values of the macros, indexed by name.
+   * @param {MacroRegistry} parent - An optional registry to inherit the values from.
+   * @constructor
+   */
+  constructor(values = {}, parent = null) {
+    this.values = {};
+    this.parent = parent;
+    this.set(values);
+  }
+
+  /**
+   * Sets the value of a macro, or of several macros when an Object is given.
+   * A value can be a function, called each time the macro is replaced.
+   * A null or undefined value, or returned value, stands for an unknown value (-1).
+   * @param {String|Object} name - The name of the macro, or the values indexed by name.
+   * @param {*} value - The value of the macro.
+   * @return {MacroRegistry} The registry, to chain the calls.
+   */
+  set(name, value) {
+    if (typeof name === 'object' && name !== null) {
+      for (const key in name) {
+        this.values[key] = name[key];
+      }
+    } else {
+      this.values[name] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Withholds the value of the given macros, which are then replaced by -2.
+   * @param {...String} names - The names of the macros.
+   * @return {MacroRegistry} The registry, to chain the calls.
+   */
+  withhold(...names) {
+    names.forEach(name => {
+      this.values[name] = macroUtils.WITHHELD;
+    });
+    return this;
+  }
+
+  /**
+   * Removes the value of a macro, which is then inherited from the parent registry, if any.
+   * @param {String} name - The name of the macro.
+   * @return {MacroRegistry} The registry, to chain the calls.
+   */
+  remove(name) {
+    delete this.values[name];
+    return this;
+  }
+
+  /**
+   * Returns a boolean indicating if a value is registered for the given macro, in this registry or its parent.
+   * @param {String} name - The name of the macro.
+   * @return {Boolean}
+   */
+  has(name) {
+    return (
+      this.values.hasOwnProperty(name) ||
+      (this.parent !== null && this.parent.has(name))
+    );
+  }
+
+  /**
+   * Returns the current values of all the registered macros, indexed by name,
+   * the function values being called and the missing ones being unknown (-1).
+   * @return {Object}
+   */
+  getValues() {
+    const values = this.parent ? this.parent.getValues() : {};
+
+    for (const key in this.values) {
+      let value = this.values[key];
+      if (typeof value === 'function') {
+        value = value(key);
+      }
+      values[key] =
+        value === null || value === undefined ? macroUtils.UNKNOWN : value;
+    }
+
+    return values;
+  }
+}
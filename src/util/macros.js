@@ -0,0 +1,212 @@
+/**
+ * This module provides the definitions of the VAST 4.1 macros and the methods to replace them in url templates.
+ */
+
+/**
+ * The value of a macro which is supported but unknown.
+ * @constant
+ * @type {Number}
+ */
+const UNKNOWN = -1;
+
+/**
+ * The value of a macro which is intentionally withheld, e.g. for privacy reasons.
+ * @constant
+ * @type {Number}
+ */
+const WITHHELD = -2;
+
+/**
+ * The macros of the VAST 4.1 specification, indexed by name, with the type of their value:
+ * - integer: a number, inserted as is
+ * - boolean: inserted as 1 or 0
+ * - string: percent-encoded
+ * - timestamp: an ISO 8601 date, percent-encoded (a Date or a time in ms is converted)
+ * - timecode: a HH:MM:SS.mmm offset, percent-encoded (see formatTimecode)
+ * - array: a list of values, each of them percent-encoded, separated by unencoded commas
+ * @constant
+ * @type {Object}
+ */
+const MACROS = {
+  // General macros
+  TIMESTAMP: 'timestamp',
+  CACHEBUSTING: 'integer',
+
+  // Ad break info
+  CONTENTPLAYHEAD: 'timecode',
+  MEDIAPLAYHEAD: 'timecode',
+  BREAKPOSITION: 'integer',
+  BLOCKEDADCATEGORIES: 'array',
+  ADCATEGORIES: 'array',
+  ADCOUNT: 'integer',
+  TRANSACTIONID: 'string',
+  PLACEMENTTYPE: 'integer',
+  ADTYPE: 'string',
+  UNIVERSALADID: 'string',
+  BREAKMAXDURATION: 'integer',
+  BREAKMINDURATION: 'integer',
+  BREAKMAXADS: 'integer',
+  BREAKMINADLENGTH: 'integer',
+  BREAKMAXADLENGTH: 'integer',
+
+  // Client info
+  IFA: 'string',
+  IFATYPE: 'string',
+  CLIENTUA: 'string',
+  SERVERUA: 'string',
+  DEVICEUA: 'string',
+  SERVERSIDE: 'integer',
+  DEVICEIP: 'string',
+  LATLONG: 'array',
+
+  // Publisher info
+  DOMAIN: 'string',
+  PAGEURL: 'string',
+  APPBUNDLE: 'string',
+
+  // Capabilities info
+  VASTVERSIONS: 'array',
+  APIFRAMEWORKS: 'array',
+  EXTENSIONS: 'array',
+  VERIFICATIONVENDORS: 'array',
+  OMIDPARTNER: 'string',
+  MEDIAMIME: 'array',
+  PLAYERCAPABILITIES: 'array',
+  CLICKTYPE: 'integer',
+
+  // Player state info
+  PLAYERSTATE: 'array',
+  INVENTORYSTATE: 'array',
+  PLAYERSIZE: 'array',
+  ADPLAYHEAD: 'timecode',
+  ASSETURI: 'string',
+  CONTENTID: 'string',
+  CONTENTURI: 'string',
+  PODSEQUENCE: 'integer',
+  ADSERVINGID: 'string',
+
+  // Click info
+  CLICKPOS: 'array',
+
+  // Error reporting
+  ERRORCODE: 'integer',
+  REASON: 'integer',
+
+  // Regulation info
+  LIMITADTRACKING: 'boolean',
+  REGULATIONS: 'array',
+  GDPRCONSENT: 'string'
+};
+
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/encodeURIComponent
+function encodeURIComponentRFC3986(str) {
+  return encodeURIComponent(str).replace(
+    /[!'()*]/g,
+    c => `%${c.charCodeAt(0).toString(16)}`
+  );
+}
+
+function padNumber(number, length) {
+  let str = `${number}`;
+  while (str.length < length) {
+    str = `0${str}`;
+  }
+  return str;
+}
+
+/**
+ * Formats a number of seconds into a HH:MM:SS.mmm timecode.
+ * @param  {Number} seconds - The offset in seconds.
+ * @return {String}
+ */
+function formatTimecode(seconds) {
+  const totalMilliseconds = Math.round(Math.max(seconds, 0) * 1000);
+  const hours = Math.floor(totalMilliseconds / (60 * 60 * 1000));
+  const minutes = Math.floor(totalMilliseconds / (60 * 1000)) % 60;
+  const secs = Math.floor(totalMilliseconds / 1000) % 60;
+
+  return `${padNumber(hours, 2)}:${padNumber(minutes, 2)}:${padNumber(
+    secs,
+    2
+  )}.${padNumber(totalMilliseconds % 1000, 3)}`;
+}
+
+/**
+ * Returns the value of a macro as it must be inserted in an url, following the encoding rules of its type.
+ * The unknown (-1) and withheld (-2) values are inserted as is, a null or undefined value is unknown.
+ * The values of the macros which aren't defined by the specification are inserted as is.
+ * @param  {String} name - The name of the macro.
+ * @param  {*} value - The value of the macro.
+ * @return {String}
+ */
+function encodeMacroValue(name, value) {
+  if (value === null || value === undefined) {
+    return String(UNKNOWN);
+  }
+  if (value === UNKNOWN || value === WITHHELD) {
+    return String(value);
+  }
+
+  switch (MACROS[name]) {
+    case 'boolean':
+      return value === true || value === 1 || value === '1' ? '1' : '0';
+    case 'timestamp':
+      return encodeURIComponentRFC3986(
+        typeof value === 'string' ? value : new Date(value).toISOString()
+      );
+    case 'array':
+      return (Array.isArray(value) ? value : [value])
+        .map(item => encodeURIComponentRFC3986(item))
+        .join(',');
+    case 'string':
+    case 'timecode':
+      return encodeURIComponentRFC3986(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Replaces every occurrence of the given macros, in their [NAME] and %%NAME%% forms, in an url template.
+ * The values are inserted as given, without being encoded.
+ * @param  {String} urlTemplate - The url template.
+ * @param  {Object} values - The values of the macros, indexed by name.
+ * @return {String}
+ */
+function replaceMacros(urlTemplate, values) {
+  for (const key in values) {
+    urlTemplate = urlTemplate
+      .split(`[${key}]`)
+      .join(values[key])
+      .split(`%%${key}%%`)
+      .join(values[key]);
+  }
+
+  return urlTemplate;
+}
+
+/**
+ * Replaces every occurrence of the given macros in an url template, encoding their values.
+ * @param  {String} urlTemplate - The url template.
+ * @param  {Object} variables - The values of the macros, indexed by name.
+ * @return {String}
+ */
+function resolveMacros(urlTemplate, variables) {
+  const values = {};
+  for (const key in variables) {
+    values[key] = encodeMacroValue(key, variables[key]);
+  }
+
+  return replaceMacros(urlTemplate, values);
+}
+
+export const macroUtils = {
+  UNKNOWN,
+  WITHHELD,
+  MACROS,
+  encodeURIComponentRFC3986,
+  formatTimecode,
+  encodeMacroValue,
+  replaceMacros,
+  resolveMacros
+};
@@ -0,0 +1,291 @@
+import { util } from './util';
+
+/**
+ * Creates an in-memory store, used when no other store is provided.
+ * @return {Object}
+ */
+function createMemoryStore() {
+  return {
+    data: {},
+    getItem(key) {
+      return this.data.hasOwnProperty(key) ? this.data[key] : null;
+    },
+    setItem(key, value) {
+      this.data[key] = value;
+    },
+    removeItem(key) {
+      delete this.data[key];
+    },
+    clear() {
+      this.data = {};
+    }
+  };
+}
+
+/**
+ * Creates the signal of a shared fetch, implementing the part of the AbortSignal interface
+ * used by the URLHandlers. It's aborted by calling its abort method.
+ * @return {Object}
+ */
+function createSharedSignal() {
+  return {
+    aborted: false,
+    listeners: [],
+    addEventListener(type, listener) {
+      this.listeners.push(listener);
+    },
+    removeEventListener(type, listener) {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    },
+    abort() {
+      if (!this.aborted) {
+        this.aborted = true;
+        this.listeners.slice().forEach(listener => listener());
+      }
+    }
+  };
+}
+
+/**
+ * Returns whether the given value read from a store is a valid cache entry.
+ * @param  {*} entry - The value read from the store.
+ * @return {Boolean}
+ */
+function isValidEntry(entry) {
+  return (
+    !!entry &&
+    typeof entry === 'object' &&
+    !!entry.xml &&
+    !!entry.xml.documentElement &&
+    typeof entry.expiresAt === 'number'
+  );
+}
+
+/**
+ * Returns the time to live in ms given by the HTTP cache headers of a response,
+ * or null if they don't define one.
+ * @param  {Object} headers - The response headers, with lower case names.
+ * @return {Number|null}
+ */
+function getHeadersTTL(headers) {
+  const cacheControl = headers['cache-control'];
+  if (cacheControl) {
+    if (/no-store|no-cache/i.test(cacheControl)) {
+      return 0;
+    }
+    const maxAge = /max-age=(\d+)/i.exec(cacheControl);
+    if (maxAge) {
+      return parseInt(maxAge[1], 10) * 1000;
+    }
+  }
+
+  const expires = headers.expires ? Date.parse(headers.expires) : NaN;
+  if (!isNaN(expires)) {
+    return Math.max(0, expires - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Returns the time to live in ms given by the VAST 4 <Expires> element of a document,
+ * or null if it doesn't have one.
+ * @param  {Object} xml - The VAST document.
+ * @return {Number|null}
+ */
+function getVASTExpiresTTL(xml) {
+  const expiresElement = xml.getElementsByTagName('Expires')[0];
+  const expires = expiresElement
+    ? parseInt((expiresElement.textContent || '').trim(), 10)
+    : NaN;
+
+  return isNaN(expires) ? null : Math.max(0, expires * 1000);
+}
+
+/**
+ * This class provides a cache of the VAST documents fetched by the URLHandlers.
+ * Identical requests made at the same time share a single fetch.
+ * @export
+ * @class ResponseCache
+ */
+export class ResponseCache {
+  /**
+   * Creates an instance of ResponseCache.
+   * @param {Object} options - An optional Object of parameters.
+   * @param {Number} options.defaultTTL - The time to live in ms of the responses without cache headers or <Expires> element (default 0, not cached).
+   * @param {Function} options.shouldCache - Called with the url of each request, returns false to bypass the cache.
+   * @param {Object} options.store - A key-value store (getItem, setItem, removeItem) to keep the entries in, in memory by default.
+   * The entries hold the parsed documents, the store must keep the objects as they are: a Storage can't be used.
+   * @constructor
+   */
+  constructor(options = {}) {
+    this.defaultTTL = options.defaultTTL || 0;
+    this.shouldCache = options.shouldCache || (() => true);
+    this.store = options.store || createMemoryStore();
+    this.pendingRequests = {};
+  }
+
+  /**
+   * Returns the time to live in ms of a response: the one of its HTTP cache headers,
+   * or of its VAST 4 <Expires> element, or the default one.
+   * @param  {Object} xml - The fetched VAST document.
+   * @param  {Object} details - The details of the response given by the URLHandler.
+   * @return {Number}
+   */
+  getTTL(xml, details = {}) {
+    const headersTTL = details.headers ? getHeadersTTL(details.headers) : null;
+    if (headersTTL !== null) {
+      return headersTTL;
+    }
+
+    const expiresTTL = getVASTExpiresTTL(xml);
+    if (expiresTTL !== null) {
+      return expiresTTL;
+    }
+
+    return this.defaultTTL;
+  }
+
+  /**
+   * Returns the cached entry of the given url, or null if there isn't any valid one.
+   * @param  {String} url - The url of the VAST document.
+   * @return {Object|null}
+   */
+  getEntry(url) {
+    const entry = this.store.getItem(url);
+    if (!entry) {
+      return null;
+    }
+    if (!isValidEntry(entry) || entry.expiresAt <= Date.now()) {
+      this.store.removeItem(url);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Removes the cached entry of the given url.
+   * @param  {String} url - The url of the VAST document.
+   * @return {void}
+   */
+  remove(url) {
+    this.store.removeItem(url);
+  }
+
+  /**
+   * Fetches a VAST document through the given URLHandler, unless a valid cached one exists
+   * or the same url is already being fetched.
+   * The cache status ('hit', 'miss', 'coalesced' or 'bypass') is given to the callback with the response details.
+   * A requester whose signal is aborted gets an AbortError right away, the shared fetch
+   * being aborted once all its requesters have aborted.
+   * @param  {String} url - The url of the VAST document.
+   * @param  {Object} options - The options of the request.
+   * @param  {Object} urlHandler - The URLHandler making the requests.
+   * @param  {Function} cb - Called with an error, or the xml and the details of the response.
+   * @return {void}
+   */
+  get(url, options, urlHandler, cb) {
+    if (!this.shouldCache(url)) {
+      return urlHandler.get(url, options, (err, xml, details) =>
+        cb(err, xml, Object.assign({}, details, { cache: 'bypass' }))
+      );
+    }
+
+    const entry = this.getEntry(url);
+    if (entry) {
+      return cb(null, entry.xml, { size: entry.size, cache: 'hit' });
+    }
+
+    if (this.pendingRequests[url]) {
+      this.addRequester(
+        this.pendingRequests[url],
+        options.signal,
+        'coalesced',
+        cb
+      );
+      return;
+    }
+
+    const pendingRequest = {
+      url,
+      requesters: [],
+      signal: createSharedSignal()
+    };
+    this.pendingRequests[url] = pendingRequest;
+    this.addRequester(pendingRequest, options.signal, 'miss', cb);
+    if (!this.pendingRequests[url]) {
+      // Already aborted
+      return;
+    }
+
+    const requestOptions = Object.assign({}, options, {
+      signal: pendingRequest.signal
+    });
+
+    urlHandler.get(url, requestOptions, (err, xml, details = {}) => {
+      if (this.pendingRequests[url] === pendingRequest) {
+        delete this.pendingRequests[url];
+      }
+
+      if (!err && xml && xml.documentElement) {
+        const ttl = this.getTTL(xml, details);
+        if (ttl > 0) {
+          this.store.setItem(url, {
+            xml,
+            size: typeof details.size === 'number' ? details.size : null,
+            expiresAt: Date.now() + ttl
+          });
+        }
+      }
+
+      pendingRequest.requesters.forEach(requester => {
+        requester.release();
+        requester.cb(
+          err,
+          xml,
+          Object.assign({}, details, { cache: requester.cache })
+        );
+      });
+    });
+  }
+
+  /**
+   * Adds a requester to a pending fetch. When its signal is aborted, the requester is called back
+   * with an AbortError and removed, and the fetch is aborted if it was the last one.
+   * @param  {Object} pendingRequest - The pending fetch.
+   * @param  {AbortSignal} signal - The signal of the requester, if any.
+   * @param  {String} cache - The cache status of the requester, 'miss' or 'coalesced'.
+   * @param  {Function} cb - The callback of the requester.
+   * @return {void}
+   */
+  addRequester(pendingRequest, signal, cache, cb) {
+    const requester = {
+      cb,
+      cache,
+      release: () => signal && signal.removeEventListener('abort', onAbort)
+    };
+    const onAbort = () => {
+      requester.release();
+      pendingRequest.requesters = pendingRequest.requesters.filter(
+        item => item !== requester
+      );
+      if (!pendingRequest.requesters.length) {
+        // A new request for the url must start a new fetch
+        if (this.pendingRequests[pendingRequest.url] === pendingRequest) {
+          delete this.pendingRequests[pendingRequest.url];
+        }
+        pendingRequest.signal.abort();
+      }
+      cb(util.createAbortError(), null, { cache: requester.cache });
+    };
+
+    pendingRequest.requesters.push(requester);
+    if (signal) {
+      if (signal.aborted) {
+        return onAbort();
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+  }
+}
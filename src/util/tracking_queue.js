@@ -0,0 +1,293 @@
+import { Storage } from './storage';
+import { trackingTransport } from '../tracking_transport';
+
+const DEFAULT_STORAGE_KEY = 'vast-client-tracking-queue';
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 5 * 60 * 1000;
+const DEFAULT_LEASE_DURATION = 60 * 1000;
+
+/**
+ * Returns whether the device is known to be offline.
+ * @return {Boolean}
+ */
+function isOffline() {
+  return (
+    typeof navigator !== 'undefined' &&
+    navigator !== null &&
+    navigator.onLine === false
+  );
+}
+
+/**
+ * Returns a random id. The queues of several pages can share the same storage,
+ * so a counter is not enough.
+ * @return {String}
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 10)}`;
+}
+
+/**
+ * Returns a new id for an entry of the queue, unique among the pending ones.
+ * @param  {Object} pending - The pending entries, indexed by id.
+ * @return {String}
+ */
+function createEntryId(pending) {
+  let id = null;
+  do {
+    id = createId();
+  } while (pending.hasOwnProperty(id));
+  return id;
+}
+
+/**
+ * This class provides a tracking transport which persists the pending tracking urls in a Storage,
+ * so that the calls made while the device is offline, or when the page is killed, are not lost.
+ * The failed calls are retried with an exponential backoff until they expire.
+ * Each queued call is delivered at most once: a call interrupted before its result is known
+ * is never replayed. A url sent several times is queued, and delivered, as many times.
+ * @export
+ * @class TrackingQueue
+ */
+export class TrackingQueue {
+  /**
+   * Creates an instance of TrackingQueue, and resumes the delivery of the urls persisted by a previous one.
+   * @param {Object} options - An optional Object of parameters.
+   * @param {Object} options.transport - The transport of the calls, the default one if not provided.
+   * @param {Storage} options.storage - The storage of the queue, the default Storage if not provided.
+   * @param {String} options.storageKey - The key of the queue in the storage.
+   * @param {Number} options.maxAge - The time in ms after which a url which could not be sent is dropped (default 24 hours).
+   * @param {Number} options.baseDelay - The delay in ms before the first retry of a failed call (default 1000).
+   * @param {Number} options.maxDelay - The maximum delay in ms between two attempts (default 5 minutes).
+   * @param {Number} options.leaseDuration - The time in ms after which a call still in flight is considered interrupted (default 1 minute).
+   * @constructor
+   */
+  constructor(options = {}) {
+    this.transport = options.transport || trackingTransport;
+    this.storage = options.storage || new Storage();
+    this.storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.baseDelay = options.baseDelay || DEFAULT_BASE_DELAY;
+    this.maxDelay = options.maxDelay || DEFAULT_MAX_DELAY;
+    this.leaseDuration = options.leaseDuration || DEFAULT_LEASE_DURATION;
+    // The owner of the calls in flight, the queues of other pages may share the storage
+    this.id = createId();
+    this.callbacks = {};
+    this.timer = null;
+    this.onOnline = () => this.flush(true);
+
+    if (typeof window !== 'undefined' && window !== null) {
+      window.addEventListener('online', this.onOnline);
+    }
+
+    // The result of the calls in flight when a previous queue stopped is unknown,
+    // they may have been received: they are dropped rather than sent twice.
+    // The calls of the queues still running elsewhere are left until their lease expires.
+    const state = this.load();
+    const now = Date.now();
+    for (const id in state.pending) {
+      const entry = state.pending[id];
+      if (entry.sending && !(entry.sentAt + this.leaseDuration > now)) {
+        delete state.pending[id];
+      }
+    }
+    this.save(state);
+    this.flush();
+  }
+
+  /**
+   * Returns the state of the queue persisted in the storage: the pending entries, indexed by id.
+   * @return {Object}
+   */
+  load() {
+    let state = null;
+    try {
+      state = JSON.parse(this.storage.getItem(this.storageKey));
+    } catch (e) {
+      state = null;
+    }
+
+    return state && state.pending ? state : { pending: {} };
+  }
+
+  /**
+   * Persists the state of the queue.
+   * @param  {Object} state - The state of the queue.
+   * @return {void}
+   */
+  save(state) {
+    this.storage.setItem(this.storageKey, JSON.stringify(state));
+  }
+
+  /**
+   * Returns the urls waiting to be sent, a url being listed once per pending call.
+   * @return {Array<String>}
+   */
+  getPendingURLs() {
+    const { pending } = this.load();
+    return Object.keys(pending).map(id => pending[id].url);
+  }
+
+  /**
+   * Adds a url to the queue and sends it, following the transport interface.
+   * The callback is called once the url has been sent, or dropped.
+   * @param  {String} url - The tracking url.
+   * @param  {Object} options - The options of the call, unused.
+   * @param  {Function} cb - Called with an Error, or null once the url has been sent.
+   * @return {void}
+   */
+  send(url, options, cb = () => {}) {
+    const state = this.load();
+    const id = createEntryId(state.pending);
+    const now = Date.now();
+    state.pending[id] = {
+      url,
+      createdAt: now,
+      attempts: 0,
+      nextAttemptAt: now,
+      sending: false
+    };
+    this.save(state);
+    this.callbacks[id] = cb;
+
+    this.flush();
+  }
+
+  /**
+   * Sends the pending urls which are due, or all of them when force is true,
+   * unless the device is offline. The expired urls are dropped.
+   * @param  {Boolean} [force=false] - Whether to send the urls waiting for a retry.
+   * @return {void}
+   */
+  flush(force = false) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const state = this.load();
+    const now = Date.now();
+    const dueIds = [];
+
+    for (const id in state.pending) {
+      const entry = state.pending[id];
+      if (entry.createdAt + this.maxAge <= now) {
+        delete state.pending[id];
+        this.complete(id, new Error(`Tracking url expired: ${entry.url}`));
+      } else if (!entry.sending && (force || entry.nextAttemptAt <= now)) {
+        dueIds.push(id);
+      }
+    }
+
+    if (isOffline()) {
+      this.save(state);
+      return;
+    }
+
+    dueIds.forEach(id => {
+      Object.assign(state.pending[id], {
+        sending: true,
+        owner: this.id,
+        sentAt: now
+      });
+    });
+    this.save(state);
+
+    dueIds.forEach(id => {
+      this.transport.send(state.pending[id].url, {}, err =>
+        this.onResult(id, err)
+      );
+    });
+    this.scheduleFlush();
+  }
+
+  /**
+   * Handles the result of a call: a sent url is removed from the queue, a failed one is scheduled for a retry.
+   * @param  {String} id - The id of the queued call.
+   * @param  {Error} err - The error of the call, if any.
+   * @return {void}
+   */
+  onResult(id, err) {
+    const state = this.load();
+    const entry = state.pending[id];
+    // The call has been dropped by another queue meanwhile, it can't be retried anymore
+    if (!entry || entry.owner !== this.id) {
+      return this.complete(id, err || null);
+    }
+
+    if (!err) {
+      delete state.pending[id];
+      this.save(state);
+      return this.complete(id, null);
+    }
+
+    entry.sending = false;
+    entry.attempts++;
+    entry.nextAttemptAt =
+      Date.now() +
+      Math.min(this.maxDelay, this.baseDelay * Math.pow(2, entry.attempts - 1));
+    this.save(state);
+    this.scheduleFlush();
+  }
+
+  /**
+   * Calls the callback given for a queued call, if it was queued by this instance.
+   * @param  {String} id - The id of the queued call.
+   * @param  {Error} err - The error of the delivery, if any.
+   * @return {void}
+   */
+  complete(id, err) {
+    const cb = this.callbacks[id];
+    delete this.callbacks[id];
+    if (cb) {
+      cb(err);
+    }
+  }
+
+  /**
+   * Schedules the next flush at the time of the earliest retry or expiration.
+   * @return {void}
+   */
+  scheduleFlush() {
+    const state = this.load();
+    let nextAttemptAt = Infinity;
+    for (const id in state.pending) {
+      const entry = state.pending[id];
+      if (!entry.sending) {
+        nextAttemptAt = Math.min(
+          nextAttemptAt,
+          entry.nextAttemptAt,
+          entry.createdAt + this.maxAge
+        );
+      }
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (nextAttemptAt === Infinity) {
+      return;
+    }
+
+    this.timer = setTimeout(
+      () => this.flush(),
+      Math.max(0, nextAttemptAt - Date.now())
+    );
+    // A pending retry doesn't keep a node process alive, the urls stay in the storage
+    if (this.timer && this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stops the queue: no retry is made anymore, the pending urls are kept in the storage.
+   * @return {void}
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (typeof window !== 'undefined' && window !== null) {
+      window.removeEventListener('online', this.onOnline);
+    }
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * This class records the tracking calls made through util.track, to audit them.
+ * In dry-run mode, the calls are recorded without being sent.
+ * @export
+ * @class TrackingRecorder
+ */
+export class TrackingRecorder {
+  /**
+   * Creates an instance of TrackingRecorder.
+   * @param {Object} options - An optional Object of parameters.
+   * @param {Boolean} options.dryRun - Whether the recorded calls must not be sent (default false).
+   * @constructor
+   */
+  constructor(options = {}) {
+    this.dryRun = options.dryRun === true;
+    this.entries = [];
+  }
+
+  /**
+   * Records a tracking call.
+   * @param  {Object} entry - The call: its event, template, url, variables and source.
+   * @return {void}
+   */
+  record(entry) {
+    this.entries.push({
+      event: entry.event || null,
+      template: entry.template,
+      url: entry.url,
+      variables: Object.assign({}, entry.variables),
+      timestamp: Date.now(),
+      source: entry.source || null,
+      sent: !this.dryRun
+    });
+  }
+
+  /**
+   * Returns the recorded calls, optionally only the ones matching the given event name.
+   * @param  {String} [event] - The name of the event.
+   * @return {Array<Object>}
+   */
+  getEntries(event) {
+    return event
+      ? this.entries.filter(entry => entry.event === event)
+      : this.entries.slice();
+  }
+
+  /**
+   * Removes all the recorded calls.
+   * @return {void}
+   */
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * Returns the recorded calls, used by JSON.stringify.
+   * @return {Array<Object>}
+   */
+  toJSON() {
+    return this.getEntries();
+  }
+
+  /**
+   * Exports the recorded calls as a JSON string.
+   * @param  {Number} [space] - The indentation of the JSON, none by default.
+   * @return {String}
+   */
+  export(space) {
+    return JSON.stringify(this, null, space);
+  }
+}
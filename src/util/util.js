@@ -1,80 +1,94 @@
-function track(URLTemplates, variables, options) {
+import { macroUtils } from './macros';
+import { trackingTransport } from '../tracking_transport';
+
+/**
+ * Calls the provided URLTemplates, once resolved with the given values, through a tracking transport.
+ *
+ * @param {Array} URLTemplates - An array of tracking url templates.
+ * @param {Object} [variables={}] - An optional Object of parameters to be used in the tracking calls.
+ * @param {Object} [options={}] - An optional Object of options to be used in the tracking calls.
+ * @param {Object} [options.transport] - The transport of the calls, the default one if not provided.
+ * @param {Function} [options.callback] - Called with an error, or null, and the url once each call is done.
+ * @param {TrackingRecorder} [options.recorder] - Records the calls, which are not sent in dry-run mode.
+ * @param {String} [options.event] - The name of the tracked event, for the recorder.
+ * @param {String} [options.source] - The name of the caller, for the recorder.
+ */
+function track(URLTemplates, variables = {}, options = {}) {
   const URLs = resolveURLTemplates(URLTemplates, variables, options);
+  const transport = options.transport || trackingTransport;
+  const recorder = options.recorder;
+
+  if (recorder) {
+    const templates = Object.keys(URLTemplates)
+      .map(key => URLTemplates[key])
+      .filter(URLTemplate => typeof URLTemplate === 'string');
+
+    URLs.forEach((URL, index) =>
+      recorder.record({
+        event: options.event,
+        template: templates[index],
+        url: URL,
+        variables,
+        source: options.source
+      })
+    );
+    if (recorder.dryRun) {
+      return;
+    }
+  }
 
   URLs.forEach(URL => {
-    if (typeof window !== 'undefined' && window !== null) {
-      const i = new Image();
-      i.src = URL;
-    }
+    transport.send(URL, {}, err => {
+      if (options.callback) {
+        options.callback(err || null, URL);
+      }
+    });
   });
 }
 
 /**
  * Replace the provided URLTemplates with the given values
+ * Every occurrence of the macros is replaced, their values being encoded following the VAST 4.1 rules.
  *
  * @param {Array} URLTemplates - An array of tracking url templates.
  * @param {Object} [variables={}] - An optional Object of parameters to be used in the tracking calls.
  * @param {Object} [options={}] - An optional Object of options to be used in the tracking calls.
  */
 function resolveURLTemplates(URLTemplates, variables = {}, options = {}) {
-  const URLs = [];
-
-  // Encode String variables, when given
-  if (variables['ASSETURI']) {
-    variables['ASSETURI'] = encodeURIComponentRFC3986(variables['ASSETURI']);
-  }
-  if (variables['CONTENTPLAYHEAD']) {
-    variables['CONTENTPLAYHEAD'] = encodeURIComponentRFC3986(
-      variables['CONTENTPLAYHEAD']
-    );
-  }
+  const values = Object.assign({}, variables);
 
   // Set default value for invalid ERRORCODE
   if (
-    variables['ERRORCODE'] &&
+    values['ERRORCODE'] &&
     !options.isCustomCode &&
-    !/^[0-9]{3}$/.test(variables['ERRORCODE'])
+    !/^[0-9]{3}$/.test(values['ERRORCODE'])
   ) {
-    variables['ERRORCODE'] = 900;
+    values['ERRORCODE'] = 900;
   }
 
   // Calc random/time based macros
-  variables['CACHEBUSTING'] = leftpad(
+  values['CACHEBUSTING'] = leftpad(
     Math.round(Math.random() * 1.0e8).toString()
   );
-  variables['TIMESTAMP'] = encodeURIComponentRFC3986(new Date().toISOString());
+  values['TIMESTAMP'] = new Date().toISOString();
 
   // RANDOM/random is not defined in VAST 3/4 as a valid macro tho it's used by some adServer (Auditude)
-  variables['RANDOM'] = variables['random'] = variables['CACHEBUSTING'];
+  values['RANDOM'] = values['random'] = values['CACHEBUSTING'];
 
+  const URLs = [];
   for (const URLTemplateKey in URLTemplates) {
-    let resolveURL = URLTemplates[URLTemplateKey];
+    const URLTemplate = URLTemplates[URLTemplateKey];
 
-    if (typeof resolveURL !== 'string') {
+    if (typeof URLTemplate !== 'string') {
       continue;
     }
 
-    for (const key in variables) {
-      const value = variables[key];
-      const macro1 = `[${key}]`;
-      const macro2 = `%%${key}%%`;
-      resolveURL = resolveURL.replace(macro1, value);
-      resolveURL = resolveURL.replace(macro2, value);
-    }
-    URLs.push(resolveURL);
+    URLs.push(macroUtils.resolveMacros(URLTemplate, values));
   }
 
   return URLs;
 }
 
-// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/encodeURIComponent
-function encodeURIComponentRFC3986(str) {
-  return encodeURIComponent(str).replace(
-    /[!'()*]/g,
-    c => `%${c.charCodeAt(0).toString(16)}`
-  );
-}
-
 function leftpad(str) {
   if (str.length < 8) {
     return (
@@ -128,13 +142,35 @@ function joinArrayUnique(arr1 = [], arr2 = []) {
   }, []);
 }
 
+/**
+ * Creates the Error rejected by the requests aborted through an AbortSignal.
+ * @return {Error} An Error named AbortError, like the native aborted fetch errors.
+ */
+function createAbortError() {
+  const error = new Error('VAST request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Returns whether the given error comes from an aborted request.
+ * @param {Error} error
+ * @return {Boolean}
+ */
+function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
 export const util = {
   track,
   resolveURLTemplates,
-  encodeURIComponentRFC3986,
+  encodeURIComponentRFC3986: macroUtils.encodeURIComponentRFC3986,
   leftpad,
   range,
+  formatDuration: macroUtils.formatTimecode,
   isNumeric,
   flatten,
-  joinArrayUnique
+  joinArrayUnique,
+  createAbortError,
+  isAbortError
 };
@@ -1,6 +1,25 @@
+import { MacroRegistry } from './util/macro_registry';
 import { Storage } from './util/storage';
+import { auctionUtils } from './util/auction_utils';
+import { util } from './util/util';
 import { VASTParser } from './parser/vast_parser';
 
+/**
+ * Returns whether the given response has an ad which can be played:
+ * a linear creative with media files or a non-linear creative with variations.
+ * @param  {VASTResponse} response - A parsed VASTResponse.
+ * @return {Boolean}
+ */
+function hasPlayableAd(response) {
+  return response.ads.some(ad =>
+    ad.creatives.some(
+      creative =>
+        (creative.type === 'linear' && creative.mediaFiles.length > 0) ||
+        (creative.type === 'nonlinear' && creative.variations.length > 0)
+    )
+  );
+}
+
 /**
  * This class provides methods to fetch and parse a VAST document using VASTParser.
  * In addition it provides options to skip consecutive calls based on constraints.
@@ -23,6 +42,9 @@ export class VASTClient {
       timeout: 0
     };
     this.vastParser = new VASTParser();
+    // The macros of the player, replaced in the error urls and in the urls of its trackers
+    this.macros = new MacroRegistry();
+    this.vastParser.macros = this.macros;
     this.storage = customStorage || new Storage();
 
     // Init values if not already set
@@ -50,6 +72,22 @@ export class VASTClient {
     this.storage.setItem('vast-client-last-successful-ad', value);
   }
 
+  get trackingTransport() {
+    return this.vastParser.trackingTransport;
+  }
+
+  set trackingTransport(transport) {
+    this.vastParser.trackingTransport = transport;
+  }
+
+  get trackingRecorder() {
+    return this.vastParser.trackingRecorder;
+  }
+
+  set trackingRecorder(recorder) {
+    this.vastParser.trackingRecorder = recorder;
+  }
+
   get totalCalls() {
     return this.storage.getItem('vast-client-total-calls');
   }
@@ -67,20 +105,22 @@ export class VASTClient {
   }
 
   /**
-   * Returns a boolean indicating if there are more ads to resolve for the current parsing.
+   * Returns a boolean indicating if there are more ads to resolve for the given parsing session.
+   * @param  {ParsingSession} session - The session of a response, the last started one by default.
    * @return {Boolean}
    */
-  hasRemainingAds() {
-    return this.vastParser.remainingAds.length > 0;
+  hasRemainingAds(session = this.vastParser.session) {
+    return session.hasRemainingAds();
   }
 
   /**
    * Resolves the next group of ads. If all is true resolves all the remaining ads.
    * @param  {Boolean} all - If true all the remaining ads are resolved
+   * @param  {Object} options - An optional Object of parameters, such as the session of a response or an AbortSignal.
    * @return {Promise}
    */
-  getNextAds(all) {
-    return this.vastParser.getRemainingAds(all);
+  getNextAds(all, options = {}) {
+    return this.vastParser.getRemainingAds(all, options);
   }
 
   /**
@@ -92,6 +132,249 @@ export class VASTClient {
    */
   get(url, options = {}) {
     const now = Date.now();
+    options = this.getRequestOptions(options);
+
+    return this.checkCapping(now).then(() =>
+      this.vastParser.getAndParseVAST(url, options)
+    );
+  }
+
+  /**
+   * Tries the given ad tags in order until one of them returns a playable ad.
+   * The skipping rules defined apply to the whole waterfall, as for a single call to get.
+   * Returns a Promise which resolves with the VASTResponse of the first filled tier,
+   * or rejects with an Error. Both carry the report of the tiers in a waterfall property.
+   * @param  {Array} tags - The ad tags, as urls or Objects with an url and a timeout.
+   * @param  {Object} options - An optional Object of parameters to be applied in the process.
+   * @param  {Number} options.deadline - The time budget in ms of the whole waterfall.
+   * @param  {Number} options.tierTimeout - The time budget in ms of a tier, unless its tag defines its own.
+   * @param  {Function} options.isPlayable - Returns whether a VASTResponse has a playable ad.
+   * @return {Promise}
+   */
+  getWaterfall(tags, options = {}) {
+    const now = Date.now();
+    options = this.getRequestOptions(options);
+    const waterfallDeadline = options.deadline ? now + options.deadline : null;
+    const isPlayable = options.isPlayable || hasPlayableAd;
+    const report = [];
+
+    const failWaterfall = message => {
+      const error = new Error(message);
+      error.waterfall = report;
+      return Promise.reject(error);
+    };
+
+    const tiers = tags.map(
+      tag => (typeof tag === 'string' ? { url: tag } : tag)
+    );
+
+    const tryTier = index => {
+      if (index >= tiers.length) {
+        return failWaterfall('No playable ad in the waterfall');
+      }
+
+      const timeLeft = waterfallDeadline
+        ? waterfallDeadline - Date.now()
+        : null;
+      if (timeLeft !== null && timeLeft <= 0) {
+        // The remaining tiers aren't tried
+        tiers.slice(index).forEach(tier =>
+          report.push({
+            url: tier.url,
+            status: 'skipped',
+            reason: 'Waterfall deadline exceeded',
+            duration: 0
+          })
+        );
+        return failWaterfall('VAST waterfall deadline exceeded');
+      }
+
+      const tag = tiers[index];
+      const tierReport = {
+        url: tag.url,
+        status: null,
+        reason: null,
+        duration: 0
+      };
+      report.push(tierReport);
+
+      const tierTimeouts = [
+        tag.timeout || options.tierTimeout,
+        timeLeft
+      ].filter(timeout => timeout > 0);
+      const tierDeadline = tierTimeouts.length
+        ? Math.min(...tierTimeouts)
+        : null;
+      const tierStart = Date.now();
+
+      return this.vastParser
+        .getAndParseVAST(
+          tag.url,
+          Object.assign({}, options, { deadline: tierDeadline })
+        )
+        .then(
+          response => {
+            tierReport.duration = Date.now() - tierStart;
+
+            if (isPlayable(response)) {
+              tierReport.status = 'filled';
+              response.waterfall = report;
+              return response;
+            }
+
+            if (tierDeadline && tierReport.duration >= tierDeadline) {
+              tierReport.status = 'timeout';
+              tierReport.reason = 'VAST deadline exceeded';
+            } else {
+              tierReport.status = 'no-ad';
+              tierReport.reason =
+                response.ads.length === 0
+                  ? 'No ad in the VAST response'
+                  : 'No playable ad in the VAST response';
+            }
+            return tryTier(index + 1);
+          },
+          error => {
+            // An aborted waterfall doesn't try the next tiers
+            if (util.isAbortError(error)) {
+              throw error;
+            }
+
+            tierReport.duration = Date.now() - tierStart;
+            tierReport.status =
+              error.message === 'VAST deadline exceeded' ? 'timeout' : 'error';
+            tierReport.reason = error.message;
+            return tryTier(index + 1);
+          }
+        );
+    };
+
+    return this.checkCapping(now).then(() => tryTier(0));
+  }
+
+  /**
+   * Requests the given ad tags at the same time and selects the response with the highest price.
+   * The prices are read from the <Pricing> of the ads, converted to a CPM in a single currency.
+   * The [AUCTION_PRICE], [AUCTION_CURRENCY] and [AUCTION_LOSS] macros of the responses are expanded.
+   * The skipping rules defined apply to the whole auction, as for a single call to get.
+   * Returns a Promise which resolves with the winning VASTResponse, or rejects with an Error.
+   * Both carry the report of the auction in an auction property.
+   * @param  {Array} tags - The urls of the ad tags.
+   * @param  {Object} options - An optional Object of parameters to be applied in the process.
+   * @param  {Number} options.floor - The minimum price of a winning bid, as a CPM.
+   * @param  {Object} options.rateTable - The rates to convert the prices, see auctionUtils.normalizePrice.
+   * @return {Promise}
+   */
+  getAuction(tags, options = {}) {
+    const now = Date.now();
+    options = this.getRequestOptions(options);
+    const floor = options.floor || 0;
+    const rateTable = options.rateTable || {};
+    const currency = rateTable.currency || 'USD';
+
+    const requestTag = url =>
+      this.vastParser.getAndParseVAST(url, Object.assign({}, options)).then(
+        response => ({ url, response, error: null }),
+        error => {
+          // An aborted auction has no result
+          if (util.isAbortError(error)) {
+            throw error;
+          }
+          return { url, response: null, error };
+        }
+      );
+
+    return this.checkCapping(now)
+      .then(() => Promise.all(tags.map(requestTag)))
+      .then(results => {
+        const bids = results.map(({ url, response, error }) => {
+          const bid = {
+            url,
+            response,
+            status: 'lost',
+            price: null,
+            reason: null,
+            lossCode: null
+          };
+
+          if (error) {
+            bid.status = 'error';
+            bid.reason = error.message;
+          } else if (response.ads.length === 0) {
+            bid.status = 'no-bid';
+            bid.reason = 'No ad in the VAST response';
+          } else {
+            const prices = response.ads
+              .map(ad => auctionUtils.normalizePrice(ad.pricing, rateTable))
+              .filter(price => price !== null);
+            bid.price = prices.length ? Math.max(...prices) : null;
+
+            if (bid.price === null) {
+              bid.reason = 'No comparable pricing';
+              bid.lossCode = auctionUtils.LOSS_REASONS.INVALID_BID;
+            } else if (bid.price < floor) {
+              bid.reason = 'Bid below the floor';
+              bid.lossCode = auctionUtils.LOSS_REASONS.BELOW_FLOOR;
+            }
+          }
+
+          return bid;
+        });
+
+        // The first of the highest bids wins
+        const winner = bids
+          .filter(bid => bid.status === 'lost' && bid.lossCode === null)
+          .reduce(
+            (best, bid) => (best && best.price >= bid.price ? best : bid),
+            null
+          );
+        const auction = {
+          price: winner ? winner.price : null,
+          currency,
+          bids
+        };
+        const macros = {
+          AUCTION_PRICE: winner ? auctionUtils.formatPrice(winner.price) : '',
+          AUCTION_CURRENCY: currency
+        };
+
+        bids.forEach(bid => {
+          if (bid === winner) {
+            bid.status = 'won';
+          } else if (bid.status === 'lost' && bid.lossCode === null) {
+            bid.reason = 'Lower than the winning bid';
+            bid.lossCode = auctionUtils.LOSS_REASONS.LOWER_BID;
+          }
+
+          if (bid.response) {
+            // The winner has no loss reason: its [AUCTION_LOSS] is emptied
+            const bidMacros = Object.assign(
+              { AUCTION_LOSS: bid === winner ? '' : bid.lossCode },
+              macros
+            );
+            bid.response.ads.forEach(ad =>
+              auctionUtils.expandAdMacros(ad, bidMacros)
+            );
+          }
+        });
+
+        if (!winner) {
+          const error = new Error('No winning bid in the auction');
+          error.auction = auction;
+          throw error;
+        }
+
+        winner.response.auction = auction;
+        return winner.response;
+      });
+  }
+
+  /**
+   * Returns the options of a request, merged with the default ones.
+   * @param  {Object} options - The options given for the request.
+   * @return {Object}
+   */
+  getRequestOptions(options) {
     options = Object.assign({}, this.defaultOptions, options);
 
     // By default the client resolves only the first Ad or AdPod
@@ -99,6 +382,16 @@ export class VASTClient {
       options.resolveAll = false;
     }
 
+    return options;
+  }
+
+  /**
+   * Counts a new call and applies the skipping rules defined.
+   * Returns a Promise which resolves if the call is allowed or rejects with an Error.
+   * @param  {Number} now - The time of the call.
+   * @return {Promise}
+   */
+  checkCapping(now) {
     // Check totalCallsTimeout (first call + 1 hour), if older than now,
     // reset totalCalls number, by this way the client will be eligible again
     // for freelunch capping
@@ -136,10 +429,7 @@ export class VASTClient {
         );
       }
 
-      this.vastParser
-        .getAndParseVAST(url, options)
-        .then(response => resolve(response))
-        .catch(err => reject(err));
+      resolve();
     });
   }
 }
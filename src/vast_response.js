@@ -1,7 +1,162 @@
+import { Ad } from './ad';
+import { AdExtension } from './ad_extension';
+import { AdExtensionChild } from './ad_extension_child';
+import { CompanionAd } from './companion_ad';
+import { CreativeCompanion } from './creative/creative_companion';
+import { CreativeLinear } from './creative/creative_linear';
+import { CreativeNonLinear } from './creative/creative_non_linear';
+import { Icon } from './icon';
+import { MediaFile } from './media_file';
+import { NonLinearAd } from './non_linear_ad';
+import { Verification } from './verification';
+
+/**
+ * The version of the snapshots produced by VASTResponse.toJSON.
+ * It must be increased, with a matching entry in SNAPSHOT_MIGRATIONS,
+ * whenever the shape of the serialized models changes.
+ * @constant
+ * @type {Number}
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Functions upgrading a snapshot from the version they are indexed by
+ * to the next one.
+ * @constant
+ * @type {Object}
+ */
+const SNAPSHOT_MIGRATIONS = {};
+
 export class VASTResponse {
   constructor() {
     this.ads = [];
     this.errorURLTemplates = [];
     this.version = null;
+    // The parsing session which produced the response, not part of the snapshots
+    this.session = null;
   }
+
+  /**
+   * Returns a versioned snapshot of the response, made of plain objects only.
+   * Called by JSON.stringify.
+   * @return {Object}
+   */
+  toJSON() {
+    return JSON.parse(
+      JSON.stringify({
+        snapshotVersion: SNAPSHOT_VERSION,
+        ads: this.ads,
+        errorURLTemplates: this.errorURLTemplates,
+        version: this.version
+      })
+    );
+  }
+
+  /**
+   * Rebuilds a VASTResponse and its models from a snapshot created by toJSON.
+   * Throws an Error if the snapshot is invalid or was created by a newer version of the library.
+   * @param  {Object|String} snapshot - The snapshot, or its JSON string.
+   * @return {VASTResponse}
+   */
+  static fromJSON(snapshot) {
+    if (typeof snapshot === 'string') {
+      snapshot = JSON.parse(snapshot);
+    }
+    if (!snapshot || typeof snapshot.snapshotVersion !== 'number') {
+      throw new Error('Invalid VASTResponse snapshot');
+    }
+    if (snapshot.snapshotVersion > SNAPSHOT_VERSION) {
+      throw new Error(
+        `Unsupported VASTResponse snapshot version: ${snapshot.snapshotVersion}`
+      );
+    }
+
+    let snapshotVersion = snapshot.snapshotVersion;
+    while (snapshotVersion < SNAPSHOT_VERSION) {
+      snapshot = SNAPSHOT_MIGRATIONS[snapshotVersion](snapshot);
+      snapshotVersion++;
+    }
+
+    const response = new VASTResponse();
+    response.ads = (snapshot.ads || []).map(rehydrateAd);
+    response.errorURLTemplates = snapshot.errorURLTemplates || [];
+    response.version = snapshot.version || null;
+
+    return response;
+  }
+}
+
+/**
+ * Creates an instance of the given model class and copies the given data into it.
+ * @param  {Function} ModelClass - The class of the model.
+ * @param  {Object} data - The serialized model.
+ * @return {Object}
+ */
+function rehydrate(ModelClass, data) {
+  return Object.assign(new ModelClass(), data);
+}
+
+/**
+ * Rebuilds an Ad with its creatives, extensions and verifications.
+ * @param  {Object} data - The serialized Ad.
+ * @return {Ad}
+ */
+function rehydrateAd(data) {
+  const ad = rehydrate(Ad, data);
+  ad.creatives = (data.creatives || []).map(rehydrateCreative);
+  ad.extensions = (data.extensions || []).map(rehydrateExtension);
+  ad.adVerifications = (data.adVerifications || []).map(verification =>
+    rehydrate(Verification, verification)
+  );
+
+  return ad;
+}
+
+/**
+ * Rebuilds a creative of the class matching its type.
+ * @param  {Object} data - The serialized creative.
+ * @return {Creative}
+ */
+function rehydrateCreative(data) {
+  let creative;
+
+  switch (data.type) {
+    case 'linear':
+      creative = rehydrate(CreativeLinear, data);
+      creative.mediaFiles = (data.mediaFiles || []).map(mediaFile =>
+        rehydrate(MediaFile, mediaFile)
+      );
+      creative.icons = (data.icons || []).map(icon => rehydrate(Icon, icon));
+      break;
+    case 'nonlinear':
+      creative = rehydrate(CreativeNonLinear, data);
+      creative.variations = (data.variations || []).map(variation =>
+        rehydrate(NonLinearAd, variation)
+      );
+      break;
+    case 'companion':
+      creative = rehydrate(CreativeCompanion, data);
+      creative.variations = (data.variations || []).map(variation =>
+        rehydrate(CompanionAd, variation)
+      );
+      break;
+    default:
+      throw new Error(`Unknown creative type in snapshot: ${data.type}`);
+  }
+
+  return creative;
+}
+
+/**
+ * Rebuilds an AdExtension with its children.
+ * @param  {Object} data - The serialized AdExtension.
+ * @return {AdExtension}
+ */
+function rehydrateExtension(data) {
+  const extension = rehydrate(AdExtension, data);
+  extension.children = (data.children || []).map(child =>
+    rehydrate(AdExtensionChild, child)
+  );
+
+  return extension;
 }
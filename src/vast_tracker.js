@@ -1,6 +1,9 @@
 import { CompanionAd } from './companion_ad';
 import { CreativeLinear } from './creative/creative_linear';
 import { EventEmitter } from 'events';
+import { MacroRegistry } from './util/macro_registry';
+import { macroUtils } from './util/macros';
+import { trackingTransport } from './tracking_transport';
 import { NonLinearAd } from './non_linear_ad';
 import { util } from './util/util';
 
@@ -11,6 +14,92 @@ import { util } from './util/util';
  */
 const DEFAULT_SKIP_DELAY = -1;
 
+/**
+ * The default policy of the crediting of the progress events:
+ * - detectSeeks: whether the forward jumps of the playhead are detected as seeks, the quartiles and
+ *   progress offsets being then credited only for the time actually played
+ * - seekThreshold: the largest forward jump in seconds between two progress updates which isn't a seek
+ * @constant
+ * @type {Object}
+ */
+const DEFAULT_SEEK_POLICY = {
+  detectSeeks: false,
+  seekThreshold: 2
+};
+
+/**
+ * The MRC viewability criteria: the share of the pixels of the ad in view, in percent,
+ * during a continuous time in ms, which depends on whether the ad is a video or a display one.
+ * @constant
+ * @type {Object}
+ */
+const VIEWABILITY_CRITERIA = {
+  percentInView: 50,
+  videoDuration: 2000,
+  displayDuration: 1000
+};
+
+/**
+ * The quartiles at which the audible and visible state of a linear ad is recorded, in order.
+ * @constant
+ * @type {Array<String>}
+ */
+const AVOC_QUARTILES = [
+  'firstQuartile',
+  'midpoint',
+  'thirdQuartile',
+  'complete'
+];
+
+/**
+ * The VAST error codes reported for the codes of a MediaError, indexed by code:
+ * MEDIA_ERR_ABORTED, MEDIA_ERR_NETWORK, MEDIA_ERR_DECODE and MEDIA_ERR_SRC_NOT_SUPPORTED.
+ * The other errors are reported as a general linear error (400).
+ * @constant
+ * @type {Object}
+ */
+const MEDIA_ERROR_CODES = {
+  1: 400,
+  2: 401,
+  3: 405,
+  4: 403
+};
+
+/**
+ * Rounds a time in seconds to the millisecond.
+ *
+ * @param {Number} time - The time in seconds.
+ * @return {Number}
+ */
+function roundTime(time) {
+  return Math.round(time * 1000) / 1000;
+}
+
+/**
+ * Returns whether the given media element is displayed in fullscreen,
+ * by the Fullscreen API or by the native player of iOS.
+ *
+ * @param {HTMLMediaElement} mediaElement - The media element.
+ * @return {Boolean}
+ */
+function isFullscreen(mediaElement) {
+  if (mediaElement.webkitDisplayingFullscreen) {
+    return true;
+  }
+  if (typeof document === 'undefined' || document === null) {
+    return false;
+  }
+
+  const fullscreenElement =
+    document.fullscreenElement || document.webkitFullscreenElement || null;
+  return (
+    fullscreenElement !== null &&
+    (fullscreenElement === mediaElement ||
+      (typeof fullscreenElement.contains === 'function' &&
+        fullscreenElement.contains(mediaElement)))
+  );
+}
+
 /**
  * This class provides methods to track an ad execution.
  *
@@ -34,9 +123,38 @@ export class VASTTracker extends EventEmitter {
     this.creative = creative;
     this.variation = variation;
     this.muted = false;
+    this.fullscreen = false;
+    this.autoplayed = false;
+    this.contentPlayhead = null;
     this.impressed = false;
     this.skippable = false;
     this.trackingEvents = {};
+    this.seekPolicy = Object.assign({}, DEFAULT_SEEK_POLICY);
+    // The segments of the ad played without seeking, sorted and merged: [{ start, end }]
+    this.watchedSegments = [];
+    // The macros of the tracker, inheriting the ones of the client
+    this.macros = new MacroRegistry({}, client ? client.macros : null);
+    // The transport of the tracking calls, the one of the client by default
+    this.trackingTransport = client
+      ? client.trackingTransport
+      : trackingTransport;
+    // An optional recorder of the tracking calls, the one of the client by default
+    this.trackingRecorder = client ? client.trackingRecorder : null;
+    // The media element the tracker is attached to, and the listeners it added
+    this.mediaElement = null;
+    this._mediaListeners = [];
+    // The state of the viewability measurement, see setViewability
+    this.viewabilityOutcome = null;
+    this._viewabilityEnded = false;
+    this._percentInView = null;
+    this._viewableTimer = null;
+    this._intersectionObserver = null;
+    // The audibility and visibility of the playback, see getAvocMetrics
+    this.timeAudible = 0;
+    this.timeVisible = 0;
+    this.timeAudibleAndVisible = 0;
+    this._audibleAndVisibleQuartiles = {};
+    this._avocTracked = false;
     // We need to save the already triggered quartiles, in order to not trigger them again
     this._alreadyTriggeredQuartiles = {};
     // Tracker listeners should be notified with some events
@@ -160,11 +278,17 @@ export class VASTTracker extends EventEmitter {
    * @emits VASTTracker#progress-[0-100]%
    * @emits VASTTracker#progress-[currentTime]
    * @emits VASTTracker#rewind
+   * @emits VASTTracker#seek
    * @emits VASTTracker#firstQuartile
    * @emits VASTTracker#midpoint
    * @emits VASTTracker#thirdQuartile
    */
   setProgress(progress) {
+    // The time credited to the progress events: the playhead, or the time played when seeks are detected
+    const creditedTime = this.seekPolicy.detectSeeks
+      ? this._updateWatchedSegments(progress)
+      : progress;
+    this._updateExposureTime(progress);
     const skipDelay = this.skipDelay || DEFAULT_SKIP_DELAY;
 
     if (skipDelay !== -1 && !this.skippable) {
@@ -180,18 +304,23 @@ export class VASTTracker extends EventEmitter {
       const events = [];
 
       if (progress > 0) {
-        const percent = Math.round((progress / this.assetDuration) * 100);
-
         events.push('start');
-        events.push(`progress-${percent}%`);
-        events.push(`progress-${Math.round(progress)}`);
+        // The offsets crossed since the previous call, as the progress isn't updated continuously
+        this.getReachedProgressEvents(creditedTime).forEach(eventName =>
+          events.push(eventName)
+        );
 
         for (const quartile in this.quartiles) {
           if (
-            this.isQuartileReached(quartile, this.quartiles[quartile], progress)
+            this.isQuartileReached(
+              quartile,
+              this.quartiles[quartile],
+              creditedTime
+            )
           ) {
             events.push(quartile);
             this._alreadyTriggeredQuartiles[quartile] = true;
+            this._recordAudibleAndVisible(quartile);
           }
         }
       }
@@ -206,6 +335,209 @@ export class VASTTracker extends EventEmitter {
     }
 
     this.progress = progress;
+
+    // The continuous time in view of a linear ad starts with its playback
+    if (this.linear && this._percentInView !== null) {
+      this._updateViewableTimer();
+    }
+  }
+
+  /**
+   * Sets the policy of the crediting of the progress events, merged with the default one.
+   * When seeks are detected, the quartiles and progress offsets are credited for the time actually played
+   * rather than for the position of the playhead, and a seek event is emitted for each forward jump.
+   *
+   * @param {Object} policy - The policy.
+   * @param {Boolean} [policy.detectSeeks=false] - Whether the seeks are detected.
+   * @param {Number} [policy.seekThreshold=2] - The largest forward jump in seconds between two progress updates which isn't a seek.
+   */
+  setSeekPolicy(policy) {
+    this.seekPolicy = Object.assign({}, DEFAULT_SEEK_POLICY, policy);
+  }
+
+  /**
+   * Returns the time in seconds of the ad played without seeking, each segment being counted once.
+   *
+   * @return {Number}
+   */
+  getWatchedTime() {
+    return this.watchedSegments.reduce(
+      (watchedTime, segment) => watchedTime + segment.end - segment.start,
+      0
+    );
+  }
+
+  /**
+   * Adds the segment played since the previous progress update to the watched segments,
+   * unless the playhead jumped backward or seeked forward.
+   *
+   * @param {Number} progress - Current playback time in seconds.
+   * @emits VASTTracker#seek
+   * @return {Number} The time played.
+   */
+  _updateWatchedSegments(progress) {
+    const previous = this.progress || 0;
+    const delta = progress - previous;
+
+    if (delta > this.seekPolicy.seekThreshold) {
+      this.emit('seek', { from: previous, to: progress });
+    } else if (delta > 0) {
+      let start = previous;
+      let end = progress;
+      const segments = [];
+
+      this.watchedSegments.forEach(segment => {
+        if (segment.end < start || segment.start > end) {
+          segments.push(segment);
+        } else {
+          start = Math.min(start, segment.start);
+          end = Math.max(end, segment.end);
+        }
+      });
+      segments.push({ start, end });
+      this.watchedSegments = segments.sort((a, b) => a.start - b.start);
+    }
+
+    return this.getWatchedTime();
+  }
+
+  /**
+   * Returns the audibility and visibility metrics of the playback of a linear ad:
+   * the time played audible, in view, and both, in seconds, and whether the ad was
+   * audible and visible when each quartile was reached, and on completion (AVOC).
+   * The ad is audible when it isn't muted, and visible when 50% of its pixels are in view
+   * (see setViewability). The visibility metrics are null if it has never been measured,
+   * as well as the state of the quartiles not reached and the AVOC before the ad ends.
+   *
+   * @return {Object}
+   */
+  getAvocMetrics() {
+    const measured = this._percentInView !== null;
+    const quartiles = {};
+    AVOC_QUARTILES.forEach(quartile => {
+      quartiles[quartile] =
+        measured && this._audibleAndVisibleQuartiles.hasOwnProperty(quartile)
+          ? this._audibleAndVisibleQuartiles[quartile]
+          : null;
+    });
+
+    return {
+      timeAudible: roundTime(this.timeAudible),
+      timeVisible: measured ? roundTime(this.timeVisible) : null,
+      timeAudibleAndVisible: measured
+        ? roundTime(this.timeAudibleAndVisible)
+        : null,
+      quartiles,
+      // Unknown until the ad ends, an ad skipped or closed isn't completed
+      audibleAndVisibleOnCompletion:
+        measured && (this._avocTracked || quartiles.complete !== null)
+          ? quartiles.complete === true
+          : null
+    };
+  }
+
+  /**
+   * Adds the time played since the previous progress update to the audible and visible times,
+   * following the current states of the ad. The backward jumps and the seeks aren't played time.
+   *
+   * @param {Number} progress - Current playback time in seconds.
+   * @return {void}
+   */
+  _updateExposureTime(progress) {
+    const delta = progress - (this.progress || 0);
+    if (!(delta > 0 && delta <= this.seekPolicy.seekThreshold)) {
+      return;
+    }
+
+    const audible = this._isAudible();
+    const visible = this._isVisible();
+    if (audible) {
+      this.timeAudible += delta;
+    }
+    if (visible) {
+      this.timeVisible += delta;
+    }
+    if (audible && visible) {
+      this.timeAudibleAndVisible += delta;
+    }
+  }
+
+  /**
+   * Returns whether the ad is audible: it isn't muted.
+   *
+   * @return {Boolean}
+   */
+  _isAudible() {
+    return !this.muted;
+  }
+
+  /**
+   * Returns whether the ad is visible: 50% of its pixels are in view.
+   *
+   * @return {Boolean}
+   */
+  _isVisible() {
+    return this._percentInView >= VIEWABILITY_CRITERIA.percentInView;
+  }
+
+  /**
+   * Records whether the ad is audible and visible when it reaches the given quartile.
+   *
+   * @param {String} quartile - The name of the quartile.
+   * @return {void}
+   */
+  _recordAudibleAndVisible(quartile) {
+    if (!this._audibleAndVisibleQuartiles.hasOwnProperty(quartile)) {
+      this._audibleAndVisibleQuartiles[quartile] =
+        this._isAudible() && this._isVisible();
+    }
+  }
+
+  /**
+   * Emits the summary of the audibility and visibility metrics when a linear ad ends, once.
+   * Its visibility metrics are null if the viewability has never been measured.
+   *
+   * @emits VASTTracker#avoc
+   * @return {void}
+   */
+  _endAvoc() {
+    if (!this.linear || this._avocTracked) {
+      return;
+    }
+
+    this._avocTracked = true;
+    this.emit('avoc', this.getAvocMetrics());
+  }
+
+  /**
+   * Returns the names of the progress events not tracked yet whose offset has been reached,
+   * sorted by offset. The offsets are either a percentage of the duration of the ad or a time in seconds.
+   *
+   * @param {Number} progress - The time in seconds reached by the ad.
+   * @return {Array<String>}
+   */
+  getReachedProgressEvents(progress) {
+    const reachedEvents = [];
+
+    for (const eventName in this.trackingEvents) {
+      const progressMatch = /^progress-(.+)$/.exec(eventName);
+      if (!progressMatch) {
+        continue;
+      }
+
+      const offset = progressMatch[1];
+      const time =
+        offset.charAt(offset.length - 1) === '%'
+          ? (parseFloat(offset) * this.assetDuration) / 100
+          : parseFloat(offset);
+      if (time >= 0 && time <= progress) {
+        reachedEvents.push({ eventName, time });
+      }
+    }
+
+    return reachedEvents
+      .sort((a, b) => a.time - b.time)
+      .map(reachedEvent => reachedEvent.eventName);
   }
 
   /**
@@ -252,6 +584,11 @@ export class VASTTracker extends EventEmitter {
       this.track(paused ? 'pause' : 'resume');
     }
     this.paused = paused;
+
+    // The video must be played during the continuous time in view
+    if (this.linear && this._percentInView !== null) {
+      this._updateViewableTimer();
+    }
   }
 
   /**
@@ -268,6 +605,173 @@ export class VASTTracker extends EventEmitter {
     this.fullscreen = fullscreen;
   }
 
+  /**
+   * Sets whether the ad started without any user interaction, reported in the [PLAYERSTATE] macro.
+   *
+   * @param {Boolean} autoplayed - Indicates if the ad has been autoplayed or not.
+   */
+  setAutoplayed(autoplayed) {
+    this.autoplayed = autoplayed;
+  }
+
+  /**
+   * Sets the share of the pixels of the ad in view, in percent, to measure its viewability.
+   * Following the MRC criteria, the ad is viewable once 50% of its pixels have been in view
+   * for 2 continuous seconds of playback for a linear ad, or 1 continuous second otherwise.
+   * The playback of a linear ad starts with its first progress, and stops while it's paused.
+   * A single outcome is tracked: viewable when the criteria are met, otherwise notViewable
+   * when the ad ends, or viewUndetermined if the viewability has never been measured.
+   * The visibility keeps being measured after the outcome, for the AVOC metrics, until the ad ends.
+   *
+   * @param {Number} percentInView - The share of the pixels of the ad in view, between 0 and 100.
+   * @emits VASTTracker#viewable
+   */
+  setViewability(percentInView) {
+    if (this._viewabilityEnded || typeof percentInView !== 'number') {
+      return;
+    }
+
+    this._percentInView = percentInView;
+    this._updateViewableTimer();
+  }
+
+  /**
+   * Measures the viewability of the ad from the intersection of the given element with the viewport,
+   * with an IntersectionObserver, until the ad ends.
+   * Returns false when the IntersectionObserver API isn't supported.
+   *
+   * @param {HTMLElement} element - The element displaying the ad.
+   * @return {Boolean}
+   */
+  observeViewability(element) {
+    if (typeof IntersectionObserver === 'undefined') {
+      return false;
+    }
+
+    this._disconnectIntersectionObserver();
+    if (this._viewabilityEnded) {
+      return true;
+    }
+
+    this._intersectionObserver = new IntersectionObserver(
+      entries => {
+        entries.forEach(entry =>
+          this.setViewability(entry.intersectionRatio * 100)
+        );
+      },
+      { threshold: [0, 0.25, 0.5, 0.75, 1] }
+    );
+    this._intersectionObserver.observe(element);
+    return true;
+  }
+
+  /**
+   * Starts the countdown of the continuous time in view when the ad meets the viewability criteria,
+   * or stops it when it doesn't anymore.
+   *
+   * @return {void}
+   */
+  _updateViewableTimer() {
+    // A linear ad is played once it has progressed, the paused state being unknown before
+    const inView =
+      this.viewabilityOutcome === null &&
+      this._percentInView >= VIEWABILITY_CRITERIA.percentInView &&
+      !(this.linear && (this.paused || !(this.progress > 0)));
+
+    if (inView && this._viewableTimer === null) {
+      this._viewableTimer = setTimeout(
+        () => this._trackViewability('viewable'),
+        this.linear
+          ? VIEWABILITY_CRITERIA.videoDuration
+          : VIEWABILITY_CRITERIA.displayDuration
+      );
+    } else if (!inView && this._viewableTimer !== null) {
+      clearTimeout(this._viewableTimer);
+      this._viewableTimer = null;
+    }
+  }
+
+  /**
+   * Stops the viewability measurement when the ad ends, and tracks its outcome if it isn't known yet.
+   * An ad which has no ViewableImpression urls and which hasn't been measured has no outcome.
+   *
+   * @emits VASTTracker#notViewable
+   * @emits VASTTracker#viewUndetermined
+   * @return {void}
+   */
+  _endViewability() {
+    this._viewabilityEnded = true;
+    this._disconnectIntersectionObserver();
+    if (this.viewabilityOutcome !== null) {
+      return;
+    }
+
+    if (this._percentInView !== null) {
+      this._trackViewability('notViewable');
+    } else if (this._hasViewableImpression()) {
+      this._trackViewability('viewUndetermined');
+    }
+  }
+
+  /**
+   * Returns whether the ad has any ViewableImpression url.
+   *
+   * @return {Boolean}
+   */
+  _hasViewableImpression() {
+    const viewableImpression = this.ad.viewableImpression;
+    return Boolean(
+      viewableImpression &&
+        (viewableImpression.viewableURLTemplates.length ||
+          viewableImpression.notViewableURLTemplates.length ||
+          viewableImpression.viewUndeterminedURLTemplates.length)
+    );
+  }
+
+  /**
+   * Calls the ViewableImpression urls of the given outcome and emits it.
+   *
+   * @param {String} outcome - viewable, notViewable or viewUndetermined.
+   * @return {void}
+   */
+  _trackViewability(outcome) {
+    this.viewabilityOutcome = outcome;
+    clearTimeout(this._viewableTimer);
+    this._viewableTimer = null;
+
+    this.emit(outcome);
+    if (this._hasViewableImpression()) {
+      this.trackURLs(
+        this.ad.viewableImpression[`${outcome}URLTemplates`],
+        {},
+        { event: outcome }
+      );
+    }
+  }
+
+  /**
+   * Disconnects the IntersectionObserver created by observeViewability, if any.
+   *
+   * @return {void}
+   */
+  _disconnectIntersectionObserver() {
+    if (this._intersectionObserver) {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+    }
+  }
+
+  /**
+   * Sets the playhead of the content the ad is played within, reported in the [MEDIAPLAYHEAD] and [CONTENTPLAYHEAD] macros.
+   *
+   * @param {Number} playhead - The current time of the content in seconds.
+   */
+  setContentPlayhead(playhead) {
+    if (typeof playhead === 'number') {
+      this.contentPlayhead = playhead;
+    }
+  }
+
   /**
    * Updates the expand state and calls the expand/collapse tracking URLs.
    *
@@ -296,6 +800,95 @@ export class VASTTracker extends EventEmitter {
     }
   }
 
+  /**
+   * Attaches the tracker to the media element playing the ad, so that the playback is tracked
+   * from its events: the progress, the mute, pause and fullscreen states, the end of the ad and
+   * the media errors, reported with the matching VAST error code.
+   * If the ad has no duration, the one of the media is used once its metadata is loaded.
+   * The tracker is detached from the previous media element, if any.
+   *
+   * @param {HTMLMediaElement} mediaElement - The video or audio element playing the ad.
+   */
+  attachMediaElement(mediaElement) {
+    this.detach();
+    this.mediaElement = mediaElement;
+
+    const listen = (target, eventName, listener) => {
+      target.addEventListener(eventName, listener);
+      this._mediaListeners.push({ target, eventName, listener });
+    };
+
+    // The current states of the element aren't user actions, they are not tracked
+    this.muted = mediaElement.muted || mediaElement.volume === 0;
+    this.paused = mediaElement.paused;
+    this.fullscreen = isFullscreen(mediaElement);
+    this._setMediaDuration();
+
+    listen(mediaElement, 'loadedmetadata', () => this._setMediaDuration());
+    listen(mediaElement, 'timeupdate', () =>
+      this.setProgress(mediaElement.currentTime)
+    );
+    listen(mediaElement, 'volumechange', () =>
+      this.setMuted(mediaElement.muted || mediaElement.volume === 0)
+    );
+    listen(mediaElement, 'play', () => {
+      // The first play starts the ad, it isn't a resume
+      if (this.progress > 0) {
+        this.setPaused(false);
+      } else {
+        this.paused = false;
+      }
+    });
+    listen(mediaElement, 'pause', () => {
+      // A pause event is dispatched right before the ended one
+      if (!mediaElement.ended) {
+        this.setPaused(true);
+      }
+    });
+    listen(mediaElement, 'ended', () => this.complete());
+    listen(mediaElement, 'error', () => {
+      const error = mediaElement.error;
+      this.errorWithCode((error && MEDIA_ERROR_CODES[error.code]) || 400);
+    });
+
+    const onFullscreenChange = () =>
+      this.setFullscreen(isFullscreen(mediaElement));
+    listen(mediaElement, 'webkitbeginfullscreen', onFullscreenChange);
+    listen(mediaElement, 'webkitendfullscreen', onFullscreenChange);
+    if (typeof document !== 'undefined' && document !== null) {
+      listen(document, 'fullscreenchange', onFullscreenChange);
+      listen(document, 'webkitfullscreenchange', onFullscreenChange);
+    }
+  }
+
+  /**
+   * Detaches the tracker from its media element, removing all the listeners it added.
+   */
+  detach() {
+    this._mediaListeners.forEach(({ target, eventName, listener }) => {
+      target.removeEventListener(eventName, listener);
+    });
+    this._mediaListeners = [];
+    this.mediaElement = null;
+  }
+
+  /**
+   * Sets the duration of the ad from the one of its media element, if it's unknown.
+   *
+   * @return {void}
+   */
+  _setMediaDuration() {
+    const duration = this.mediaElement.duration;
+    if (
+      !(this.assetDuration > 0) &&
+      typeof duration === 'number' &&
+      isFinite(duration) &&
+      duration > 0
+    ) {
+      this.setDuration(duration);
+    }
+  }
+
   /**
    * Tracks an impression (can be called only once).
    *
@@ -304,7 +897,11 @@ export class VASTTracker extends EventEmitter {
   trackImpression() {
     if (!this.impressed) {
       this.impressed = true;
-      this.trackURLs(this.ad.impressionURLTemplates);
+      this.trackURLs(
+        this.ad.impressionURLTemplates,
+        {},
+        { event: 'impression' }
+      );
       this.track('creativeView');
     }
   }
@@ -320,7 +917,7 @@ export class VASTTracker extends EventEmitter {
     this.trackURLs(
       this.ad.errorURLTemplates,
       { ERRORCODE: errorCode },
-      { isCustomCode }
+      { isCustomCode, event: 'error' }
     );
   }
 
@@ -331,7 +928,12 @@ export class VASTTracker extends EventEmitter {
    * @emits VASTTracker#complete
    */
   complete() {
+    if (this.linear) {
+      this._recordAudibleAndVisible('complete');
+    }
     this.track('complete');
+    this._endViewability();
+    this._endAvoc();
   }
 
   /**
@@ -343,6 +945,8 @@ export class VASTTracker extends EventEmitter {
    */
   close() {
     this.track(this.linear ? 'closeLinear' : 'close');
+    this._endViewability();
+    this._endAvoc();
   }
 
   /**
@@ -352,6 +956,8 @@ export class VASTTracker extends EventEmitter {
    */
   skip() {
     this.track('skip');
+    this._endViewability();
+    this._endAvoc();
   }
 
   /**
@@ -367,7 +973,13 @@ export class VASTTracker extends EventEmitter {
       this.clickTrackingURLTemplates &&
       this.clickTrackingURLTemplates.length
     ) {
-      this.trackURLs(this.clickTrackingURLTemplates);
+      this.trackURLs(
+        this.clickTrackingURLTemplates,
+        {},
+        {
+          event: 'clickTracking'
+        }
+      );
     }
 
     // Use the provided fallbackClickThroughURL as a fallback
@@ -375,12 +987,9 @@ export class VASTTracker extends EventEmitter {
       this.clickThroughURLTemplate || fallbackClickThroughURL;
 
     if (clickThroughURLTemplate) {
-      const variables = this.linear
-        ? { CONTENTPLAYHEAD: this.progressFormatted() }
-        : {};
       const clickThroughURL = util.resolveURLTemplates(
         [clickThroughURLTemplate],
-        variables
+        this.getMacroValues()
       )[0];
 
       this.emit('clickthrough', clickThroughURL);
@@ -409,7 +1018,7 @@ export class VASTTracker extends EventEmitter {
 
     if (trackingURLTemplates) {
       this.emit(eventName, '');
-      this.trackURLs(trackingURLTemplates);
+      this.trackURLs(trackingURLTemplates, {}, { event: eventName });
     } else if (isAlwaysEmitEvent) {
       this.emit(eventName, '');
     }
@@ -426,13 +1035,67 @@ export class VASTTracker extends EventEmitter {
   }
 
   /**
-   * Calls the tracking urls templates with the given variables.
+   * Calls the tracking urls templates with the given variables, through the tracking transport.
+   * The playback macros and the ones of the registry of the tracker are replaced too,
+   * the given variables taking precedence.
    *
    * @param {Array} URLTemplates - An array of tracking url templates.
    * @param {Object} [variables={}] - An optional Object of parameters to be used in the tracking calls.
-   * @param {Object} [options={}] - An optional Object of options to be used in the tracking calls.
+   * @param {Object} [options={}] - An optional Object of options to be used in the tracking calls, such as the name of the tracked event.
+   * @emits VASTTracker#tracking-success
+   * @emits VASTTracker#tracking-failure
    */
   trackURLs(URLTemplates, variables = {}, options = {}) {
+    util.track(
+      URLTemplates,
+      this.getMacroValues(variables),
+      Object.assign({}, options, {
+        transport: this.trackingTransport,
+        recorder: this.trackingRecorder,
+        source: 'VASTTracker',
+        callback: (error, url) => {
+          if (error) {
+            this.emit('tracking-failure', { url, error });
+          } else {
+            this.emit('tracking-success', { url });
+          }
+        }
+      })
+    );
+  }
+
+  /**
+   * Returns the values of the macros of the urls called by the tracker:
+   * the playback macros derived from its state, overridden by the ones of its registry,
+   * themselves overridden by the given variables.
+   *
+   * @param {Object} [variables={}] - An optional Object of parameters taking precedence.
+   * @return {Object}
+   */
+  getMacroValues(variables = {}) {
+    const playerState = [];
+    if (this.muted) {
+      playerState.push('muted');
+    }
+    if (this.fullscreen) {
+      playerState.push('fullscreen');
+    }
+    if (this.autoplayed) {
+      playerState.push('autoplayed');
+    }
+
+    const sequence = parseInt(this.ad.sequence, 10);
+    const macros = {
+      PLAYERSTATE: playerState,
+      MEDIAPLAYHEAD:
+        this.contentPlayhead !== null
+          ? util.formatDuration(this.contentPlayhead)
+          : null,
+      // In a pod played in order, the ads played in the break are the ones up to this one
+      ADCOUNT: sequence > 0 ? sequence : 1,
+      PODSEQUENCE: sequence > 0 ? sequence : null
+    };
+
     if (this.linear) {
       if (
         this.creative &&
@@ -440,34 +1103,39 @@ export class VASTTracker extends EventEmitter {
         this.creative.mediaFiles[0] &&
         this.creative.mediaFiles[0].fileURL
       ) {
-        variables['ASSETURI'] = this.creative.mediaFiles[0].fileURL;
+        macros['ASSETURI'] = this.creative.mediaFiles[0].fileURL;
       }
-      variables['CONTENTPLAYHEAD'] = this.progressFormatted();
+      macros['ADPLAYHEAD'] = this.progressFormatted();
+      // The deprecated CONTENTPLAYHEAD used to report the ad playhead, when the content one is unknown
+      macros['CONTENTPLAYHEAD'] =
+        macros['MEDIAPLAYHEAD'] || macros['ADPLAYHEAD'];
+
+      // The audibility and visibility metrics, which aren't part of the VAST specification
+      const avocMetrics = this.getAvocMetrics();
+      macros['TIMEAUDIBLE'] = avocMetrics.timeAudible;
+      macros['TIMEVISIBLE'] = avocMetrics.timeVisible;
+      macros['TIMEAUDIBLEVISIBLE'] = avocMetrics.timeAudibleAndVisible;
+      macros['AUDIBLEVISIBLEQUARTILES'] = AVOC_QUARTILES.map(
+        quartile =>
+          avocMetrics.quartiles[quartile] === null
+            ? macroUtils.UNKNOWN
+            : Number(avocMetrics.quartiles[quartile])
+      ).join(',');
+      macros['AVOC'] =
+        avocMetrics.audibleAndVisibleOnCompletion === null
+          ? macroUtils.UNKNOWN
+          : Number(avocMetrics.audibleAndVisibleOnCompletion);
     }
 
-    util.track(URLTemplates, variables, options);
+    return Object.assign(macros, this.macros.getValues(), variables);
   }
 
   /**
-   * Formats time progress in a readable string.
+   * Formats time progress in a HH:MM:SS.mmm string.
    *
    * @return {String}
    */
   progressFormatted() {
-    const seconds = parseInt(this.progress);
-    let h = seconds / (60 * 60);
-    if (h.length < 2) {
-      h = `0${h}`;
-    }
-    let m = (seconds / 60) % 60;
-    if (m.length < 2) {
-      m = `0${m}`;
-    }
-    let s = seconds % 60;
-    if (s.length < 2) {
-      s = `0${m}`;
-    }
-    const ms = parseInt((this.progress - seconds) * 100);
-    return `${h}:${m}:${s}.${ms}`;
+    return util.formatDuration(this.progress || 0);
   }
 }
@@ -0,0 +1,9 @@
+export class Verification {
+  constructor() {
+    this.vendor = null;
+    this.javaScriptResources = [];
+    this.executableResources = [];
+    this.parameters = null;
+    this.trackingEvents = {};
+  }
+}
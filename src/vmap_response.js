@@ -0,0 +1,6 @@
+export class VMAPResponse {
+  constructor() {
+    this.adBreaks = [];
+    this.version = null;
+  }
+}
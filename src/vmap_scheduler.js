@@ -0,0 +1,145 @@
+/**
+ * This class provides methods to schedule the ad breaks of a VMAPResponse
+ * along the playback of the content.
+ * @export
+ * @class VMAPScheduler
+ */
+export class VMAPScheduler {
+  /**
+   * Creates an instance of VMAPScheduler.
+   * @param {VMAPResponse} vmapResponse - The parsed VMAP document to schedule.
+   * @param {Number} [contentDuration=-1] - The duration of the content in seconds, required for percent offsets.
+   * @constructor
+   */
+  constructor(vmapResponse, contentDuration = -1) {
+    this.adBreaks = vmapResponse.adBreaks;
+    this.contentDuration = contentDuration;
+    this.reset();
+  }
+
+  /**
+   * Resets the scheduling state, every ad break becomes playable again.
+   * @return {void}
+   */
+  reset() {
+    this.currentTime = null;
+    // Next time each ad break is due at, indexed by ad break position
+    this._nextTimes = {};
+    this._playedAdBreaks = [];
+  }
+
+  /**
+   * Sets the duration of the content, percent offsets can be scheduled from then on.
+   * @param  {Number} duration - The duration of the content in seconds.
+   * @return {void}
+   */
+  setContentDuration(duration) {
+    this.contentDuration = duration;
+  }
+
+  /**
+   * Returns the content time in seconds at which the given ad break is first due.
+   * Returns null for end and position based ad breaks, or if the time can't be computed yet.
+   * @param  {AdBreak} adBreak - The ad break.
+   * @return {Number|null}
+   */
+  getAdBreakTime(adBreak) {
+    const offset = adBreak.offset;
+
+    if (!offset) {
+      return null;
+    }
+    switch (offset.type) {
+      case 'start':
+        return 0;
+      case 'time':
+        return offset.value;
+      case 'percent':
+        return this.contentDuration > 0
+          ? (this.contentDuration * offset.value) / 100
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Returns the time based ad breaks which became due since the previous call.
+   * Repeating ad breaks (repeatAfter) are returned once per repetition.
+   * Seeking backwards never returns an ad break again.
+   * @param  {Number} currentTime - The current content time in seconds.
+   * @return {Array} The due ad breaks, in document order.
+   */
+  getAdBreaksToPlay(currentTime) {
+    const previousTime = this.currentTime;
+    this.currentTime = currentTime;
+
+    return this.adBreaks.filter((adBreak, index) => {
+      if (!(index in this._nextTimes)) {
+        const adBreakTime = this.getAdBreakTime(adBreak);
+        if (adBreakTime === null) {
+          return false;
+        }
+        this._nextTimes[index] = adBreakTime;
+      }
+
+      const nextTime = this._nextTimes[index];
+      if (nextTime > currentTime) {
+        return false;
+      }
+
+      if (adBreak.repeatAfter) {
+        let repeatTime = nextTime;
+        while (repeatTime <= currentTime) {
+          repeatTime += adBreak.repeatAfter;
+        }
+        this._nextTimes[index] = repeatTime;
+      } else {
+        this._nextTimes[index] = Infinity;
+      }
+
+      // Do not play again a break crossed while seeking backwards
+      return previousTime === null || currentTime >= previousTime;
+    });
+  }
+
+  /**
+   * Returns the post-roll ad breaks (timeOffset="end") which haven't been played yet.
+   * @return {Array}
+   */
+  getAdBreaksAtEnd() {
+    return this._getUnplayedAdBreaks(
+      adBreak => adBreak.offset && adBreak.offset.type === 'end'
+    );
+  }
+
+  /**
+   * Returns the position based ad breaks (timeOffset="#n") for the given position,
+   * which haven't been played yet.
+   * @param  {Number} position - The position of the break, starting at 1.
+   * @return {Array}
+   */
+  getAdBreaksAtPosition(position) {
+    return this._getUnplayedAdBreaks(
+      adBreak =>
+        adBreak.offset &&
+        adBreak.offset.type === 'position' &&
+        adBreak.offset.value === position
+    );
+  }
+
+  /**
+   * Returns the ad breaks matching the given predicate and marks them as played.
+   * @param  {Function} predicate - The filtering function.
+   * @return {Array}
+   */
+  _getUnplayedAdBreaks(predicate) {
+    const adBreaks = this.adBreaks.filter(
+      adBreak =>
+        predicate(adBreak) && this._playedAdBreaks.indexOf(adBreak) === -1
+    );
+    this._playedAdBreaks = this._playedAdBreaks.concat(adBreaks);
+
+    return adBreaks;
+  }
+}
@@ -0,0 +1,708 @@
+import { util } from '../util/util';
+
+const DEFAULT_VAST_VERSION = '3.0';
+const SUPPORTED_MAJOR_VERSIONS = [2, 3, 4];
+const INDENTATION = '  ';
+
+/**
+ * This class provides methods to serialize a VASTResponse back into a VAST XML document.
+ * @export
+ * @class VASTWriter
+ */
+export class VASTWriter {
+  /**
+   * Creates an instance of VASTWriter.
+   * @param {Object} options - An optional Object of parameters.
+   * @param {String} options.version - The default VAST version of the written documents.
+   * @constructor
+   */
+  constructor(options = {}) {
+    this.version = options.version || null;
+  }
+
+  /**
+   * Serializes the given VASTResponse into a VAST XML String.
+   * The target version is, by order of priority: options.version, the writer version,
+   * the version of the response, or 3.0.
+   * @param  {VASTResponse} vastResponse - The response to serialize.
+   * @param  {Object} options - An optional Object of parameters.
+   * @param  {String} options.version - The VAST version of the written document.
+   * @return {String}
+   * @throws {Error} The target VAST version must be 2, 3 or 4.
+   */
+  write(vastResponse, options = {}) {
+    const version = normalizeVersion(
+      options.version ||
+        this.version ||
+        vastResponse.version ||
+        DEFAULT_VAST_VERSION
+    );
+    const major = parseInt(version, 10);
+    const vast = createNode('VAST', { version });
+
+    // Root <Error> elements are only allowed since VAST 3,
+    // with VAST 2 they are carried by each ad.
+    const rootErrorURLTemplates = vastResponse.errorURLTemplates || [];
+    if (major >= 3) {
+      appendURLNodes(vast, 'Error', rootErrorURLTemplates);
+    }
+
+    vastResponse.ads.forEach(ad => {
+      vast.children.push(
+        buildAd(ad, major, major >= 3 ? [] : rootErrorURLTemplates)
+      );
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeNode(vast, 0)}`;
+  }
+}
+
+/**
+ * Validates a VAST version and returns it in a major.minor format.
+ * @param  {String|Number} version - The version to normalize.
+ * @return {String}
+ * @throws {Error} The version must be 2, 3 or 4.
+ */
+function normalizeVersion(version) {
+  const str = `${version}`;
+  const major = parseInt(str, 10);
+
+  if (SUPPORTED_MAJOR_VERSIONS.indexOf(major) === -1) {
+    throw new Error(`Unsupported VAST version: ${str}`);
+  }
+  return str.indexOf('.') === -1 ? `${major}.0` : str;
+}
+
+/**
+ * Builds an Ad node, as an InLine or as a Wrapper if the ad has not been unwrapped.
+ * @param  {Ad} ad - The ad to build.
+ * @param  {Number} major - The major VAST version.
+ * @param  {Array} additionalErrorURLTemplates - Error URLs to add to the ad ones.
+ * @return {Object}
+ */
+function buildAd(ad, major, additionalErrorURLTemplates) {
+  const isWrapper = !!ad.nextWrapperURL;
+  const adNode = createNode('Ad', {
+    id: ad.id,
+    sequence: major >= 3 ? ad.sequence : null
+  });
+  const adTypeNode = createNode(isWrapper ? 'Wrapper' : 'InLine');
+  adNode.children.push(adTypeNode);
+
+  if (ad.system) {
+    const system =
+      typeof ad.system === 'string' ? { value: ad.system } : ad.system;
+    adTypeNode.children.push(
+      createNode('AdSystem', { version: system.version }, system.value)
+    );
+  }
+  if (isWrapper) {
+    adTypeNode.children.push(
+      createNode('VASTAdTagURI', {}, ad.nextWrapperURL, true)
+    );
+  } else {
+    appendTextNode(adTypeNode, 'AdTitle', ad.title);
+    appendTextNode(adTypeNode, 'Description', ad.description);
+    if (major >= 4) {
+      appendTextNode(adTypeNode, 'Advertiser', ad.advertiser);
+    }
+  }
+  if (major >= 3 && ad.pricing) {
+    adTypeNode.children.push(
+      createNode(
+        'Pricing',
+        { model: ad.pricing.model, currency: ad.pricing.currency },
+        ad.pricing.value
+      )
+    );
+  }
+  if (ad.survey) {
+    adTypeNode.children.push(createNode('Survey', {}, ad.survey, true));
+  }
+  appendURLNodes(
+    adTypeNode,
+    'Error',
+    ad.errorURLTemplates.concat(additionalErrorURLTemplates)
+  );
+  appendURLNodes(adTypeNode, 'Impression', ad.impressionURLTemplates);
+  if (major >= 4 && ad.viewableImpression) {
+    appendViewableImpression(adTypeNode, ad.viewableImpression);
+  }
+
+  const adVerifications = ad.adVerifications || [];
+  if (major >= 4 && adVerifications.length) {
+    adTypeNode.children.push(buildAdVerifications(adVerifications));
+  }
+
+  const creatives = ad.creatives
+    .map(creative => buildCreative(creative, major))
+    .filter(creativeNode => creativeNode);
+  if (creatives.length) {
+    adTypeNode.children.push(createNode('Creatives', {}, creatives));
+  }
+
+  // Verifications are always written from ad.adVerifications:
+  // natively since VAST 4, through the AdVerifications Extension before.
+  const extensions = ad.extensions
+    .filter(extension => extension.attributes.type !== 'AdVerifications')
+    .map(buildExtension);
+  if (major < 4 && adVerifications.length) {
+    extensions.push(
+      createNode('Extension', { type: 'AdVerifications' }, [
+        buildAdVerifications(adVerifications)
+      ])
+    );
+  }
+  if (extensions.length) {
+    adTypeNode.children.push(createNode('Extensions', {}, extensions));
+  }
+
+  return adNode;
+}
+
+/**
+ * Builds a Creative node for a linear, nonlinear or companion creative.
+ * @param  {Creative} creative - The creative to build.
+ * @param  {Number} major - The major VAST version.
+ * @return {Object|null}
+ */
+function buildCreative(creative, major) {
+  let creativeTypeNode;
+
+  switch (creative.type) {
+    case 'linear':
+      creativeTypeNode = buildLinear(creative, major);
+      break;
+    case 'nonlinear':
+      creativeTypeNode = buildNonLinearAds(creative);
+      break;
+    case 'companion':
+      creativeTypeNode = buildCompanionAds(creative);
+      break;
+    default:
+      return null;
+  }
+
+  return createNode(
+    'Creative',
+    {
+      id: creative.id,
+      [major >= 4 ? 'adId' : 'AdID']: creative.adId,
+      sequence: creative.sequence,
+      apiFramework: major >= 3 ? creative.apiFramework : null
+    },
+    [creativeTypeNode]
+  );
+}
+
+/**
+ * Builds a Linear node.
+ * @param  {CreativeLinear} creative - The linear creative to build.
+ * @param  {Number} major - The major VAST version.
+ * @return {Object}
+ */
+function buildLinear(creative, major) {
+  const linear = createNode('Linear', {
+    skipoffset:
+      major >= 3 && creative.skipDelay !== null && creative.skipDelay >= 0
+        ? util.formatDuration(creative.skipDelay)
+        : null
+  });
+
+  if (creative.duration >= 0) {
+    linear.children.push(
+      createNode('Duration', {}, util.formatDuration(creative.duration))
+    );
+  }
+  appendTrackingEvents(linear, creative.trackingEvents);
+  if (creative.adParameters) {
+    linear.children.push(
+      createNode('AdParameters', {}, creative.adParameters, true)
+    );
+  }
+
+  const videoClicks = createNode('VideoClicks');
+  if (creative.videoClickThroughURLTemplate) {
+    videoClicks.children.push(
+      createNode(
+        'ClickThrough',
+        {},
+        creative.videoClickThroughURLTemplate,
+        true
+      )
+    );
+  }
+  appendURLNodes(
+    videoClicks,
+    'ClickTracking',
+    creative.videoClickTrackingURLTemplates
+  );
+  appendURLNodes(
+    videoClicks,
+    'CustomClick',
+    creative.videoCustomClickURLTemplates
+  );
+  if (videoClicks.children.length) {
+    linear.children.push(videoClicks);
+  }
+
+  if (creative.mediaFiles.length) {
+    linear.children.push(
+      createNode('MediaFiles', {}, creative.mediaFiles.map(buildMediaFile))
+    );
+  }
+  if (major >= 3 && creative.icons.length) {
+    linear.children.push(
+      createNode('Icons', {}, creative.icons.map(buildIcon))
+    );
+  }
+
+  return linear;
+}
+
+/**
+ * Builds a MediaFile node.
+ * @param  {MediaFile} mediaFile - The media file to build.
+ * @return {Object}
+ */
+function buildMediaFile(mediaFile) {
+  return createNode(
+    'MediaFile',
+    {
+      id: mediaFile.id,
+      delivery: mediaFile.deliveryType,
+      type: mediaFile.mimeType,
+      codec: mediaFile.codec,
+      bitrate: mediaFile.bitrate || null,
+      minBitrate: mediaFile.minBitrate || null,
+      maxBitrate: mediaFile.maxBitrate || null,
+      width: mediaFile.width,
+      height: mediaFile.height,
+      apiFramework: mediaFile.apiFramework,
+      scalable: mediaFile.scalable,
+      maintainAspectRatio: mediaFile.maintainAspectRatio
+    },
+    mediaFile.fileURL,
+    true
+  );
+}
+
+/**
+ * Builds an Icon node.
+ * @param  {Icon} icon - The icon to build.
+ * @return {Object}
+ */
+function buildIcon(icon) {
+  const iconNode = createNode('Icon', {
+    program: icon.program,
+    width: icon.width,
+    height: icon.height,
+    xPosition: icon.xPosition,
+    yPosition: icon.yPosition,
+    apiFramework: icon.apiFramework,
+    offset: icon.offset >= 0 ? util.formatDuration(icon.offset) : null,
+    duration: icon.duration >= 0 ? util.formatDuration(icon.duration) : null
+  });
+
+  appendResources(iconNode, icon);
+  if (icon.iconClickThroughURLTemplate) {
+    const iconClicks = createNode('IconClicks', {}, [
+      createNode('IconClickThrough', {}, icon.iconClickThroughURLTemplate, true)
+    ]);
+    appendURLNodes(
+      iconClicks,
+      'IconClickTracking',
+      icon.iconClickTrackingURLTemplates
+    );
+    iconNode.children.push(iconClicks);
+  }
+  if (icon.iconViewTrackingURLTemplate) {
+    iconNode.children.push(
+      createNode('IconViewTracking', {}, icon.iconViewTrackingURLTemplate, true)
+    );
+  }
+
+  return iconNode;
+}
+
+/**
+ * Builds a NonLinearAds node.
+ * @param  {CreativeNonLinear} creative - The nonlinear creative to build.
+ * @return {Object}
+ */
+function buildNonLinearAds(creative) {
+  const nonLinearAds = createNode('NonLinearAds');
+
+  appendTrackingEvents(nonLinearAds, creative.trackingEvents);
+  creative.variations.forEach(variation => {
+    const nonLinear = createNode('NonLinear', {
+      id: variation.id,
+      width: variation.width,
+      height: variation.height,
+      expandedWidth: variation.expandedWidth,
+      expandedHeight: variation.expandedHeight,
+      scalable: variation.scalable,
+      maintainAspectRatio: variation.maintainAspectRatio,
+      minSuggestedDuration:
+        variation.minSuggestedDuration >= 0
+          ? util.formatDuration(variation.minSuggestedDuration)
+          : null,
+      apiFramework: variation.apiFramework
+    });
+
+    appendResources(nonLinear, variation);
+    if (variation.adParameters) {
+      nonLinear.children.push(
+        createNode('AdParameters', {}, variation.adParameters, true)
+      );
+    }
+    if (variation.nonlinearClickThroughURLTemplate) {
+      nonLinear.children.push(
+        createNode(
+          'NonLinearClickThrough',
+          {},
+          variation.nonlinearClickThroughURLTemplate,
+          true
+        )
+      );
+    }
+    appendURLNodes(
+      nonLinear,
+      'NonLinearClickTracking',
+      variation.nonlinearClickTrackingURLTemplates
+    );
+    nonLinearAds.children.push(nonLinear);
+  });
+
+  return nonLinearAds;
+}
+
+/**
+ * Builds a CompanionAds node.
+ * @param  {CreativeCompanion} creative - The companion creative to build.
+ * @return {Object}
+ */
+function buildCompanionAds(creative) {
+  return createNode(
+    'CompanionAds',
+    {},
+    creative.variations.map(variation => {
+      const companion = createNode('Companion', {
+        id: variation.id,
+        width: variation.width,
+        height: variation.height
+      });
+
+      appendResources(companion, variation);
+      if (variation.staticResource) {
+        appendTextNode(companion, 'AltText', variation.altText);
+      }
+      appendTrackingEvents(companion, variation.trackingEvents);
+      if (variation.companionClickThroughURLTemplate) {
+        companion.children.push(
+          createNode(
+            'CompanionClickThrough',
+            {},
+            variation.companionClickThroughURLTemplate,
+            true
+          )
+        );
+      }
+      appendURLNodes(
+        companion,
+        'CompanionClickTracking',
+        variation.companionClickTrackingURLTemplates
+      );
+
+      return companion;
+    })
+  );
+}
+
+/**
+ * Builds an AdVerifications node.
+ * @param  {Array} adVerifications - The verifications to build.
+ * @return {Object}
+ */
+function buildAdVerifications(adVerifications) {
+  return createNode(
+    'AdVerifications',
+    {},
+    adVerifications.map(verification => {
+      const verificationNode = createNode('Verification', {
+        vendor: verification.vendor
+      });
+
+      verification.javaScriptResources.forEach(resource => {
+        verificationNode.children.push(
+          createNode(
+            'JavaScriptResource',
+            {
+              apiFramework: resource.apiFramework,
+              browserOptional: resource.browserOptional
+            },
+            resource.url,
+            true
+          )
+        );
+      });
+      verification.executableResources.forEach(resource => {
+        verificationNode.children.push(
+          createNode(
+            'ExecutableResource',
+            { apiFramework: resource.apiFramework, type: resource.type },
+            resource.url,
+            true
+          )
+        );
+      });
+      appendTrackingEvents(verificationNode, verification.trackingEvents);
+      if (verification.parameters) {
+        verificationNode.children.push(
+          createNode(
+            'VerificationParameters',
+            {},
+            verification.parameters,
+            true
+          )
+        );
+      }
+
+      return verificationNode;
+    })
+  );
+}
+
+/**
+ * Builds an Extension node.
+ * Text and CDATA children are written as the content of the Extension.
+ * @param  {AdExtension} extension - The extension to build.
+ * @return {Object}
+ */
+function buildExtension(extension) {
+  return createNode(
+    'Extension',
+    extension.attributes,
+    extension.children.map(child => {
+      if (child.name === '#text') {
+        return createTextNode(child.value, false);
+      }
+      if (child.name === '#cdata-section') {
+        return createTextNode(child.value, true);
+      }
+      return createNode(child.name, child.attributes, child.value, true);
+    })
+  );
+}
+
+/**
+ * Appends the resource nodes (Static, IFrame, HTML) of a variation or an icon.
+ * @param  {Object} node - The node to append the resources to.
+ * @param  {Object} resourceHolder - A CompanionAd, NonLinearAd or Icon.
+ * @return {void}
+ */
+function appendResources(node, resourceHolder) {
+  if (resourceHolder.staticResource) {
+    node.children.push(
+      createNode(
+        'StaticResource',
+        { creativeType: resourceHolder.type },
+        resourceHolder.staticResource,
+        true
+      )
+    );
+  }
+  if (resourceHolder.iframeResource) {
+    node.children.push(
+      createNode('IFrameResource', {}, resourceHolder.iframeResource, true)
+    );
+  }
+  if (resourceHolder.htmlResource) {
+    node.children.push(
+      createNode('HTMLResource', {}, resourceHolder.htmlResource, true)
+    );
+  }
+}
+
+/**
+ * Appends a TrackingEvents node, converting the progress-[offset] events
+ * back into progress Tracking elements.
+ * @param  {Object} node - The node to append the tracking events to.
+ * @param  {Object} trackingEvents - The tracking events, indexed by event name.
+ * @return {void}
+ */
+function appendTrackingEvents(node, trackingEvents = {}) {
+  const trackingNodes = [];
+
+  for (const eventName in trackingEvents) {
+    const attributes = { event: eventName };
+    const progressMatch = /^progress-(.+)$/.exec(eventName);
+
+    if (progressMatch) {
+      const offset = progressMatch[1];
+      attributes.event = 'progress';
+      attributes.offset =
+        offset.charAt(offset.length - 1) === '%'
+          ? offset
+          : util.formatDuration(parseFloat(offset));
+    }
+
+    trackingEvents[eventName].forEach(URLTemplate => {
+      trackingNodes.push(createNode('Tracking', attributes, URLTemplate, true));
+    });
+  }
+
+  if (trackingNodes.length) {
+    node.children.push(createNode('TrackingEvents', {}, trackingNodes));
+  }
+}
+
+/**
+ * Appends a ViewableImpression node, if the ad has any viewability url.
+ * @param  {Object} node - The node to append the ViewableImpression to.
+ * @param  {Object} viewableImpression - The viewableImpression of the ad.
+ * @return {void}
+ */
+function appendViewableImpression(node, viewableImpression) {
+  const viewableImpressionNode = createNode(
+    'ViewableImpression',
+    viewableImpression.id ? { id: viewableImpression.id } : {},
+    []
+  );
+  appendURLNodes(
+    viewableImpressionNode,
+    'Viewable',
+    viewableImpression.viewableURLTemplates
+  );
+  appendURLNodes(
+    viewableImpressionNode,
+    'NotViewable',
+    viewableImpression.notViewableURLTemplates
+  );
+  appendURLNodes(
+    viewableImpressionNode,
+    'ViewUndetermined',
+    viewableImpression.viewUndeterminedURLTemplates
+  );
+
+  if (viewableImpressionNode.children.length) {
+    node.children.push(viewableImpressionNode);
+  }
+}
+
+/**
+ * Appends one node with the given name for each of the given URLs.
+ * @param  {Object} node - The node to append to.
+ * @param  {String} name - The name of the nodes to create.
+ * @param  {Array} URLTemplates - The URLs.
+ * @return {void}
+ */
+function appendURLNodes(node, name, URLTemplates = []) {
+  URLTemplates.forEach(URLTemplate => {
+    if (URLTemplate) {
+      node.children.push(createNode(name, {}, URLTemplate, true));
+    }
+  });
+}
+
+/**
+ * Appends a text node with the given name if the value is defined.
+ * @param  {Object} node - The node to append to.
+ * @param  {String} name - The name of the node to create.
+ * @param  {String} value - The text of the node.
+ * @return {void}
+ */
+function appendTextNode(node, name, value) {
+  if (value !== null && typeof value !== 'undefined') {
+    node.children.push(createNode(name, {}, value, true));
+  }
+}
+
+/**
+ * Creates an element node.
+ * @param  {String} name - The name of the element.
+ * @param  {Object} [attributes={}] - The attributes, null or undefined values are ignored.
+ * @param  {Array|String} [content=[]] - The children nodes or the text of the element.
+ * @param  {Boolean} [cdata=false] - Whether a text content has to be written as CDATA.
+ * @return {Object}
+ */
+function createNode(name, attributes = {}, content = [], cdata = false) {
+  const children = Array.isArray(content)
+    ? content
+    : [createTextNode(content, cdata)];
+
+  return { name, attributes, children };
+}
+
+/**
+ * Creates a text node.
+ * @param  {any} value - The text.
+ * @param  {Boolean} cdata - Whether the text has to be written as CDATA.
+ * @return {Object}
+ */
+function createTextNode(value, cdata) {
+  return { text: `${value}`, cdata };
+}
+
+/**
+ * Serializes a node into an indented XML String.
+ * @param  {Object} node - The node to serialize.
+ * @param  {Number} depth - The depth of the node in the document.
+ * @return {String}
+ */
+function serializeNode(node, depth) {
+  const indentation = new Array(depth + 1).join(INDENTATION);
+
+  if (typeof node.text !== 'undefined') {
+    return node.cdata ? toCDATA(node.text) : escapeXML(node.text);
+  }
+
+  let attributes = '';
+  for (const attributeName in node.attributes) {
+    const value = node.attributes[attributeName];
+    if (value !== null && typeof value !== 'undefined' && value !== '') {
+      attributes += ` ${attributeName}="${escapeXML(value)}"`;
+    }
+  }
+
+  if (!node.children.length) {
+    return `${indentation}<${node.name}${attributes}/>`;
+  }
+  // Elements holding text are written on a single line
+  if (node.children.every(child => typeof child.text !== 'undefined')) {
+    const text = node.children
+      .map(child => serializeNode(child, depth + 1))
+      .join('');
+    return `${indentation}<${node.name}${attributes}>${text}</${node.name}>`;
+  }
+
+  const children = node.children
+    .map(child => serializeNode(child, depth + 1))
+    .join('\n');
+  return `${indentation}<${
+    node.name
+  }${attributes}>\n${children}\n${indentation}</${node.name}>`;
+}
+
+/**
+ * Escapes the XML special characters of the given value.
+ * @param  {any} value - The value to escape.
+ * @return {String}
+ */
+function escapeXML(value) {
+  return `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wraps the given text in a CDATA section, splitting any nested CDATA end marker.
+ * @param  {String} text - The text to wrap.
+ * @return {String}
+ */
+function toCDATA(text) {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
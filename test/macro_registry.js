@@ -0,0 +1,48 @@
+import { MacroRegistry } from '../src/util/macro_registry';
+
+describe('MacroRegistry', function() {
+  it('should return the values of the macros', () => {
+    const registry = new MacroRegistry({ DOMAIN: 'example.com' });
+    registry.set('PLAYERSIZE', [640, 360]);
+
+    registry.getValues().should.eql({
+      DOMAIN: 'example.com',
+      PLAYERSIZE: [640, 360]
+    });
+  });
+
+  it('should call the function values each time', () => {
+    let breakPosition = 1;
+    const registry = new MacroRegistry({
+      BREAKPOSITION: () => breakPosition
+    });
+
+    registry.getValues().BREAKPOSITION.should.equal(1);
+    breakPosition = 2;
+    registry.getValues().BREAKPOSITION.should.equal(2);
+  });
+
+  it('should replace the missing values by -1', () => {
+    const registry = new MacroRegistry({ IFA: null, DEVICEIP: () => {} });
+
+    registry.getValues().should.eql({ IFA: -1, DEVICEIP: -1 });
+  });
+
+  it('should replace the withheld values by -2', () => {
+    const registry = new MacroRegistry({ IFA: 'abc' });
+    registry.withhold('IFA', 'DEVICEIP');
+
+    registry.getValues().should.eql({ IFA: -2, DEVICEIP: -2 });
+  });
+
+  it('should inherit and override the values of its parent', () => {
+    const parent = new MacroRegistry({ DOMAIN: 'example.com', ADCOUNT: 1 });
+    const registry = new MacroRegistry({ ADCOUNT: 2 }, parent);
+
+    registry.has('DOMAIN').should.be.true();
+    registry.getValues().should.eql({ DOMAIN: 'example.com', ADCOUNT: 2 });
+
+    registry.remove('ADCOUNT');
+    registry.getValues().ADCOUNT.should.equal(1);
+  });
+});
@@ -0,0 +1,338 @@
+import path from 'path';
+import should from 'should';
+import sinon from 'sinon';
+import { DOMParser } from 'xmldom';
+import { ResponseCache } from '../src/util/response_cache';
+import { VASTParser } from '../src/parser/vast_parser';
+import { nodeURLHandler } from '../src/urlhandlers/node_url_handler';
+
+const urlfor = relpath =>
+  `file://${path
+    .resolve(path.dirname(module.filename), 'vastfiles', relpath)
+    .replace(/\\/g, '/')}`;
+
+const parseXmlString = xmlString =>
+  new DOMParser().parseFromString(xmlString, 'text/xml');
+
+// Answers every request with the given document and details
+const fakeURLHandler = (xmlString, details = {}) => ({
+  calls: 0,
+  get(url, options, cb) {
+    this.calls++;
+    cb(null, parseXmlString(xmlString), Object.assign({ size: 10 }, details));
+  }
+});
+
+const fetch = (cache, urlHandler, url = 'http://example.com/vast') =>
+  new Promise((resolve, reject) =>
+    cache.get(
+      url,
+      {},
+      urlHandler,
+      (err, xml, details) => (err ? reject(err) : resolve(details))
+    )
+  );
+
+describe('ResponseCache', function() {
+  const emptyVAST = '<VAST version="4.0"></VAST>';
+
+  describe('#getTTL', function() {
+    const cache = new ResponseCache({ defaultTTL: 5000 });
+    const xml = parseXmlString(emptyVAST);
+
+    it('should use the max-age of the Cache-Control header', () => {
+      cache
+        .getTTL(xml, { headers: { 'cache-control': 'public, max-age=60' } })
+        .should.equal(60000);
+    });
+
+    it('should not cache a response with no-store or no-cache', () => {
+      cache
+        .getTTL(xml, { headers: { 'cache-control': 'no-store' } })
+        .should.equal(0);
+      cache
+        .getTTL(xml, { headers: { 'cache-control': 'no-cache' } })
+        .should.equal(0);
+    });
+
+    it('should use the Expires header', () => {
+      const clock = sinon.useFakeTimers(Date.parse('2020-01-01T00:00:00Z'));
+      const ttl = cache.getTTL(xml, {
+        headers: { expires: 'Wed, 01 Jan 2020 00:00:30 GMT' }
+      });
+      clock.restore();
+
+      ttl.should.equal(30000);
+    });
+
+    it('should use the VAST 4 Expires element', () => {
+      const expiringXml = parseXmlString(
+        '<VAST version="4.0"><Ad><InLine><Expires>120</Expires></InLine></Ad></VAST>'
+      );
+
+      cache.getTTL(expiringXml, {}).should.equal(120000);
+      cache
+        .getTTL(expiringXml, { headers: { 'cache-control': 'max-age=10' } })
+        .should.equal(10000);
+    });
+
+    it('should fall back on the default TTL', () => {
+      cache.getTTL(xml, { headers: {} }).should.equal(5000);
+    });
+  });
+
+  describe('#get', function() {
+    it('should serve the cached response until it expires', () => {
+      const clock = sinon.useFakeTimers();
+      const cache = new ResponseCache({ defaultTTL: 1000 });
+      const urlHandler = fakeURLHandler(emptyVAST);
+
+      return fetch(cache, urlHandler)
+        .then(details => {
+          details.cache.should.equal('miss');
+          return fetch(cache, urlHandler);
+        })
+        .then(details => {
+          details.should.eql({ size: 10, cache: 'hit' });
+          urlHandler.calls.should.equal(1);
+
+          clock.tick(1000);
+          return fetch(cache, urlHandler);
+        })
+        .then(details => {
+          clock.restore();
+          details.cache.should.equal('miss');
+          urlHandler.calls.should.equal(2);
+        });
+    });
+
+    it('should not cache a response without TTL', () => {
+      const cache = new ResponseCache();
+      const urlHandler = fakeURLHandler(emptyVAST);
+
+      return fetch(cache, urlHandler)
+        .then(() => fetch(cache, urlHandler))
+        .then(details => {
+          details.cache.should.equal('miss');
+          urlHandler.calls.should.equal(2);
+        });
+    });
+
+    it('should not cache errors', () => {
+      const cache = new ResponseCache({ defaultTTL: 1000 });
+      const urlHandler = {
+        get(url, options, cb) {
+          cb(new Error('Network error'));
+        }
+      };
+
+      return fetch(cache, urlHandler)
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.message.should.equal('Network error');
+          should.equal(cache.getEntry('http://example.com/vast'), null);
+        });
+    });
+
+    it('should bypass the cache for the urls opted out', () => {
+      const cache = new ResponseCache({
+        defaultTTL: 1000,
+        shouldCache: url => url.indexOf('nocache') === -1
+      });
+      const urlHandler = fakeURLHandler(emptyVAST);
+      const url = 'http://example.com/vast?nocache=1';
+
+      return fetch(cache, urlHandler, url)
+        .then(() => fetch(cache, urlHandler, url))
+        .then(details => {
+          details.cache.should.equal('bypass');
+          urlHandler.calls.should.equal(2);
+        });
+    });
+
+    it('should share the fetch of identical pending requests', () => {
+      const cache = new ResponseCache();
+      let pendingCallback = null;
+      const urlHandler = {
+        calls: 0,
+        get(url, options, cb) {
+          this.calls++;
+          pendingCallback = cb;
+        }
+      };
+
+      const requests = Promise.all([
+        fetch(cache, urlHandler),
+        fetch(cache, urlHandler)
+      ]);
+      pendingCallback(null, parseXmlString(emptyVAST), {});
+
+      return requests.then(responses => {
+        urlHandler.calls.should.equal(1);
+        responses
+          .map(details => details.cache)
+          .should.eql(['miss', 'coalesced']);
+      });
+    });
+  });
+
+  describe('#get with an AbortSignal', function() {
+    let handlerSignal = null;
+    let pendingCallback = null;
+    const urlHandler = {
+      get(url, options, cb) {
+        handlerSignal = options.signal;
+        pendingCallback = cb;
+      }
+    };
+
+    const fetchWithSignal = (cache, signal) =>
+      new Promise(resolve =>
+        cache.get(
+          'http://example.com/vast',
+          { signal },
+          urlHandler,
+          (err, xml) => resolve({ err, xml })
+        )
+      );
+
+    beforeEach(() => {
+      handlerSignal = null;
+      pendingCallback = null;
+    });
+
+    it('should abort the fetch of a single requester', () => {
+      const cache = new ResponseCache();
+      const controller = new AbortController();
+      const request = fetchWithSignal(cache, controller.signal);
+      handlerSignal.aborted.should.be.false();
+
+      controller.abort();
+      handlerSignal.aborted.should.be.true();
+
+      return request.then(({ err }) => {
+        err.name.should.equal('AbortError');
+      });
+    });
+
+    it('should keep a shared fetch until all its requesters have aborted', () => {
+      const cache = new ResponseCache();
+      const firstController = new AbortController();
+      const secondController = new AbortController();
+      const firstRequest = fetchWithSignal(cache, firstController.signal);
+      const secondRequest = fetchWithSignal(cache, secondController.signal);
+
+      firstController.abort();
+      handlerSignal.aborted.should.be.false();
+
+      return firstRequest
+        .then(({ err }) => {
+          err.name.should.equal('AbortError');
+          secondController.abort();
+          handlerSignal.aborted.should.be.true();
+          return secondRequest;
+        })
+        .then(({ err }) => {
+          err.name.should.equal('AbortError');
+        });
+    });
+
+    it('should answer the requesters which did not abort', () => {
+      const cache = new ResponseCache();
+      const controller = new AbortController();
+      const abortedRequest = fetchWithSignal(cache, controller.signal);
+      const request = fetchWithSignal(cache, null);
+
+      controller.abort();
+      pendingCallback(null, parseXmlString(emptyVAST), {});
+
+      return Promise.all([abortedRequest, request]).then(responses => {
+        responses[0].err.name.should.equal('AbortError');
+        should.equal(responses[1].err, null);
+        responses[1].xml.documentElement.nodeName.should.equal('VAST');
+      });
+    });
+
+    it('should start a new fetch once a fetch has been aborted', () => {
+      const cache = new ResponseCache();
+      const controller = new AbortController();
+      fetchWithSignal(cache, controller.signal);
+      controller.abort();
+      const abortedSignal = handlerSignal;
+
+      fetchWithSignal(cache, null);
+      handlerSignal.should.not.equal(abortedSignal);
+    });
+  });
+
+  describe('with a store serializing its values', function() {
+    it('should ignore the invalid entries', () => {
+      const data = {};
+      const cache = new ResponseCache({
+        defaultTTL: 60000,
+        store: {
+          getItem: key => (data.hasOwnProperty(key) ? data[key] : null),
+          setItem: (key, value) => {
+            data[key] = `${value}`;
+          },
+          removeItem: key => delete data[key]
+        }
+      });
+      const urlHandler = fakeURLHandler(emptyVAST);
+
+      return fetch(cache, urlHandler)
+        .then(() => {
+          should.equal(cache.getEntry('http://example.com/vast'), null);
+          return fetch(cache, urlHandler);
+        })
+        .then(details => {
+          details.cache.should.equal('miss');
+          urlHandler.calls.should.equal(2);
+        });
+    });
+  });
+
+  describe('used by a VASTParser', function() {
+    const options = { urlhandler: nodeURLHandler, resolveAll: true };
+    let vastParser = null;
+    let resolved = null;
+
+    beforeEach(() => {
+      vastParser = new VASTParser();
+      vastParser.responseCache = new ResponseCache({ defaultTTL: 60000 });
+      resolved = [];
+      vastParser.on('VAST-resolved', ({ url, cache }) =>
+        resolved.push({ url, cache })
+      );
+    });
+
+    it('should report the cache status in VAST-resolved events', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-a.xml'), options)
+        .then(() =>
+          vastParser.getAndParseVAST(urlfor('wrapper-a.xml'), options)
+        )
+        .then(response => {
+          response.ads.should.have.length(2);
+          resolved
+            .map(data => data.cache)
+            .should.eql(['miss', 'miss', 'miss', 'hit', 'hit', 'hit']);
+        });
+    });
+
+    it('should coalesce identical concurrent calls', () => {
+      return Promise.all([
+        vastParser.getAndParseVAST(urlfor('wrapper-b.xml'), options),
+        vastParser.getAndParseVAST(urlfor('wrapper-b.xml'), options)
+      ]).then(responses => {
+        responses[1].ads.should.have.length(responses[0].ads.length);
+        resolved
+          .filter(data => data.url === urlfor('sample.xml'))
+          .map(data => data.cache)
+          .should.eql(['miss', 'coalesced']);
+      });
+    });
+  });
+});
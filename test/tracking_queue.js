@@ -0,0 +1,226 @@
+import sinon from 'sinon';
+import { TrackingQueue } from '../src/util/tracking_queue';
+import { trackingTransport } from '../src/tracking_transport';
+
+const createStorage = () => ({
+  data: {},
+  getItem(key) {
+    return this.data.hasOwnProperty(key) ? this.data[key] : null;
+  },
+  setItem(key, value) {
+    this.data[key] = value;
+  }
+});
+
+// Fails the calls while offline is true
+const createTransport = () => ({
+  offline: false,
+  urls: [],
+  send(url, options, cb) {
+    this.urls.push(url);
+    cb(this.offline ? new Error('Network error') : null);
+  }
+});
+
+describe('TrackingQueue', function() {
+  let clock = null;
+  let storage = null;
+  let transport = null;
+  let queue = null;
+
+  const send = url => {
+    const results = [];
+    queue.send(url, {}, err => results.push(err));
+    return results;
+  };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    storage = createStorage();
+    transport = createTransport();
+    queue = new TrackingQueue({
+      transport,
+      storage,
+      baseDelay: 1000,
+      maxAge: 60000
+    });
+  });
+
+  afterEach(() => {
+    queue.stop();
+    clock.restore();
+  });
+
+  it('should send the url and forget it', () => {
+    const results = send('http://example.com/impression');
+
+    transport.urls.should.eql(['http://example.com/impression']);
+    results.should.eql([null]);
+    queue.getPendingURLs().should.eql([]);
+  });
+
+  it('should deliver each send of a same url', () => {
+    send('http://example.com/impression');
+    const results = send('http://example.com/impression');
+
+    transport.urls.should.eql([
+      'http://example.com/impression',
+      'http://example.com/impression'
+    ]);
+    results.should.eql([null]);
+  });
+
+  it('should retry each queued call of a same url', () => {
+    transport.offline = true;
+    send('http://example.com/impression');
+    send('http://example.com/impression');
+    queue
+      .getPendingURLs()
+      .should.eql([
+        'http://example.com/impression',
+        'http://example.com/impression'
+      ]);
+
+    transport.offline = false;
+    clock.tick(1000);
+    transport.urls.should.have.length(4);
+    queue.getPendingURLs().should.eql([]);
+  });
+
+  it('should retry a failed url with an exponential backoff', () => {
+    transport.offline = true;
+    const results = send('http://example.com/impression');
+
+    results.should.eql([]);
+    queue.getPendingURLs().should.eql(['http://example.com/impression']);
+
+    clock.tick(1000);
+    transport.urls.should.have.length(2);
+    clock.tick(1999);
+    transport.urls.should.have.length(2);
+
+    transport.offline = false;
+    clock.tick(1);
+    transport.urls.should.have.length(3);
+    results.should.eql([null]);
+    queue.getPendingURLs().should.eql([]);
+  });
+
+  it('should drop the urls after their max age', () => {
+    transport.offline = true;
+    const results = send('http://example.com/impression');
+
+    clock.tick(60000);
+    results[0].message.should.match(/expired/);
+    queue.getPendingURLs().should.eql([]);
+  });
+
+  it('should resume the urls persisted by a previous queue', () => {
+    transport.offline = true;
+    send('http://example.com/impression');
+    queue.stop();
+
+    transport.offline = false;
+    queue = new TrackingQueue({ transport, storage });
+    transport.urls.should.have.length(1);
+
+    clock.tick(1000);
+    transport.urls.should.have.length(2);
+    queue.getPendingURLs().should.eql([]);
+  });
+
+  it('should not replay a call which was interrupted', () => {
+    const originalSend = transport.send;
+    transport.send = function(url) {
+      this.urls.push(url);
+    };
+    queue.send('http://example.com/impression', {});
+    queue.stop();
+    clock.tick(60000);
+
+    transport.send = originalSend;
+    queue = new TrackingQueue({ transport, storage });
+
+    transport.urls.should.have.length(1);
+    queue.getPendingURLs().should.eql([]);
+    queue.send('http://example.com/impression', {});
+    transport.urls.should.have.length(2);
+  });
+
+  describe('with a storage shared by several queues', function() {
+    let callbacks = null;
+    let otherQueue = null;
+
+    beforeEach(() => {
+      callbacks = [];
+      transport.send = function(url, options, cb) {
+        this.urls.push(url);
+        callbacks.push(cb);
+      };
+    });
+
+    afterEach(() => {
+      otherQueue.stop();
+    });
+
+    it('should retry the failed calls which were in flight when another queue started', () => {
+      const results = send('http://example.com/impression');
+      otherQueue = new TrackingQueue({ transport, storage });
+      queue.getPendingURLs().should.eql(['http://example.com/impression']);
+
+      callbacks[0](new Error('Network error'));
+      clock.tick(1000);
+      transport.urls.should.have.length(2);
+
+      callbacks[1](null);
+      results.should.eql([null]);
+      queue.getPendingURLs().should.eql([]);
+    });
+
+    it('should report the failed calls dropped by another queue', () => {
+      const results = send('http://example.com/impression');
+      clock.tick(60000);
+      otherQueue = new TrackingQueue({ transport, storage });
+      queue.getPendingURLs().should.eql([]);
+
+      callbacks[0](new Error('Network error'));
+      results[0].message.should.equal('Network error');
+      transport.urls.should.have.length(1);
+    });
+  });
+
+  it('should use the default transport', () => {
+    new TrackingQueue({ storage }).transport.should.equal(trackingTransport);
+  });
+
+  describe('when the device is offline', function() {
+    let listeners = null;
+
+    beforeEach(() => {
+      listeners = {};
+      global.navigator = { onLine: false };
+      global.window = {
+        addEventListener: (name, listener) => (listeners[name] = listener),
+        removeEventListener: name => delete listeners[name]
+      };
+      queue.stop();
+      queue = new TrackingQueue({ transport, storage, baseDelay: 1000 });
+    });
+
+    afterEach(() => {
+      delete global.navigator;
+      delete global.window;
+    });
+
+    it('should send the urls once the connectivity returns', () => {
+      const results = send('http://example.com/impression');
+      transport.urls.should.have.length(0);
+
+      global.navigator.onLine = true;
+      listeners.online();
+
+      transport.urls.should.eql(['http://example.com/impression']);
+      results.should.eql([null]);
+    });
+  });
+});
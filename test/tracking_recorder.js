@@ -0,0 +1,181 @@
+import sinon from 'sinon';
+import { TrackingRecorder } from '../src/util/tracking_recorder';
+import { util } from '../src/util/util';
+import { CreativeLinear } from '../src/creative/creative_linear';
+import { VASTClient } from '../src/vast_client';
+import { VASTTracker } from '../src/vast_tracker';
+
+const createTransport = () => ({
+  urls: [],
+  send(url, options, cb) {
+    this.urls.push(url);
+    cb(null);
+  }
+});
+
+describe('TrackingRecorder', function() {
+  let clock = null;
+  let transport = null;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(1000);
+    transport = createTransport();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('used by util.track', function() {
+    it('should record the calls and send them', () => {
+      const recorder = new TrackingRecorder();
+
+      util.track(
+        ['http://example.com/error_[ERRORCODE]', null],
+        { ERRORCODE: 405 },
+        { transport, recorder, event: 'error', source: 'QA' }
+      );
+
+      transport.urls.should.eql(['http://example.com/error_405']);
+      recorder.getEntries().should.eql([
+        {
+          event: 'error',
+          template: 'http://example.com/error_[ERRORCODE]',
+          url: 'http://example.com/error_405',
+          variables: { ERRORCODE: 405 },
+          timestamp: 1000,
+          source: 'QA',
+          sent: true
+        }
+      ]);
+    });
+
+    it('should not send the calls in dry-run mode', () => {
+      const recorder = new TrackingRecorder({ dryRun: true });
+      const callback = sinon.spy();
+
+      util.track(
+        ['http://example.com/impression'],
+        {},
+        {
+          transport,
+          recorder,
+          callback
+        }
+      );
+
+      transport.urls.should.eql([]);
+      callback.called.should.be.false();
+      recorder.getEntries()[0].sent.should.be.false();
+    });
+  });
+
+  describe('#export', function() {
+    it('should export the entries as JSON', () => {
+      const recorder = new TrackingRecorder({ dryRun: true });
+      util.track(
+        ['http://example.com/a', 'http://example.com/b'],
+        {},
+        {
+          recorder,
+          event: 'start'
+        }
+      );
+
+      JSON.parse(recorder.export())
+        .map(entry => entry.url)
+        .should.eql(['http://example.com/a', 'http://example.com/b']);
+
+      recorder.clear();
+      recorder.export().should.equal('[]');
+    });
+  });
+
+  describe('used by a VASTTracker', function() {
+    let recorder = null;
+    let tracker = null;
+
+    beforeEach(() => {
+      const client = new VASTClient();
+      recorder = new TrackingRecorder({ dryRun: true });
+      client.trackingTransport = transport;
+      client.trackingRecorder = recorder;
+
+      const creative = new CreativeLinear();
+      creative.trackingEvents = { skip: ['http://example.com/skip'] };
+      creative.videoClickTrackingURLTemplates = ['http://example.com/click'];
+      tracker = new VASTTracker(
+        client,
+        {
+          impressionURLTemplates: ['http://example.com/impression'],
+          errorURLTemplates: ['http://example.com/error_[ERRORCODE]']
+        },
+        creative
+      );
+    });
+
+    it('should record the name of the tracked events', () => {
+      tracker.trackImpression();
+      tracker.skip();
+      tracker.click();
+      tracker.errorWithCode(402);
+
+      transport.urls.should.eql([]);
+      recorder
+        .getEntries()
+        .map(({ event, url, source }) => ({ event, url, source }))
+        .should.eql([
+          {
+            event: 'impression',
+            url: 'http://example.com/impression',
+            source: 'VASTTracker'
+          },
+          {
+            event: 'skip',
+            url: 'http://example.com/skip',
+            source: 'VASTTracker'
+          },
+          {
+            event: 'clickTracking',
+            url: 'http://example.com/click',
+            source: 'VASTTracker'
+          },
+          {
+            event: 'error',
+            url: 'http://example.com/error_402',
+            source: 'VASTTracker'
+          }
+        ]);
+    });
+
+    it('should record the variables of the calls', () => {
+      tracker.errorWithCode(402);
+
+      const entry = recorder.getEntries('error')[0];
+      entry.template.should.equal('http://example.com/error_[ERRORCODE]');
+      entry.variables.ERRORCODE.should.equal(402);
+      entry.variables.ADPLAYHEAD.should.equal('00:00:00.000');
+    });
+  });
+
+  describe('used by a VASTParser', function() {
+    it('should record the tracked errors', () => {
+      const client = new VASTClient();
+      const recorder = new TrackingRecorder({ dryRun: true });
+      client.trackingRecorder = recorder;
+
+      client
+        .getParser()
+        .trackVastError(['http://example.com/error_[ERRORCODE]'], {
+          ERRORCODE: 303
+        });
+
+      recorder.getEntries().should.have.length(1);
+      recorder.getEntries()[0].should.containDeep({
+        event: 'error',
+        url: 'http://example.com/error_303',
+        source: 'VASTParser'
+      });
+    });
+  });
+});
@@ -0,0 +1,239 @@
+import http from 'http';
+import sinon from 'sinon';
+import { beaconTransport } from '../src/transports/beacon_transport';
+import { fetchTransport } from '../src/transports/fetch_transport';
+import { nodeTransport } from '../src/transports/node_transport';
+import { trackingTransport } from '../src/tracking_transport';
+import { util } from '../src/util/util';
+import { CreativeLinear } from '../src/creative/creative_linear';
+import { VASTClient } from '../src/vast_client';
+import { VASTParser } from '../src/parser/vast_parser';
+import { VASTTracker } from '../src/vast_tracker';
+
+const send = (transport, url, options = {}) =>
+  new Promise(resolve => transport.send(url, options, resolve));
+
+// Records the calls and fails the urls containing 'fail'
+const recordingTransport = () => ({
+  urls: [],
+  send(url, options, cb) {
+    this.urls.push(url);
+    cb(url.indexOf('fail') !== -1 ? new Error('Tracking failed') : null);
+  }
+});
+
+describe('Tracking transports', function() {
+  describe('nodeTransport', function() {
+    let server = null;
+    let baseURL = null;
+    let requests = null;
+
+    before(done => {
+      server = http.createServer((req, res) => {
+        requests.push(req.url);
+        res.statusCode = req.url.indexOf('missing') !== -1 ? 404 : 204;
+        res.end();
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    after(done => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    it('should call the url', () => {
+      return send(nodeTransport, `${baseURL}/impression?id=1`).then(err => {
+        (err === null).should.be.true();
+        requests.should.eql(['/impression?id=1']);
+      });
+    });
+
+    it('should fail on an error status', () => {
+      return send(nodeTransport, `${baseURL}/missing`).then(err => {
+        err.message.should.equal('Tracking request failed with status 404');
+      });
+    });
+
+    it('should fail on a network error', () => {
+      return send(nodeTransport, 'http://127.0.0.1:1/impression').then(err => {
+        err.should.be.an.instanceof(Error);
+      });
+    });
+  });
+
+  describe('beaconTransport', function() {
+    afterEach(() => {
+      delete global.navigator;
+    });
+
+    it('should queue a beacon', () => {
+      global.navigator = { sendBeacon: sinon.stub().returns(true) };
+      beaconTransport.supported().should.be.true();
+
+      return send(beaconTransport, 'http://example.com/close').then(err => {
+        (err === null).should.be.true();
+        global.navigator.sendBeacon
+          .calledWith('http://example.com/close')
+          .should.be.true();
+      });
+    });
+
+    it('should fail when the beacon is not queued', () => {
+      global.navigator = { sendBeacon: sinon.stub().returns(false) };
+
+      return send(beaconTransport, 'http://example.com/close').then(err => {
+        err.should.be.an.instanceof(Error);
+      });
+    });
+  });
+
+  describe('fetchTransport', function() {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should send a keepalive request', () => {
+      global.fetch = sinon.stub().returns(Promise.resolve({}));
+      fetchTransport.supported().should.be.true();
+
+      return send(fetchTransport, 'http://example.com/complete').then(err => {
+        (err === null).should.be.true();
+        global.fetch.args[0][0].should.equal('http://example.com/complete');
+        global.fetch.args[0][1].keepalive.should.be.true();
+      });
+    });
+
+    it('should report the network errors', () => {
+      global.fetch = sinon.stub().returns(Promise.reject(new TypeError('x')));
+
+      return send(fetchTransport, 'http://example.com/complete').then(err => {
+        err.should.be.an.instanceof(TypeError);
+      });
+    });
+  });
+
+  describe('trackingTransport in browsers', function() {
+    const originalFetch = global.fetch;
+    let images = null;
+
+    beforeEach(() => {
+      images = [];
+      global.window = {};
+      global.Image = function() {
+        images.push(this);
+      };
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      delete global.navigator;
+      delete global.window;
+      delete global.Image;
+    });
+
+    it('should prefer a keepalive fetch', () => {
+      global.fetch = sinon.stub().returns(Promise.resolve({}));
+      global.navigator = { sendBeacon: sinon.stub().returns(true) };
+
+      return send(trackingTransport, 'http://example.com/start').then(err => {
+        (err === null).should.be.true();
+        global.fetch.calledOnce.should.be.true();
+        global.navigator.sendBeacon.called.should.be.false();
+        images.should.have.length(0);
+      });
+    });
+
+    it('should send a beacon without fetch', () => {
+      delete global.fetch;
+      global.navigator = { sendBeacon: sinon.stub().returns(true) };
+
+      return send(trackingTransport, 'http://example.com/start').then(err => {
+        (err === null).should.be.true();
+        global.navigator.sendBeacon.calledOnce.should.be.true();
+        images.should.have.length(0);
+      });
+    });
+
+    it('should load an image pixel without fetch nor beacon', () => {
+      delete global.fetch;
+      trackingTransport.send('http://example.com/start', {}, () => {});
+
+      images.should.have.length(1);
+      images[0].src.should.equal('http://example.com/start');
+    });
+  });
+
+  describe('used by util.track', function() {
+    it('should send the resolved urls and report each result', () => {
+      const transport = recordingTransport();
+      const results = [];
+
+      util.track(
+        ['http://example.com/ok?code=[ERRORCODE]', 'http://example.com/fail'],
+        { ERRORCODE: 405 },
+        {
+          transport,
+          callback: (err, url) => results.push({ url, failed: !!err })
+        }
+      );
+
+      transport.urls.should.eql([
+        'http://example.com/ok?code=405',
+        'http://example.com/fail'
+      ]);
+      results.should.eql([
+        { url: 'http://example.com/ok?code=405', failed: false },
+        { url: 'http://example.com/fail', failed: true }
+      ]);
+    });
+  });
+
+  describe('used by a VASTTracker', function() {
+    it('should use the transport of its client and emit the results', () => {
+      const client = new VASTClient();
+      const transport = recordingTransport();
+      client.trackingTransport = transport;
+
+      const creative = new CreativeLinear();
+      creative.trackingEvents = {
+        skip: ['http://example.com/skip', 'http://example.com/skip-fail']
+      };
+      const tracker = new VASTTracker(client, {}, creative);
+      const successes = [];
+      const failures = [];
+      tracker.on('tracking-success', ({ url }) => successes.push(url));
+      tracker.on('tracking-failure', ({ url, error }) =>
+        failures.push({ url, message: error.message })
+      );
+
+      tracker.skip();
+
+      transport.urls.should.have.length(2);
+      successes.should.eql(['http://example.com/skip']);
+      failures.should.eql([
+        { url: 'http://example.com/skip-fail', message: 'Tracking failed' }
+      ]);
+    });
+  });
+
+  describe('used by a VASTParser', function() {
+    it('should track the errors through its transport', () => {
+      const vastParser = new VASTParser();
+      const transport = recordingTransport();
+      vastParser.trackingTransport = transport;
+
+      vastParser.trackVastError(['http://example.com/error_[ERRORCODE]'], {
+        ERRORCODE: 303
+      });
+
+      transport.urls.should.eql(['http://example.com/error_303']);
+    });
+  });
+});
@@ -90,9 +90,74 @@ describe('Util', function() {
         CONTENTPLAYHEAD: 120
       }).should.equal('http://test.com/120&120'));
 
+    it('should replace every occurrence of a macro', () =>
+      resolve('http://test.com/[ADCOUNT]/%%ADCOUNT%%/[ADCOUNT]', {
+        ADCOUNT: 2
+      }).should.equal('http://test.com/2/2/2'));
+
+    describe('VAST 4.1 macros', function() {
+      it('should encode the string values', () =>
+        resolve('http://test.com/?ua=[DEVICEUA]&page=[PAGEURL]', {
+          DEVICEUA: 'Mozilla/5.0 (X11)',
+          PAGEURL: 'http://example.com/?a=1&b=2'
+        }).should.equal(
+          `http://test.com/?ua=${encodeRFC3986(
+            'Mozilla/5.0 (X11)'
+          )}&page=${encodeRFC3986('http://example.com/?a=1&b=2')}`
+        ));
+
+      it('should encode each value of the lists, separated by commas', () =>
+        resolve('http://test.com/?size=[PLAYERSIZE]&cat=[ADCATEGORIES]', {
+          PLAYERSIZE: [640, 360],
+          ADCATEGORIES: ['IAB1-1', 'a,b']
+        }).should.equal('http://test.com/?size=640,360&cat=IAB1-1,a%2Cb'));
+
+      it('should insert the booleans as 1 or 0', () => {
+        resolve('http://test.com/[LIMITADTRACKING]', {
+          LIMITADTRACKING: true
+        }).should.equal('http://test.com/1');
+        resolve('http://test.com/[LIMITADTRACKING]', {
+          LIMITADTRACKING: false
+        }).should.equal('http://test.com/0');
+      });
+
+      it('should insert the integers as is', () =>
+        resolve('http://test.com/[BREAKPOSITION]', {
+          BREAKPOSITION: 1
+        }).should.equal('http://test.com/1'));
+
+      it('should insert the unknown and withheld values as is', () =>
+        resolve('http://test.com/[IFA]/[PLAYERSIZE]/[DEVICEIP]', {
+          IFA: -2,
+          PLAYERSIZE: -1,
+          DEVICEIP: null
+        }).should.equal('http://test.com/-2/-1/-1'));
+
+      it('should insert the values of custom macros as is', () =>
+        resolve('http://test.com/[CUSTOM]', {
+          CUSTOM: 'a/b'
+        }).should.equal('http://test.com/a/b'));
+    });
+
     it('should ignore other types than strings', () =>
       [undefined, null, false, 123, {}, () => {}].forEach(URLTemplate =>
         should(resolve(URLTemplate)).equal(undefined)
       ));
   });
+
+  describe('#formatDuration', function() {
+    it('should format seconds as HH:MM:SS.mmm', () => {
+      util.formatDuration(0).should.equal('00:00:00.000');
+      util.formatDuration(90.123).should.equal('00:01:30.123');
+      util.formatDuration(3725.5).should.equal('01:02:05.500');
+    });
+
+    it('should round to the closest millisecond', () => {
+      util.formatDuration(59.9999).should.equal('00:01:00.000');
+    });
+
+    it('should format negative durations as zero', () => {
+      util.formatDuration(-1).should.equal('00:00:00.000');
+    });
+  });
 });
@@ -218,6 +218,45 @@ describe('VASTClient', () => {
           });
         });
       });
+
+      describe('with concurrent calls', () => {
+        let multipleAdsResponse = null;
+        let noAdResponse = null;
+
+        before(() => {
+          return Promise.all([
+            vastClient.get(vastUrl, options),
+            vastClient.get(urlfor('empty-no-ad.xml'), options)
+          ]).then(responses => {
+            [multipleAdsResponse, noAdResponse] = responses;
+          });
+        });
+
+        it('should resolve each response with its own parsing state', () => {
+          multipleAdsResponse.version.should.equal('3.0');
+          multipleAdsResponse.errorURLTemplates.should.eql([]);
+          multipleAdsResponse.ads.length.should.equal(1);
+          noAdResponse.version.should.equal('2.0');
+          noAdResponse.errorURLTemplates.should.have.length(1);
+          noAdResponse.ads.should.eql([]);
+        });
+
+        it('should expose the remaining ads of each session', () => {
+          vastClient
+            .hasRemainingAds(multipleAdsResponse.session)
+            .should.equal(true);
+          vastClient.hasRemainingAds(noAdResponse.session).should.equal(false);
+        });
+
+        it('should return the next ads of the given session', () => {
+          return vastClient
+            .getNextAds(false, { session: multipleAdsResponse.session })
+            .then(res => {
+              res.ads.length.should.equal(2);
+              res.session.should.equal(multipleAdsResponse.session);
+            });
+        });
+      });
     });
 
     describe('when set to true', () => {
@@ -249,4 +288,294 @@ describe('VASTClient', () => {
       });
     });
   });
+
+  describe('getWaterfall', () => {
+    const options = {
+      urlhandler: nodeURLHandler
+    };
+    const createStorage = () => ({
+      data: {},
+      getItem(key) {
+        return this.data[key];
+      },
+      setItem(key, value) {
+        this.data[key] = value;
+      }
+    });
+    const delayedURLHandler = delays => ({
+      get: (url, options, cb) => {
+        const file = Object.keys(delays).filter(
+          name => url.indexOf(name) !== -1
+        )[0];
+        setTimeout(
+          () => nodeURLHandler.get(url, options, cb),
+          file ? delays[file] : 0
+        );
+      }
+    });
+
+    it('should resolve with the first tier returning a playable ad', () => {
+      const vastClient = new VASTClient(0, 0, createStorage());
+
+      return vastClient
+        .getWaterfall(
+          [
+            urlfor('empty-no-ad.xml'),
+            urlfor('missing.xml'),
+            urlfor('inline-linear.xml'),
+            urlfor('sample.xml')
+          ],
+          options
+        )
+        .then(response => {
+          response.ads[0].id.should.equal('20001');
+          response.waterfall
+            .map(tier => tier.status)
+            .should.eql(['no-ad', 'error', 'filled']);
+          response.waterfall[0].reason.should.equal(
+            'No ad in the VAST response'
+          );
+          response.waterfall[1].url.should.equal(urlfor('missing.xml'));
+          response.waterfall[1].reason.should.match(/ENOENT/);
+        });
+    });
+
+    it('should reject with the report when no tier is filled', () => {
+      const vastClient = new VASTClient(0, 0, createStorage());
+
+      return vastClient
+        .getWaterfall(
+          [urlfor('empty-no-ad.xml'), urlfor('wrapper-unavailable-url.xml')],
+          options
+        )
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.message.should.equal('No playable ad in the waterfall');
+          error.waterfall
+            .map(tier => tier.status)
+            .should.eql(['no-ad', 'no-ad']);
+        });
+    });
+
+    it('should apply the timeout of each tier', () => {
+      const vastClient = new VASTClient(0, 0, createStorage());
+
+      return vastClient
+        .getWaterfall(
+          [
+            { url: urlfor('inline-linear.xml'), timeout: 20 },
+            urlfor('sample.xml')
+          ],
+          {
+            urlhandler: delayedURLHandler({ 'inline-linear.xml': 100 })
+          }
+        )
+        .then(response => {
+          response.ads[0].id.should.equal('ad_id_0001');
+          response.waterfall
+            .map(tier => tier.status)
+            .should.eql(['timeout', 'filled']);
+        });
+    });
+
+    it('should skip the remaining tiers once the deadline has passed', () => {
+      const vastClient = new VASTClient(0, 0, createStorage());
+
+      return vastClient
+        .getWaterfall([urlfor('inline-linear.xml'), urlfor('sample.xml')], {
+          urlhandler: delayedURLHandler({ 'inline-linear.xml': 100 }),
+          deadline: 30
+        })
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.message.should.equal('VAST waterfall deadline exceeded');
+          error.waterfall
+            .map(tier => tier.status)
+            .should.eql(['timeout', 'skipped']);
+        });
+    });
+
+    it('should apply the capping to the whole waterfall', () => {
+      const vastClient = new VASTClient(1, 0, createStorage());
+
+      return vastClient
+        .getWaterfall(
+          [urlfor('inline-linear.xml'), urlfor('sample.xml')],
+          options
+        )
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.message.should.equal(
+            'VAST call canceled – FreeLunch capping not reached yet 1/1'
+          );
+          vastClient.totalCalls.should.equal(1);
+
+          return vastClient.getWaterfall([urlfor('sample.xml')], options);
+        })
+        .then(response => {
+          response.waterfall.should.have.length(1);
+          vastClient.totalCalls.should.equal(2);
+        });
+    });
+  });
+
+  describe('getAuction', () => {
+    const options = {
+      urlhandler: nodeURLHandler
+    };
+    const tags = [
+      urlfor('inline-auction.xml'),
+      urlfor('inline-linear.xml'),
+      urlfor('sample.xml')
+    ];
+    const rateTable = {
+      currency: 'USD',
+      currencies: { EUR: 1.2 },
+      models: { CPC: 50 }
+    };
+    const createStorage = () => ({
+      data: {},
+      getItem(key) {
+        return this.data[key];
+      },
+      setItem(key, value) {
+        this.data[key] = value;
+      }
+    });
+    let vastClient = null;
+
+    beforeEach(() => {
+      vastClient = new VASTClient(0, 0, createStorage());
+    });
+
+    it('should request all the tags at the same time', () => {
+      let started = 0;
+      let startedAtFirstResponse = null;
+      const urlhandler = {
+        get: (url, options, cb) => {
+          started++;
+          setTimeout(() => {
+            if (startedAtFirstResponse === null) {
+              startedAtFirstResponse = started;
+            }
+            nodeURLHandler.get(url, options, cb);
+          }, 10);
+        }
+      };
+
+      return vastClient.getAuction(tags, { urlhandler, rateTable }).then(() => {
+        startedAtFirstResponse.should.equal(3);
+      });
+    });
+
+    it('should select the highest normalized price', () => {
+      return vastClient
+        .getAuction(tags, Object.assign({ rateTable }, options))
+        .then(response => {
+          response.ads[0].id.should.equal('auction-1');
+          response.auction.price.should.equal(30);
+          response.auction.currency.should.equal('USD');
+          response.auction.bids
+            .map(bid => bid.status)
+            .should.eql(['won', 'lost', 'lost']);
+          response.auction.bids[1].price.should.equal(25);
+          response.auction.bids[1].lossCode.should.equal(102);
+        });
+    });
+
+    it('should expand the auction macros of the winner', () => {
+      return vastClient
+        .getAuction(tags, Object.assign({ rateTable }, options))
+        .then(response => {
+          const ad = response.ads[0];
+          const linear = ad.creatives[0];
+
+          ad.impressionURLTemplates.should.eql([
+            'http://example.com/impression?price=30&currency=USD'
+          ]);
+          linear.trackingEvents.start.should.eql([
+            'http://example.com/start?price=30&check=30'
+          ]);
+          linear.videoClickTrackingURLTemplates.should.eql([
+            'http://example.com/click?price=30'
+          ]);
+          // The winner has no loss reason, [ERRORCODE] is left for the tracking
+          ad.errorURLTemplates.should.eql([
+            'http://example.com/error?loss=&code=[ERRORCODE]'
+          ]);
+        });
+    });
+
+    it('should expand the auction macros of the losers', () => {
+      return vastClient
+        .getAuction(
+          tags,
+          Object.assign(
+            {
+              rateTable: Object.assign({}, rateTable, { models: { cpc: 10 } })
+            },
+            options
+          )
+        )
+        .then(response => {
+          const loser = response.auction.bids[0];
+
+          response.ads[0].id.should.equal('20001');
+          loser.status.should.equal('lost');
+          loser.price.should.equal(6);
+          loser.response.ads[0].errorURLTemplates.should.eql([
+            'http://example.com/error?loss=102&code=[ERRORCODE]'
+          ]);
+          loser.response.ads[0].impressionURLTemplates.should.eql([
+            'http://example.com/impression?price=25&currency=USD'
+          ]);
+        });
+    });
+
+    it('should reject the bids below the floor', () => {
+      return vastClient
+        .getAuction(tags, Object.assign({ rateTable, floor: 100 }, options))
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.message.should.equal('No winning bid in the auction');
+          error.auction.bids
+            .map(bid => bid.lossCode)
+            .should.eql([100, 100, 100]);
+        });
+    });
+
+    it('should not compare the prices which cannot be converted', () => {
+      return vastClient.getAuction(tags, options).then(response => {
+        response.ads[0].id.should.equal('20001');
+        response.auction.bids[0].lossCode.should.equal(3);
+        should.equal(response.auction.bids[0].price, null);
+      });
+    });
+
+    it('should report the failed requests and empty responses', () => {
+      return vastClient
+        .getAuction(
+          [
+            urlfor('missing.xml'),
+            urlfor('empty-no-ad.xml'),
+            urlfor('sample.xml')
+          ],
+          options
+        )
+        .then(response => {
+          response.auction.bids
+            .map(bid => bid.status)
+            .should.eql(['error', 'no-bid', 'won']);
+          response.auction.price.should.equal(1.09);
+        });
+    });
+  });
 });
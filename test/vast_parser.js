@@ -3,10 +3,13 @@ import should from 'should';
 import sinon from 'sinon';
 import { VASTParser } from '../src/parser/vast_parser';
 import { VASTResponse } from '../src/vast_response';
+import { Verification } from '../src/verification';
 import { nodeURLHandler } from '../src/urlhandlers/node_url_handler';
 import { parserUtils } from '../src/parser/parser_utils.js';
 import { util } from '../src/util/util';
 import { readFileSync } from 'fs';
+import http from 'http';
+import { DOMParser } from 'xmldom';
 
 const vastParser = new VASTParser();
 
@@ -820,6 +823,101 @@ describe('VASTParser', function() {
     });
   });
 
+  describe('#AdVerifications', function() {
+    const options = {
+      urlhandler: nodeURLHandler
+    };
+
+    describe('on an inline ad', function() {
+      let ad = null;
+
+      before(done => {
+        vastParser
+          .getAndParseVAST(urlfor('inline-verifications.xml'), options)
+          .then(response => {
+            ad = response.ads[0];
+            done();
+          });
+      });
+
+      it('should have parsed 2 verifications', () => {
+        ad.adVerifications.should.have.length(2);
+        ad.adVerifications[0].should.be.an.instanceOf(Verification);
+      });
+
+      it('should have parsed the JavaScriptResource', () => {
+        const verification = ad.adVerifications[0];
+        verification.vendor.should.equal('company.com-omid');
+        verification.javaScriptResources.should.eql([
+          {
+            apiFramework: 'omid',
+            browserOptional: true,
+            url: 'http://example.com/omid-verification.js'
+          }
+        ]);
+        verification.executableResources.should.eql([]);
+      });
+
+      it('should have parsed the VerificationParameters', () => {
+        ad.adVerifications[0].parameters.should.equal('{"key":"value"}');
+        should.equal(ad.adVerifications[1].parameters, null);
+      });
+
+      it('should have parsed the verification tracking events', () => {
+        ad.adVerifications[0].trackingEvents.should.eql({
+          verificationNotExecuted: [
+            'http://example.com/verification-not-executed_[REASON]'
+          ]
+        });
+      });
+
+      it('should have parsed the ExecutableResource', () => {
+        const verification = ad.adVerifications[1];
+        verification.vendor.should.equal('company.com-native');
+        verification.executableResources.should.eql([
+          {
+            apiFramework: 'native',
+            type: 'application/x-native',
+            url: 'http://example.com/native-verification'
+          }
+        ]);
+      });
+    });
+
+    describe('through a wrapper using the VAST 3 Extension', function() {
+      let ad = null;
+
+      before(done => {
+        vastParser
+          .getAndParseVAST(urlfor('wrapper-verifications.xml'), options)
+          .then(response => {
+            ad = response.ads[0];
+            done();
+          });
+      });
+
+      it('should have merged the wrapper verifications', () => {
+        ad.adVerifications
+          .map(verification => verification.vendor)
+          .should.eql([
+            'wrapper.com-omid',
+            'company.com-omid',
+            'company.com-native'
+          ]);
+      });
+
+      it('should have parsed the wrapper verification resource', () => {
+        ad.adVerifications[0].javaScriptResources.should.eql([
+          {
+            apiFramework: 'omid',
+            browserOptional: false,
+            url: 'http://example.com/wrapper-verification.js'
+          }
+        ]);
+      });
+    });
+  });
+
   describe('#Tracking', function() {
     let trackCalls = null;
     let dataTriggered = null;
@@ -863,6 +961,20 @@ describe('VASTParser', function() {
           });
       });
 
+      it('replaces the macros of the parser in the tracked urls', () => {
+        vastParser.macros.set('DOMAIN', 'example.com');
+
+        return vastParser
+          .getAndParseVAST(urlfor('empty-no-ad.xml'), options)
+          .then(() => {
+            vastParser.macros.remove('DOMAIN');
+            trackCalls[0].variables.should.eql({
+              DOMAIN: 'example.com',
+              ERRORCODE: 303
+            });
+          });
+      });
+
       it('when wrapped, emits a VAST-error & track', done => {
         vastParser
           .getAndParseVAST(urlfor('wrapper-empty.xml'), options)
@@ -1044,6 +1156,92 @@ describe('VASTParser', function() {
           });
       });
     });
+
+    describe('#Wrapper followAdditionalWrappers', () => {
+      it('emits a VAST-error & track when a wrapper is received', () => {
+        return vastParser
+          .getAndParseVAST(
+            urlfor('wrapper-no-additional-wrappers.xml'),
+            options
+          )
+          .then(response => {
+            response.ads.should.eql([]);
+            dataTriggered.length.should.eql(1);
+            dataTriggered[0].ERRORCODE.should.eql(200);
+            trackCalls.length.should.eql(1);
+            trackCalls[0].templates.should.eql([
+              'http://example.com/wrapper-no-additional-wrappers-error',
+              'http://example.com/wrapperNoTracking-error'
+            ]);
+            trackCalls[0].variables.should.eql({ ERRORCODE: 200 });
+          });
+      });
+    });
+
+    describe('#Wrapper allowMultipleAds', () => {
+      let response = null;
+
+      beforeEach(() => {
+        return vastParser
+          .getAndParseVAST(urlfor('wrapper-single-ad.xml'), options)
+          .then(res => {
+            response = res;
+          });
+      });
+
+      it('only keeps the first stand-alone ad', () => {
+        response.ads.should.have.length(1);
+        response.ads[0].id.should.equal('ad_id_0002');
+      });
+
+      it('emits a VAST-error & track when an ad pod is received', () => {
+        dataTriggered.length.should.eql(1);
+        dataTriggered[0].ERRORCODE.should.eql(203);
+        trackCalls.length.should.eql(1);
+        trackCalls[0].templates.should.eql([
+          'http://example.com/wrapper-single-ad-pod-error'
+        ]);
+        trackCalls[0].variables.should.eql({ ERRORCODE: 203 });
+      });
+    });
+
+    describe('#Wrapper fallbackOnNoAd', () => {
+      it('falls back on the next remaining ads', () => {
+        return vastParser
+          .getAndParseVAST(
+            urlfor('wrapper-fallback.xml'),
+            Object.assign({ resolveAll: false }, options)
+          )
+          .then(response => {
+            response.ads.should.have.length(1);
+            response.ads[0].id.should.equal('20001');
+            response.ads[0].impressionURLTemplates[0].should.equal(
+              'http://example.com/wrapper-fallback-inline-impression'
+            );
+            response.ads[0].should.not.have.property('fallbackOnNoAd');
+            vastParser.remainingAds.should.eql([]);
+
+            dataTriggered.map(data => data.ERRORCODE).should.eql([303, 301]);
+            trackCalls[0].templates.should.eql([
+              'http://example.com/wrapper-fallback-no-ad-error',
+              'http://example.com/empty-no-ad'
+            ]);
+            trackCalls[1].templates.should.eql([
+              'http://example.com/wrapper-fallback-unavailable-error',
+              'http://example.com/wrapper-invalid-xmlfile_wrapper-error'
+            ]);
+          });
+      });
+
+      it('does not fall back when all the ads are resolved', () => {
+        return vastParser
+          .getAndParseVAST(urlfor('wrapper-fallback.xml'), options)
+          .then(response => {
+            response.ads.should.have.length(1);
+            dataTriggered.map(data => data.ERRORCODE).should.eql([301, 303]);
+          });
+      });
+    });
   });
 
   describe('#legacy', function() {
@@ -1082,6 +1280,744 @@ describe('VASTParser', function() {
     });
   });
 
+  describe('#wrapperChain', function() {
+    const options = {
+      urlhandler: nodeURLHandler
+    };
+    const fileSize = relpath =>
+      readFileSync(urlfor(relpath).slice(7), 'utf8').length;
+    let _track = null;
+    let chain = null;
+
+    before(() => {
+      _track = util.track;
+      util.track = () => {};
+
+      return new VASTParser()
+        .getAndParseVAST(urlfor('wrapper-a.xml'), options)
+        .then(response => {
+          chain = response.ads[0].wrapperChain;
+        });
+    });
+
+    after(() => {
+      util.track = _track;
+    });
+
+    it('should list the hops from the root VAST to the inline', () => {
+      chain
+        .map(hop => hop.url)
+        .should.eql([
+          urlfor('wrapper-a.xml'),
+          urlfor('wrapper-b.xml'),
+          urlfor('sample.xml')
+        ]);
+      chain.map(hop => hop.depth).should.eql([0, 1, 2]);
+    });
+
+    it('should describe the ad found at each hop', () => {
+      chain[0].adSystem.should.eql({ value: 'VAST', version: null });
+      should.equal(chain[0].adId, null);
+      chain[2].adSystem.should.eql({ value: 'AdServer', version: '2.0' });
+      chain[2].adId.should.equal('ad_id_0001');
+    });
+
+    it('should measure the fetch of each hop', () => {
+      chain.forEach(hop => hop.latency.should.be.a.Number());
+      chain
+        .map(hop => hop.responseSize)
+        .should.eql([
+          fileSize('wrapper-a.xml'),
+          fileSize('wrapper-b.xml'),
+          fileSize('sample.xml')
+        ]);
+    });
+
+    it('should list the urls contributed by each hop', () => {
+      chain[0].impressionURLTemplates.should.eql([
+        'http://example.com/wrapperA-impression'
+      ]);
+      chain[0].errorURLTemplates.should.eql([
+        'http://example.com/wrapperA-error'
+      ]);
+      chain[0].trackingEvents.nonlinear.should.eql({
+        start: ['http://example.com/wrapperA-nonlinear-start'],
+        complete: ['http://example.com/wrapperA-nonlinear-complete']
+      });
+      chain[1].impressionURLTemplates.should.have.length(2);
+      chain[2].errorURLTemplates.should.eql([
+        'http://example.com/error_[ERRORCODE]'
+      ]);
+      chain[2].trackingEvents.linear.should.have.property('start');
+    });
+
+    it('should not have fetch data for a parsed VAST', () => {
+      const xml = new DOMParser().parseFromString(
+        readXmlString('inline-linear.xml'),
+        'text/xml'
+      );
+
+      return new VASTParser().parseVAST(xml).then(response => {
+        const hop = response.ads[0].wrapperChain[0];
+
+        should.equal(hop.url, null);
+        should.equal(hop.latency, null);
+        should.equal(hop.responseSize, null);
+        hop.depth.should.equal(0);
+      });
+    });
+
+    it('should be part of the VAST-error payloads', () => {
+      const parser = new VASTParser();
+      const errors = [];
+      parser.on('VAST-error', data => errors.push(data));
+
+      return parser
+        .getAndParseVAST(urlfor('wrapper-unavailable-url.xml'), options)
+        .then(() => {
+          errors.should.have.length(1);
+          errors[0].wrapperChain
+            .map(hop => hop.url)
+            .should.eql([urlfor('wrapper-unavailable-url.xml')]);
+        });
+    });
+  });
+
+  describe('#deadline and hop timeouts', function() {
+    let errors = null;
+    let requestTimeouts = null;
+    let _track = null;
+
+    // Reads the vast files after the delay matching their name
+    const delayedURLHandler = delays => ({
+      get: (url, options, cb) => {
+        const file = Object.keys(delays).filter(
+          name => url.indexOf(name) !== -1
+        )[0];
+
+        requestTimeouts.push(options.timeout);
+        setTimeout(
+          () => nodeURLHandler.get(url, options, cb),
+          file ? delays[file] : 0
+        );
+      }
+    });
+
+    before(() => {
+      _track = util.track;
+      util.track = () => {};
+    });
+
+    after(() => {
+      util.track = _track;
+    });
+
+    beforeEach(() => {
+      errors = [];
+      requestTimeouts = [];
+      util.track = () => {};
+      vastParser.removeAllListeners();
+      vastParser.on('VAST-error', variables => errors.push(variables));
+    });
+
+    it('should return the ads resolved before the deadline', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-fallback.xml'), {
+          urlhandler: delayedURLHandler({ 'empty-no-ad.xml': 200 }),
+          deadline: 50
+        })
+        .then(response => {
+          response.ads.should.have.length(1);
+          response.ads[0].id.should.equal('20001');
+
+          const deadlineErrors = errors.filter(
+            error => error.ERRORMESSAGE === 'VAST deadline exceeded'
+          );
+          deadlineErrors.should.have.length(1);
+          deadlineErrors[0].ERRORCODE.should.equal(301);
+        });
+    });
+
+    it('should track the errors of the whole wrapper chain at the deadline', () => {
+      const trackedURLs = [];
+      util.track = URLTemplates => {
+        URLTemplates.forEach(URLTemplate => trackedURLs.push(URLTemplate));
+      };
+
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-notracking.xml'), {
+          urlhandler: delayedURLHandler({ 'sample.xml': 200 }),
+          deadline: 100
+        })
+        .then(response => {
+          response.ads.should.have.length(0);
+          errors.should.have.length(1);
+          errors[0].ERRORCODE.should.equal(301);
+          errors[0].ERRORMESSAGE.should.equal('VAST deadline exceeded');
+          trackedURLs.should.containEql('http://example.com/wrapperA-error');
+          trackedURLs.should.containEql('http://example.com/wrapperB-error');
+        });
+    });
+
+    it('should cap the request timeouts with the time left', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-notracking.xml'), {
+          urlhandler: delayedURLHandler({}),
+          timeout: 5000,
+          deadline: 1000
+        })
+        .then(() => {
+          requestTimeouts.length.should.be.above(1);
+          requestTimeouts.forEach(timeout => {
+            timeout.should.be.within(1, 1000);
+          });
+        });
+    });
+
+    it('should reject when the deadline passes before the root response', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-notracking.xml'), {
+          urlhandler: delayedURLHandler({ 'wrapper-notracking.xml': 100 }),
+          deadline: 20
+        })
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.message.should.equal('VAST deadline exceeded');
+        });
+    });
+
+    it('should flag wrapper responses received after the wrapper timeout', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-notracking.xml'), {
+          urlhandler: delayedURLHandler({ 'wrapper-a.xml': 40 }),
+          wrapperTimeout: 20
+        })
+        .then(response => {
+          response.ads.should.eql([]);
+          errors.should.have.length(1);
+          errors[0].ERRORCODE.should.equal(301);
+          errors[0].ERRORMESSAGE.should.equal(
+            'VAST wrapper response received after 20ms'
+          );
+        });
+    });
+
+    it('should flag inline responses received after the inline timeout', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-ad-pod.xml'), {
+          urlhandler: delayedURLHandler({ 'inline-linear.xml': 40 }),
+          inlineTimeout: 20
+        })
+        .then(response => {
+          response.ads.should.eql([]);
+          errors
+            .map(error => error.ERRORMESSAGE)
+            .should.eql([
+              'VAST inline response received after 20ms',
+              'VAST inline response received after 20ms'
+            ]);
+        });
+    });
+
+    it('should not apply the wrapper timeout to inline responses', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-ad-pod.xml'), {
+          urlhandler: delayedURLHandler({ 'inline-linear.xml': 40 }),
+          timeout: 1000,
+          wrapperTimeout: 20
+        })
+        .then(response => {
+          response.ads.should.have.length(2);
+          requestTimeouts.should.eql([1000, 1000, 1000]);
+        });
+    });
+  });
+
+  describe('#retry', function() {
+    let attempts = null;
+    let errors = null;
+    let _track = null;
+
+    // Fails the first requests of the vast files matching their name
+    const flakyURLHandler = failures => ({
+      calls: 0,
+      get(url, options, cb) {
+        this.calls++;
+        const file = Object.keys(failures).filter(
+          name => url.indexOf(name) !== -1
+        )[0];
+
+        if (file && failures[file] > 0) {
+          failures[file]--;
+          return setTimeout(() => cb(new Error('Network error')), 0);
+        }
+        nodeURLHandler.get(url, options, cb);
+      }
+    });
+
+    before(() => {
+      _track = util.track;
+      util.track = () => {};
+    });
+
+    after(() => {
+      util.track = _track;
+    });
+
+    beforeEach(() => {
+      attempts = [];
+      errors = [];
+      vastParser.removeAllListeners();
+      vastParser.on('VAST-resolving', ({ url, attempt }) =>
+        attempts.push({ name: 'VAST-resolving', url, attempt })
+      );
+      vastParser.on('VAST-resolved', ({ url, error, attempt }) =>
+        attempts.push({ name: 'VAST-resolved', url, error, attempt })
+      );
+      vastParser.on('VAST-error', variables => errors.push(variables));
+    });
+
+    it('should retry a failed root request', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('sample.xml'), {
+          urlhandler: flakyURLHandler({ 'sample.xml': 1 }),
+          retry: { maxAttempts: 3, baseDelay: 1 }
+        })
+        .then(response => {
+          response.ads.should.have.length(2);
+          attempts
+            .map(({ name, attempt }) => `${name} ${attempt}`)
+            .should.eql([
+              'VAST-resolving 1',
+              'VAST-resolved 1',
+              'VAST-resolving 2',
+              'VAST-resolved 2'
+            ]);
+          attempts[1].error.message.should.equal('Network error');
+          should.not.exist(attempts[3].error);
+          vastParser.session.parentURLs.should.eql([urlfor('sample.xml')]);
+        });
+    });
+
+    it('should retry a failed wrapper request', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-a.xml'), {
+          urlhandler: flakyURLHandler({ 'wrapper-b.xml': 2 }),
+          retry: { maxAttempts: 3, baseDelay: 1 }
+        })
+        .then(response => {
+          response.ads.should.have.length(2);
+          errors.should.have.length(0);
+          attempts
+            .filter(
+              ({ name, url }) =>
+                name === 'VAST-resolving' && url === urlfor('wrapper-b.xml')
+            )
+            .map(({ attempt }) => attempt)
+            .should.eql([1, 2, 3]);
+        });
+    });
+
+    it('should reject with the last error once the attempts are exhausted', () => {
+      const urlHandler = flakyURLHandler({ 'sample.xml': 5 });
+
+      return vastParser
+        .getAndParseVAST(urlfor('sample.xml'), {
+          urlhandler: urlHandler,
+          retry: { maxAttempts: 3, baseDelay: 1 }
+        })
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.message.should.equal('Network error');
+          urlHandler.calls.should.equal(3);
+        });
+    });
+
+    it('should not retry the errors which are not retryable', () => {
+      const urlHandler = flakyURLHandler({ 'sample.xml': 1 });
+      const isRetryable = sinon.spy(() => false);
+
+      return vastParser
+        .getAndParseVAST(urlfor('sample.xml'), {
+          urlhandler: urlHandler,
+          retry: { maxAttempts: 3, baseDelay: 1, isRetryable }
+        })
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.message.should.equal('Network error');
+          urlHandler.calls.should.equal(1);
+          isRetryable.calledWith(error, 1).should.be.true();
+        });
+    });
+
+    it('should not emit attempt numbers without retry policy', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('sample.xml'), { urlhandler: nodeURLHandler })
+        .then(() => {
+          attempts.should.have.length(2);
+          attempts.forEach(({ attempt }) => should.not.exist(attempt));
+        });
+    });
+
+    describe('backoff delays', function() {
+      let random = null;
+
+      beforeEach(() => {
+        random = sinon.stub(Math, 'random').returns(1);
+      });
+
+      afterEach(() => {
+        random.restore();
+      });
+
+      it('should grow exponentially up to the maximum delay', () => {
+        const session = vastParser.initParsingStatus({
+          retry: { maxAttempts: 5, baseDelay: 100, maxDelay: 300, jitter: 0 }
+        });
+        const error = new Error('Network error');
+
+        [1, 2, 3, 4, 5]
+          .map(attempt => session.getRetryDelay(error, attempt))
+          .should.eql([100, 200, 300, 300, null]);
+      });
+
+      it('should remove a random part of the delay', () => {
+        const session = vastParser.initParsingStatus({
+          retry: { maxAttempts: 3, baseDelay: 100, jitter: 0.5 }
+        });
+
+        session.getRetryDelay(new Error(), 2).should.equal(100);
+        random.returns(0);
+        session.getRetryDelay(new Error(), 2).should.equal(200);
+      });
+
+      it('should not retry past the deadline', () => {
+        const session = vastParser.initParsingStatus({
+          deadline: 150,
+          retry: { maxAttempts: 3, baseDelay: 100, jitter: 0 }
+        });
+
+        session.getRetryDelay(new Error(), 1).should.equal(100);
+        should.equal(session.getRetryDelay(new Error(), 2), null);
+      });
+
+      it('should not retry an aborted request', () => {
+        const session = vastParser.initParsingStatus({
+          retry: { maxAttempts: 3 }
+        });
+
+        should.equal(session.getRetryDelay(util.createAbortError(), 1), null);
+      });
+    });
+  });
+
+  describe('#macros', function() {
+    let requestedURLs = null;
+    let filteredURLs = null;
+
+    // Serves the wrapper and the inline of the chain from their fixtures
+    const recordingURLHandler = {
+      get(url, options, cb) {
+        requestedURLs.push(url);
+        const file =
+          url.indexOf('http://example.com/inline') === 0
+            ? 'sample.xml'
+            : 'wrapper-macros.xml';
+        nodeURLHandler.get(urlfor(file), options, cb);
+      }
+    };
+
+    beforeEach(() => {
+      requestedURLs = [];
+      filteredURLs = [];
+      vastParser.removeAllListeners();
+      vastParser.macros.set('DEVICEUA', 'Mozilla/5.0 (X11)');
+      vastParser.addURLTemplateFilter(url => {
+        filteredURLs.push(url);
+        return url;
+      });
+    });
+
+    afterEach(() => {
+      vastParser.macros.remove('DEVICEUA');
+      vastParser.clearURLTemplateFilters();
+    });
+
+    it('should expand the macros of the root url before the filters', () => {
+      return vastParser
+        .getAndParseVAST(
+          'http://example.com/root?ua=[DEVICEUA]&pos=[BREAKPOSITION]',
+          {
+            urlHandler: recordingURLHandler,
+            macros: { BREAKPOSITION: 2 }
+          }
+        )
+        .then(() => {
+          const rootURL = `http://example.com/root?ua=${util.encodeURIComponentRFC3986(
+            'Mozilla/5.0 (X11)'
+          )}&pos=2`;
+
+          filteredURLs[0].should.equal(rootURL);
+          requestedURLs[0].should.equal(rootURL);
+        });
+    });
+
+    it('should expand the macros of the wrapper urls', () => {
+      return vastParser
+        .getAndParseVAST('http://example.com/root', {
+          urlHandler: recordingURLHandler,
+          macros: {
+            GDPRCONSENT: 'BOEFEAyOEFEAyAHABDENAI4AAAB9vABAASA',
+            BREAKPOSITION: 1
+          }
+        })
+        .then(response => {
+          response.ads.should.have.length(2);
+          requestedURLs.should.have.length(2);
+          requestedURLs[1].should.match(
+            /^http:\/\/example.com\/inline\?cb=[0-9]{8}&ts=[^&[%]+%3A[^&[]+&ua=Mozilla%2F5.0%20%28X11%29&consent=BOEFEAyOEFEAyAHABDENAI4AAAB9vABAASA&pos=1$/
+          );
+          filteredURLs[1].should.equal(requestedURLs[1]);
+        });
+    });
+
+    it('should detect the loops of wrappers with macros', () => {
+      const loopURLHandler = {
+        get(url, options, cb) {
+          requestedURLs.push(url);
+          nodeURLHandler.get(urlfor('wrapper-loop.xml'), options, cb);
+        }
+      };
+      const errors = [];
+      vastParser.on('VAST-error', variables => errors.push(variables));
+
+      return vastParser
+        .getAndParseVAST('http://example.com/loop?cb=[CACHEBUSTING]', {
+          urlHandler: loopURLHandler
+        })
+        .then(() => {
+          requestedURLs.should.have.length(1);
+          requestedURLs[0].should.match(
+            /^http:\/\/example.com\/loop\?cb=[0-9]{8}$/
+          );
+          vastParser.session.parentURLs.should.eql([
+            'http://example.com/loop?cb=[CACHEBUSTING]'
+          ]);
+          errors.map(error => error.ERRORCODE).should.containEql(302);
+        });
+    });
+
+    it('should leave the macros without value', () => {
+      return vastParser
+        .getAndParseVAST('http://example.com/root', {
+          urlHandler: recordingURLHandler
+        })
+        .then(() => {
+          requestedURLs[1].should.containEql(
+            '&consent=[GDPRCONSENT]&pos=[BREAKPOSITION]'
+          );
+        });
+    });
+  });
+
+  describe('#progress offsets', function() {
+    it('should index the progress offsets with a millisecond precision', () => {
+      const xml = new DOMParser().parseFromString(
+        readXmlString('inline-progress.xml'),
+        'text/xml'
+      );
+
+      return new VASTParser().parseVAST(xml).then(response => {
+        Object.keys(response.ads[0].creatives[0].trackingEvents).should.eql([
+          'progress-7.5',
+          'progress-10',
+          'progress-12.346',
+          'progress-33%'
+        ]);
+      });
+    });
+  });
+
+  describe('#viewableImpression', function() {
+    it('should parse the ViewableImpression urls', () => {
+      const xml = new DOMParser().parseFromString(
+        readXmlString('inline-viewable.xml'),
+        'text/xml'
+      );
+
+      return new VASTParser().parseVAST(xml).then(response => {
+        response.ads[0].viewableImpression.should.eql({
+          id: 'viewable-impression',
+          viewableURLTemplates: [
+            'http://example.com/viewable',
+            'http://example.com/viewable-2'
+          ],
+          notViewableURLTemplates: ['http://example.com/not-viewable'],
+          viewUndeterminedURLTemplates: ['http://example.com/view-undetermined']
+        });
+      });
+    });
+
+    it('should merge the ViewableImpression urls of the wrappers', () =>
+      new VASTParser()
+        .getAndParseVAST(urlfor('wrapper-viewable.xml'), {
+          urlhandler: nodeURLHandler
+        })
+        .then(response => {
+          response.ads[0].viewableImpression.should.eql({
+            id: 'viewable-impression',
+            viewableURLTemplates: [
+              'http://example.com/wrapper-viewable',
+              'http://example.com/viewable',
+              'http://example.com/viewable-2'
+            ],
+            notViewableURLTemplates: [
+              'http://example.com/wrapper-not-viewable',
+              'http://example.com/not-viewable'
+            ],
+            viewUndeterminedURLTemplates: [
+              'http://example.com/view-undetermined'
+            ]
+          });
+        }));
+
+    it('should have no ViewableImpression urls by default', () =>
+      new VASTParser()
+        .getAndParseVAST(urlfor('wrapper-notracking.xml'), {
+          urlhandler: nodeURLHandler
+        })
+        .then(response => {
+          response.ads[0].viewableImpression.should.eql({
+            id: null,
+            viewableURLTemplates: [],
+            notViewableURLTemplates: [],
+            viewUndeterminedURLTemplates: []
+          });
+        }));
+  });
+
+  describe('#abort', function() {
+    let server = null;
+    let serverRequests = null;
+    let errors = null;
+    let trackCalls = null;
+    let _track = null;
+
+    const parseXmlString = xmlString =>
+      new DOMParser().parseFromString(xmlString, 'text/xml');
+
+    before(done => {
+      _track = util.track;
+      util.track = (templates, variables) =>
+        trackCalls.push({ templates, variables });
+
+      // Never answers, the requests stay pending until aborted
+      server = http.createServer(req => serverRequests.push(req));
+      server.listen(0, '127.0.0.1', done);
+    });
+
+    after(done => {
+      util.track = _track;
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      errors = [];
+      trackCalls = [];
+      serverRequests = [];
+      vastParser.removeAllListeners();
+      vastParser.on('VAST-error', variables => errors.push(variables));
+    });
+
+    it('should reject with an AbortError when already aborted', () => {
+      const controller = new AbortController();
+      const resolving = [];
+      vastParser.on('VAST-resolving', data => resolving.push(data));
+      controller.abort();
+
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-notracking.xml'), {
+          urlhandler: nodeURLHandler,
+          signal: controller.signal
+        })
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          util.isAbortError(error).should.be.true();
+          resolving.should.eql([]);
+        });
+    });
+
+    it('should abort the pending requests without tracking errors', () => {
+      const controller = new AbortController();
+      const { port } = server.address();
+      const vastXml = parseXmlString(`<VAST version="3.0">
+        <Error>http://example.com/root-error</Error>
+        <Ad>
+          <Wrapper>
+            <AdSystem>VAST</AdSystem>
+            <VASTAdTagURI>http://127.0.0.1:${port}/pending.xml</VASTAdTagURI>
+            <Error>http://example.com/wrapper-error</Error>
+            <Impression>http://example.com/wrapper-impression</Impression>
+          </Wrapper>
+        </Ad>
+      </VAST>`);
+      const parsing = vastParser.parseVAST(vastXml, {
+        urlhandler: nodeURLHandler,
+        signal: controller.signal
+      });
+
+      setTimeout(() => controller.abort(), 20);
+
+      return parsing
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          error.name.should.equal('AbortError');
+          // Let the aborted socket settle before checking it
+          return new Promise(resolve => setTimeout(resolve, 20));
+        })
+        .then(() => {
+          serverRequests.should.have.length(1);
+          serverRequests[0].socket.destroyed.should.be.true();
+          errors.should.eql([]);
+          trackCalls.should.eql([]);
+        });
+    });
+
+    it('should abort the resolution of the remaining ads', () => {
+      const controller = new AbortController();
+
+      return vastParser
+        .getAndParseVAST(urlfor('sample.xml'), {
+          urlhandler: nodeURLHandler,
+          resolveAll: false
+        })
+        .then(() => {
+          vastParser.remainingAds.should.have.length(1);
+          controller.abort();
+
+          return vastParser.getRemainingAds(false, {
+            signal: controller.signal
+          });
+        })
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          util.isAbortError(error).should.be.true();
+        });
+    });
+  });
+
   // Leave at the end
   describe('parsing events', function() {
     describe('failed wrapper resolution', function() {
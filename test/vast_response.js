@@ -0,0 +1,140 @@
+import path from 'path';
+import should from 'should';
+import { Ad } from '../src/ad';
+import { AdExtension } from '../src/ad_extension';
+import { AdExtensionChild } from '../src/ad_extension_child';
+import { CompanionAd } from '../src/companion_ad';
+import { CreativeCompanion } from '../src/creative/creative_companion';
+import { CreativeLinear } from '../src/creative/creative_linear';
+import { CreativeNonLinear } from '../src/creative/creative_non_linear';
+import { Icon } from '../src/icon';
+import { MediaFile } from '../src/media_file';
+import { NonLinearAd } from '../src/non_linear_ad';
+import { VASTParser } from '../src/parser/vast_parser';
+import { VASTResponse } from '../src/vast_response';
+import { VASTTracker } from '../src/vast_tracker';
+import { Verification } from '../src/verification';
+import { nodeURLHandler } from '../src/urlhandlers/node_url_handler';
+
+const urlfor = relpath =>
+  `file://${path
+    .resolve(path.dirname(module.filename), 'vastfiles', relpath)
+    .replace(/\\/g, '/')}`;
+
+const options = {
+  urlhandler: nodeURLHandler
+};
+
+describe('VASTResponse', function() {
+  let response = null;
+
+  before(done => {
+    new VASTParser()
+      .getAndParseVAST(urlfor('wrapper-notracking.xml'), options)
+      .then(res => {
+        response = res;
+        done();
+      });
+  });
+
+  describe('#toJSON', function() {
+    it('should return a versioned snapshot', () => {
+      const snapshot = response.toJSON();
+
+      snapshot.snapshotVersion.should.equal(1);
+      snapshot.version.should.equal(response.version);
+      snapshot.ads.should.have.length(response.ads.length);
+    });
+
+    it('should only contain plain objects', () => {
+      const snapshot = response.toJSON();
+
+      Object.getPrototypeOf(snapshot.ads[0]).should.equal(Object.prototype);
+      Object.getPrototypeOf(snapshot.ads[0].creatives[0]).should.equal(
+        Object.prototype
+      );
+    });
+
+    it('should be used by JSON.stringify', () => {
+      JSON.parse(JSON.stringify(response)).should.eql(response.toJSON());
+    });
+  });
+
+  describe('#fromJSON', function() {
+    let rehydrated = null;
+
+    before(() => {
+      rehydrated = VASTResponse.fromJSON(JSON.stringify(response));
+    });
+
+    it('should return an equivalent VASTResponse', () => {
+      rehydrated.should.be.an.instanceof(VASTResponse);
+      rehydrated.toJSON().should.eql(response.toJSON());
+    });
+
+    it('should rebuild the ads and their extensions', () => {
+      rehydrated.ads.forEach(ad => {
+        ad.should.be.an.instanceof(Ad);
+        ad.extensions.forEach(extension => {
+          extension.should.be.an.instanceof(AdExtension);
+          extension.children.forEach(child =>
+            child.should.be.an.instanceof(AdExtensionChild)
+          );
+        });
+      });
+      rehydrated.ads[0].extensions.should.not.be.empty();
+    });
+
+    it('should rebuild the creatives of the class matching their type', () => {
+      const creatives = rehydrated.ads[0].creatives;
+      const linear = creatives.filter(c => c.type === 'linear')[0];
+      const companion = creatives.filter(c => c.type === 'companion')[0];
+      const nonLinear = creatives.filter(c => c.type === 'nonlinear')[0];
+
+      linear.should.be.an.instanceof(CreativeLinear);
+      linear.mediaFiles[0].should.be.an.instanceof(MediaFile);
+      linear.icons[0].should.be.an.instanceof(Icon);
+      companion.should.be.an.instanceof(CreativeCompanion);
+      companion.variations[0].should.be.an.instanceof(CompanionAd);
+      nonLinear.should.be.an.instanceof(CreativeNonLinear);
+      nonLinear.variations[0].should.be.an.instanceof(NonLinearAd);
+    });
+
+    it('should allow to track a rehydrated creative', () => {
+      const ad = rehydrated.ads[0];
+      const linear = ad.creatives.filter(c => c.type === 'linear')[0];
+      const tracker = new VASTTracker(null, ad, linear);
+
+      tracker.linear.should.be.true();
+      tracker.assetDuration.should.equal(linear.duration);
+    });
+
+    it('should rebuild the ad verifications', done => {
+      new VASTParser()
+        .getAndParseVAST(urlfor('inline-verifications.xml'), options)
+        .then(res => {
+          const verifications = VASTResponse.fromJSON(res.toJSON()).ads[0]
+            .adVerifications;
+
+          verifications.should.have.length(2);
+          verifications[0].should.be.an.instanceof(Verification);
+          verifications[0].vendor.should.equal('company.com-omid');
+          done();
+        });
+    });
+
+    it('should throw with an invalid snapshot', () => {
+      should.throws(
+        () => VASTResponse.fromJSON({ ads: [] }),
+        /Invalid VASTResponse snapshot/
+      );
+    });
+
+    it('should throw with a snapshot from a newer version', () => {
+      should.throws(
+        () => VASTResponse.fromJSON({ snapshotVersion: 2, ads: [] }),
+        /Unsupported VASTResponse snapshot version: 2/
+      );
+    });
+  });
+});
@@ -1,10 +1,12 @@
 import path from 'path';
 import sinon from 'sinon';
+import { EventEmitter } from 'events';
 import { VASTClient } from '../src/vast_client';
 import { VASTParser } from '../src/parser/vast_parser';
 import { VASTTracker } from '../src/vast_tracker';
 import { nodeURLHandler } from '../src/urlhandlers/node_url_handler';
 import { util } from '../src/util/util';
+import { CreativeCompanion } from '../src/creative/creative_companion';
 import { CreativeLinear } from '../src/creative/creative_linear';
 
 const now = new Date();
@@ -19,6 +21,33 @@ const urlfor = relpath =>
     .resolve(path.dirname(module.filename), 'vastfiles', relpath)
     .replace(/\\/g, '/')}`;
 
+// Stubs util.track, the given callback receiving the urls of each call once resolved
+const stubTrack = (onTrack = () => {}) =>
+  sinon
+    .stub(util, 'track')
+    .callsFake((URLTemplates, variables, options) =>
+      onTrack(util.resolveURLTemplates(URLTemplates, variables, options))
+    );
+
+// Creates a tracker of a linear creative of the given duration, the other properties of the creative being optional
+const createLinearTracker = (
+  duration,
+  creativeProperties = {},
+  ad = { errorURLTemplates: [] }
+) => {
+  const creative = Object.assign(new CreativeLinear(), creativeProperties, {
+    duration
+  });
+  return new VASTTracker(null, ad, creative);
+};
+
+// Plays the ad of the tracker from one time to another, with a progress every 0.5s
+const play = (tracker, from, to) => {
+  for (let time = from; time <= to; time += 0.5) {
+    tracker.setProgress(time);
+  }
+};
+
 describe('VASTTracker', function() {
   before(() => {
     this.clock = sinon.useFakeTimers(now.getTime());
@@ -120,7 +149,7 @@ describe('VASTTracker', function() {
         });
 
         it('should send progress-60% event VAST 3.0', () => {
-          this.Tracker.setProgress(54);
+          this.Tracker.setProgress(55);
           _eventsSent.should.eql(['progress-60%']);
         });
 
@@ -362,7 +391,8 @@ describe('VASTTracker', function() {
               'http://example.com/linear-complete',
               'http://example.com/wrapperB-linear-complete',
               'http://example.com/wrapperA-linear-complete'
-            ]
+            ],
+            'avoc'
           ]);
         });
 
@@ -650,4 +680,796 @@ describe('VASTTracker', function() {
       });
     });
   });
+
+  describe('#macros', () => {
+    let trackedURLs = null;
+    let tracker = null;
+
+    before(() => {
+      stubTrack(URLs => (trackedURLs = URLs));
+    });
+
+    after(() => {
+      util.track.restore();
+    });
+
+    beforeEach(() => {
+      const client = new VASTClient();
+      client.macros.set({ DOMAIN: 'example.com', PLAYERSIZE: [640, 360] });
+      tracker = new VASTTracker(client, { errorURLTemplates: [] }, {});
+      tracker.macros.set('ADTYPE', 'video').withhold('IFA');
+    });
+
+    it('should replace the macros of the tracker and of its client', () => {
+      tracker.trackURLs([
+        'http://example.com/track?d=[DOMAIN]&s=[PLAYERSIZE]&t=[ADTYPE]&i=[IFA]'
+      ]);
+      trackedURLs.should.eql([
+        'http://example.com/track?d=example.com&s=640,360&t=video&i=-2'
+      ]);
+    });
+
+    it('should give precedence to the variables of the call', () => {
+      tracker.trackURLs(['http://example.com/track?t=[ADTYPE]'], {
+        ADTYPE: 'audio'
+      });
+      trackedURLs.should.eql(['http://example.com/track?t=audio']);
+    });
+
+    it('should replace the macros in the clickthrough url', () => {
+      const clickthroughs = [];
+      tracker.clickThroughURLTemplate = 'http://example.com/click?d=[DOMAIN]';
+      tracker.on('clickthrough', url => clickthroughs.push(url));
+      tracker.click();
+
+      clickthroughs.should.eql(['http://example.com/click?d=example.com']);
+    });
+  });
+
+  describe('#playback macros', () => {
+    let trackedURLs = null;
+    let tracker = null;
+    const template =
+      'http://example.com/track?ad=[ADPLAYHEAD]&media=[MEDIAPLAYHEAD]&state=[PLAYERSTATE]&count=[ADCOUNT]&seq=[PODSEQUENCE]';
+
+    before(() => {
+      stubTrack(URLs => (trackedURLs = URLs));
+    });
+
+    after(() => {
+      util.track.restore();
+    });
+
+    beforeEach(() => {
+      tracker = createLinearTracker(
+        30,
+        { videoClickThroughURLTemplate: template },
+        { sequence: '2', errorURLTemplates: [template] }
+      );
+    });
+
+    it('should format the ad playhead with milliseconds', () => {
+      tracker.progress = 3725.5;
+      tracker.progressFormatted().should.equal('01:02:05.500');
+    });
+
+    it('should replace the playback macros in the tracked urls', () => {
+      tracker.progress = 12.25;
+      tracker.setContentPlayhead(62);
+      tracker.setMuted(true);
+      tracker.setFullscreen(true);
+      tracker.setAutoplayed(true);
+      tracker.trackURLs([template]);
+
+      trackedURLs.should.eql([
+        `http://example.com/track?ad=${util.encodeURIComponentRFC3986(
+          '00:00:12.250'
+        )}&media=${util.encodeURIComponentRFC3986(
+          '00:01:02.000'
+        )}&state=muted,fullscreen,autoplayed&count=2&seq=2`
+      ]);
+    });
+
+    it('should report the content playhead in the CONTENTPLAYHEAD macro', () => {
+      tracker.progress = 12.25;
+      tracker.trackURLs(['http://example.com/track?content=[CONTENTPLAYHEAD]']);
+      trackedURLs.should.eql([
+        `http://example.com/track?content=${util.encodeURIComponentRFC3986(
+          '00:00:12.250'
+        )}`
+      ]);
+
+      tracker.setContentPlayhead(62);
+      tracker.trackURLs(['http://example.com/track?content=[CONTENTPLAYHEAD]']);
+      trackedURLs.should.eql([
+        `http://example.com/track?content=${util.encodeURIComponentRFC3986(
+          '00:01:02.000'
+        )}`
+      ]);
+    });
+
+    it('should replace the unknown playback macros by -1', () => {
+      tracker.ad = { errorURLTemplates: [] };
+      tracker.trackURLs([template]);
+
+      trackedURLs.should.eql([
+        'http://example.com/track?ad=00%3A00%3A00.000&media=-1&state=&count=1&seq=-1'
+      ]);
+    });
+
+    it('should replace the playback macros in the error urls', () => {
+      tracker.setMuted(true);
+      tracker.errorWithCode(405);
+
+      trackedURLs[0].should.containEql('state=muted&count=2&seq=2');
+    });
+
+    it('should replace the playback macros in the clickthrough url', () => {
+      const clickthroughs = [];
+      tracker.setFullscreen(true);
+      tracker.on('clickthrough', url => clickthroughs.push(url));
+      tracker.click();
+
+      clickthroughs[0].should.containEql('state=fullscreen&count=2&seq=2');
+    });
+
+    it('should let the registry override the derived macros', () => {
+      tracker.macros.set('ADCOUNT', 5);
+      tracker.trackURLs([template]);
+
+      trackedURLs[0].should.containEql('count=5');
+    });
+  });
+
+  describe('#attachMediaElement', () => {
+    let mediaElement = null;
+    let tracker = null;
+    let events = null;
+
+    const createMediaElement = () => {
+      const element = new EventEmitter();
+      element.addEventListener = element.on;
+      element.removeEventListener = element.removeListener;
+      element.muted = false;
+      element.volume = 1;
+      element.paused = true;
+      element.ended = false;
+      element.currentTime = 0;
+      element.duration = NaN;
+      element.error = null;
+      return element;
+    };
+
+    before(() => {
+      stubTrack();
+    });
+
+    after(() => {
+      util.track.restore();
+    });
+
+    beforeEach(() => {
+      const trackingEvents = {};
+      ['mute', 'unmute', 'pause', 'resume', 'fullscreen', 'exitFullscreen']
+        .concat(['start', 'firstQuartile', 'complete'])
+        .forEach(eventName => {
+          trackingEvents[eventName] = [`http://example.com/${eventName}`];
+        });
+
+      tracker = createLinearTracker(40, { trackingEvents });
+      events = [];
+      Object.keys(trackingEvents).forEach(eventName => {
+        tracker.on(eventName, () => events.push(eventName));
+      });
+
+      mediaElement = createMediaElement();
+      tracker.attachMediaElement(mediaElement);
+    });
+
+    afterEach(() => {
+      tracker.detach();
+    });
+
+    it('should track the progress of the media', () => {
+      mediaElement.currentTime = 10;
+      mediaElement.emit('timeupdate');
+
+      tracker.progress.should.equal(10);
+      events.should.eql(['start', 'firstQuartile']);
+    });
+
+    it('should track the mute state of the media', () => {
+      mediaElement.muted = true;
+      mediaElement.emit('volumechange');
+      mediaElement.muted = false;
+      mediaElement.volume = 0;
+      mediaElement.emit('volumechange');
+      mediaElement.volume = 0.5;
+      mediaElement.emit('volumechange');
+
+      events.should.eql(['mute', 'unmute']);
+    });
+
+    it('should not track the initial states of the media', () => {
+      mediaElement = createMediaElement();
+      mediaElement.muted = true;
+      tracker.attachMediaElement(mediaElement);
+      mediaElement.emit('volumechange');
+      mediaElement.emit('play');
+
+      tracker.muted.should.be.true();
+      tracker.paused.should.be.false();
+      events.should.eql([]);
+    });
+
+    it('should track the pauses of the media', () => {
+      mediaElement.emit('play');
+      mediaElement.currentTime = 5;
+      mediaElement.emit('timeupdate');
+      mediaElement.emit('pause');
+      mediaElement.emit('play');
+
+      events.should.eql(['start', 'pause', 'resume']);
+    });
+
+    it('should track the end of the media without a pause', () => {
+      mediaElement.ended = true;
+      mediaElement.emit('pause');
+      mediaElement.emit('ended');
+
+      events.should.eql(['complete']);
+    });
+
+    it('should track the fullscreen state of the media', () => {
+      mediaElement.webkitDisplayingFullscreen = true;
+      mediaElement.emit('webkitbeginfullscreen');
+      mediaElement.webkitDisplayingFullscreen = false;
+      mediaElement.emit('webkitendfullscreen');
+
+      events.should.eql(['fullscreen', 'exitFullscreen']);
+    });
+
+    it('should track the fullscreen state of the document', () => {
+      const _document = global.document;
+      global.document = new EventEmitter();
+      global.document.addEventListener = global.document.on;
+      global.document.removeEventListener = global.document.removeListener;
+      global.document.fullscreenElement = null;
+
+      try {
+        tracker.attachMediaElement(mediaElement);
+        global.document.fullscreenElement = {
+          contains: element => element === mediaElement
+        };
+        global.document.emit('fullscreenchange');
+        tracker.fullscreen.should.be.true();
+
+        tracker.detach();
+        global.document.listenerCount('fullscreenchange').should.equal(0);
+      } finally {
+        global.document = _document;
+      }
+    });
+
+    it('should report the media errors with their VAST code', () => {
+      const errorWithCode = sinon.spy(tracker, 'errorWithCode');
+
+      [1, 2, 3, 4].forEach(code => {
+        mediaElement.error = { code };
+        mediaElement.emit('error');
+      });
+      mediaElement.error = null;
+      mediaElement.emit('error');
+
+      errorWithCode.args.should.eql([[400], [401], [405], [403], [400]]);
+    });
+
+    it('should set the duration of the media if the ad has none', () => {
+      tracker.setDuration(undefined);
+      mediaElement.duration = 20;
+      mediaElement.emit('loadedmetadata');
+
+      tracker.assetDuration.should.equal(20);
+      tracker.quartiles.midpoint.should.equal(10);
+    });
+
+    it('should keep the duration of the ad', () => {
+      mediaElement.duration = 20;
+      mediaElement.emit('loadedmetadata');
+
+      tracker.assetDuration.should.equal(40);
+    });
+
+    it('should remove its listeners when detached', () => {
+      tracker.detach();
+
+      mediaElement.eventNames().should.eql([]);
+      (tracker.mediaElement === null).should.be.true();
+    });
+  });
+
+  describe('#seek policy', () => {
+    let tracker = null;
+    let events = null;
+    let seeks = null;
+
+    before(() => {
+      stubTrack();
+    });
+
+    after(() => {
+      util.track.restore();
+    });
+
+    beforeEach(() => {
+      tracker = createLinearTracker(40);
+      events = [];
+      seeks = [];
+      ['firstQuartile', 'midpoint', 'thirdQuartile'].forEach(eventName => {
+        tracker.on(eventName, () => events.push(eventName));
+      });
+      tracker.on('seek', seek => seeks.push(seek));
+    });
+
+    it('should credit the position of the playhead by default', () => {
+      play(tracker, 0, 1);
+      tracker.setProgress(36);
+
+      events.should.eql(['firstQuartile', 'midpoint', 'thirdQuartile']);
+      seeks.should.eql([]);
+    });
+
+    describe('when the seeks are detected', () => {
+      beforeEach(() => {
+        tracker.setSeekPolicy({ detectSeeks: true });
+      });
+
+      it('should merge the given policy with the default one', () => {
+        tracker.seekPolicy.should.eql({ detectSeeks: true, seekThreshold: 2 });
+      });
+
+      it('should report the forward jumps as seeks', () => {
+        play(tracker, 0, 1);
+        tracker.setProgress(36);
+        tracker.setProgress(37);
+
+        seeks.should.eql([{ from: 1, to: 36 }]);
+      });
+
+      it('should not credit the skipped content', () => {
+        play(tracker, 0, 1);
+        tracker.setProgress(36);
+        play(tracker, 36.5, 40);
+
+        tracker.getWatchedTime().should.equal(5);
+        events.should.eql([]);
+      });
+
+      it('should credit the quartiles for the time played', () => {
+        play(tracker, 0, 5);
+        tracker.setProgress(20);
+        play(tracker, 20.5, 35);
+
+        tracker.getWatchedTime().should.equal(20);
+        events.should.eql(['firstQuartile', 'midpoint']);
+      });
+
+      it('should count the segments played again once', () => {
+        play(tracker, 0, 8);
+        play(tracker, 2, 8);
+
+        tracker.watchedSegments.should.eql([{ start: 0, end: 8 }]);
+        tracker.getWatchedTime().should.equal(8);
+        events.should.eql([]);
+      });
+
+      it('should credit the progress offsets for the time played', () => {
+        const offsets = [];
+        tracker.trackingEvents['progress-4'] = ['http://example.com/4'];
+        tracker.trackingEvents['progress-25%'] = ['http://example.com/25'];
+        tracker.on('progress-4', () => offsets.push('progress-4'));
+        tracker.on('progress-25%', () => offsets.push('progress-25%'));
+
+        tracker.setProgress(30);
+        offsets.should.eql([]);
+
+        play(tracker, 30.5, 40);
+        offsets.should.eql(['progress-4', 'progress-25%']);
+      });
+
+      it('should use the given seek threshold', () => {
+        tracker.setSeekPolicy({ detectSeeks: true, seekThreshold: 5 });
+        tracker.setProgress(4);
+        tracker.setProgress(10);
+
+        tracker.getWatchedTime().should.equal(4);
+        seeks.should.eql([{ from: 4, to: 10 }]);
+      });
+    });
+  });
+
+  describe('#progress offsets', () => {
+    let tracker = null;
+    let events = null;
+
+    before(() => {
+      stubTrack();
+    });
+
+    after(() => {
+      util.track.restore();
+    });
+
+    beforeEach(() => {
+      const trackingEvents = {
+        'progress-12.346': ['http://example.com/progress-12.346s'],
+        'progress-7.5': ['http://example.com/progress-7.5s'],
+        'progress-33%': ['http://example.com/progress-33%'],
+        'progress-10': ['http://example.com/progress-10s']
+      };
+      tracker = createLinearTracker(20, { trackingEvents });
+      events = [];
+      Object.keys(trackingEvents).forEach(eventName => {
+        tracker.on(eventName, () => events.push(eventName));
+      });
+    });
+
+    it('should fire the offsets crossed since the previous call in order', () => {
+      tracker.setProgress(1);
+      tracker.setProgress(11);
+
+      events.should.eql(['progress-33%', 'progress-7.5', 'progress-10']);
+    });
+
+    it('should not fire the offsets before they are reached', () => {
+      tracker.setProgress(6);
+      events.should.eql([]);
+
+      tracker.setProgress(7.49);
+      events.should.eql(['progress-33%']);
+
+      tracker.setProgress(7.5);
+      events.should.eql(['progress-33%', 'progress-7.5']);
+    });
+
+    it('should fire each offset once', () => {
+      tracker.setProgress(13);
+      tracker.setProgress(2);
+      tracker.setProgress(13);
+
+      events.should.eql([
+        'progress-33%',
+        'progress-7.5',
+        'progress-10',
+        'progress-12.346'
+      ]);
+    });
+
+    it('should fire the offsets for the time played when the seeks are detected', () => {
+      tracker.setSeekPolicy({ detectSeeks: true });
+      tracker.setProgress(1);
+      tracker.setProgress(12);
+      tracker.setProgress(13);
+      tracker.setProgress(14);
+
+      tracker.getWatchedTime().should.equal(3);
+      events.should.eql([]);
+    });
+  });
+
+  describe('#viewability', () => {
+    let trackedURLs = null;
+    let outcomes = null;
+
+    const viewableImpression = {
+      id: null,
+      viewableURLTemplates: ['http://example.com/viewable'],
+      notViewableURLTemplates: ['http://example.com/not-viewable'],
+      viewUndeterminedURLTemplates: ['http://example.com/view-undetermined']
+    };
+
+    const createTracker = (creative, ad = { viewableImpression }) => {
+      const tracker = new VASTTracker(null, ad, creative);
+      ['viewable', 'notViewable', 'viewUndetermined'].forEach(outcome => {
+        tracker.on(outcome, () => outcomes.push(outcome));
+      });
+      return tracker;
+    };
+
+    before(() => {
+      stubTrack(URLs => (trackedURLs = trackedURLs.concat(URLs)));
+    });
+
+    after(() => {
+      util.track.restore();
+    });
+
+    beforeEach(() => {
+      trackedURLs = [];
+      outcomes = [];
+    });
+
+    describe('of a linear ad', () => {
+      let tracker = null;
+
+      beforeEach(() => {
+        tracker = createTracker(new CreativeLinear());
+        tracker.setProgress(1);
+      });
+
+      afterEach(() => {
+        tracker.complete();
+      });
+
+      it('should not count the time in view before the playback', () => {
+        tracker = createTracker(new CreativeLinear());
+        tracker.setViewability(100);
+        this.clock.tick(5000);
+        outcomes.should.eql([]);
+
+        tracker.setProgress(1);
+        this.clock.tick(1999);
+        outcomes.should.eql([]);
+
+        this.clock.tick(1);
+        outcomes.should.eql(['viewable']);
+      });
+
+      it('should be viewable after 2 continuous seconds in view', () => {
+        tracker.setViewability(50);
+        this.clock.tick(1999);
+        outcomes.should.eql([]);
+
+        this.clock.tick(1);
+        outcomes.should.eql(['viewable']);
+        trackedURLs.should.eql(['http://example.com/viewable']);
+        tracker.viewabilityOutcome.should.equal('viewable');
+      });
+
+      it('should restart the countdown when the ad goes out of view', () => {
+        tracker.setViewability(100);
+        this.clock.tick(1500);
+        tracker.setViewability(49);
+        tracker.setViewability(60);
+        this.clock.tick(1500);
+        outcomes.should.eql([]);
+
+        this.clock.tick(500);
+        outcomes.should.eql(['viewable']);
+      });
+
+      it('should not count the time in view while paused', () => {
+        tracker.setViewability(100);
+        this.clock.tick(1500);
+        tracker.setPaused(true);
+        this.clock.tick(5000);
+        outcomes.should.eql([]);
+
+        tracker.setPaused(false);
+        this.clock.tick(2000);
+        outcomes.should.eql(['viewable']);
+      });
+
+      it('should not be viewable when it ends before meeting the criteria', () => {
+        tracker.setViewability(80);
+        this.clock.tick(1000);
+        tracker.skip();
+        this.clock.tick(2000);
+
+        outcomes.should.eql(['notViewable']);
+        trackedURLs.should.eql(['http://example.com/not-viewable']);
+      });
+
+      it('should be undetermined when it has never been measured', () => {
+        tracker.complete();
+
+        outcomes.should.eql(['viewUndetermined']);
+        trackedURLs.should.eql(['http://example.com/view-undetermined']);
+      });
+
+      it('should track a single outcome', () => {
+        tracker.setViewability(100);
+        this.clock.tick(2000);
+        tracker.setViewability(0);
+        tracker.setViewability(100);
+        tracker.setPaused(true);
+        tracker.setPaused(false);
+        this.clock.tick(2000);
+        tracker.complete();
+        tracker.close();
+
+        outcomes.should.eql(['viewable']);
+      });
+    });
+
+    it('should be viewable after 1 second in view for a display ad', () => {
+      const tracker = createTracker(new CreativeCompanion());
+      tracker.setViewability(50);
+      this.clock.tick(1000);
+
+      outcomes.should.eql(['viewable']);
+    });
+
+    it('should have no outcome without urls nor measurement', () => {
+      const tracker = createTracker(new CreativeLinear(), {
+        errorURLTemplates: []
+      });
+      tracker.complete();
+
+      outcomes.should.eql([]);
+    });
+
+    describe('with an IntersectionObserver', () => {
+      let observers = null;
+
+      before(() => {
+        global.IntersectionObserver = function(callback, options) {
+          this.callback = callback;
+          this.options = options;
+          this.elements = [];
+          this.observe = element => this.elements.push(element);
+          this.disconnect = () => {
+            this.disconnected = true;
+          };
+          observers.push(this);
+        };
+      });
+
+      after(() => {
+        delete global.IntersectionObserver;
+      });
+
+      beforeEach(() => {
+        observers = [];
+      });
+
+      it('should measure the intersection of the element', () => {
+        const element = {};
+        const tracker = createTracker(new CreativeLinear());
+        tracker.setProgress(1);
+
+        tracker.observeViewability(element).should.be.true();
+        observers[0].elements.should.eql([element]);
+
+        observers[0].callback([{ intersectionRatio: 0.75 }]);
+        this.clock.tick(2000);
+
+        outcomes.should.eql(['viewable']);
+        (observers[0].disconnected === undefined).should.be.true();
+
+        observers[0].callback([{ intersectionRatio: 0 }]);
+        tracker.complete();
+        observers[0].disconnected.should.be.true();
+      });
+    });
+
+    it('should not observe without IntersectionObserver support', () => {
+      createTracker(new CreativeLinear())
+        .observeViewability({})
+        .should.be.false();
+    });
+  });
+
+  describe('#avoc', () => {
+    let tracker = null;
+    let summaries = null;
+    let trackedURLs = null;
+    const template =
+      'http://example.com/avoc?a=[TIMEAUDIBLE]&v=[TIMEVISIBLE]&av=[TIMEAUDIBLEVISIBLE]&q=[AUDIBLEVISIBLEQUARTILES]&avoc=[AVOC]';
+
+    before(() => {
+      stubTrack(URLs => (trackedURLs = URLs));
+    });
+
+    after(() => {
+      util.track.restore();
+    });
+
+    beforeEach(() => {
+      tracker = createLinearTracker(40);
+      summaries = [];
+      tracker.on('avoc', summary => summaries.push(summary));
+    });
+
+    it('should aggregate the audible and visible time and quartiles', () => {
+      tracker.setViewability(100);
+      play(tracker, 0.5, 10);
+      tracker.setMuted(true);
+      play(tracker, 10.5, 20);
+      tracker.setMuted(false);
+      tracker.setViewability(0);
+      play(tracker, 20.5, 30);
+      tracker.setViewability(100);
+      play(tracker, 30.5, 40);
+      tracker.complete();
+
+      summaries.should.eql([
+        {
+          timeAudible: 30,
+          timeVisible: 30,
+          timeAudibleAndVisible: 20,
+          quartiles: {
+            firstQuartile: true,
+            midpoint: false,
+            thirdQuartile: false,
+            complete: true
+          },
+          audibleAndVisibleOnCompletion: true
+        }
+      ]);
+    });
+
+    it('should keep measuring the visibility after the viewable outcome', () => {
+      tracker.setViewability(100);
+      play(tracker, 0.5, 10);
+      this.clock.tick(2000);
+      tracker.viewabilityOutcome.should.equal('viewable');
+
+      tracker.setViewability(0);
+      play(tracker, 10.5, 40);
+      tracker.complete();
+
+      tracker.getAvocMetrics().timeVisible.should.equal(10);
+      summaries[0].audibleAndVisibleOnCompletion.should.be.false();
+    });
+
+    it('should not count the seeks as played time', () => {
+      tracker.setProgress(0.5);
+      tracker.setProgress(30);
+
+      tracker.getAvocMetrics().timeAudible.should.equal(0.5);
+    });
+
+    it('should emit the summary once when the ad is skipped', () => {
+      tracker.setViewability(100);
+      play(tracker, 0.5, 5);
+      tracker.skip();
+      tracker.close();
+
+      summaries.should.have.length(1);
+      summaries[0].timeAudibleAndVisible.should.equal(5);
+      (summaries[0].quartiles.firstQuartile === null).should.be.true();
+      summaries[0].audibleAndVisibleOnCompletion.should.be.false();
+    });
+
+    it('should emit the summary without visibility when it is unknown', () => {
+      play(tracker, 0.5, 40);
+      tracker.complete();
+
+      summaries.should.eql([tracker.getAvocMetrics()]);
+      tracker.getAvocMetrics().should.eql({
+        timeAudible: 40,
+        timeVisible: null,
+        timeAudibleAndVisible: null,
+        quartiles: {
+          firstQuartile: null,
+          midpoint: null,
+          thirdQuartile: null,
+          complete: null
+        },
+        audibleAndVisibleOnCompletion: null
+      });
+    });
+
+    it('should replace the unknown metrics macros by -1', () => {
+      tracker.trackURLs([template]);
+
+      trackedURLs.should.eql([
+        'http://example.com/avoc?a=0&v=-1&av=-1&q=-1,-1,-1,-1&avoc=-1'
+      ]);
+    });
+
+    it('should replace the metrics macros', () => {
+      tracker.setViewability(100);
+      play(tracker, 0.5, 20);
+      tracker.setMuted(true);
+      play(tracker, 20.5, 40);
+      tracker.complete();
+      tracker.trackURLs([template]);
+
+      trackedURLs.should.eql([
+        'http://example.com/avoc?a=20&v=40&av=20&q=1,1,0,0&avoc=0'
+      ]);
+    });
+  });
 });
@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import should from 'should';
+import { DOMParser } from 'xmldom';
+import { VASTParser } from '../src/parser/vast_parser';
+import { nodeURLHandler } from '../src/urlhandlers/node_url_handler';
+import { util } from '../src/util/util';
+
+const urlfor = relpath =>
+  `file://${path
+    .resolve(path.dirname(module.filename), 'vastfiles', relpath)
+    .replace(/\\/g, '/')}`;
+
+const loadXml = relpath =>
+  new DOMParser().parseFromString(
+    fs.readFileSync(
+      path.resolve(path.dirname(module.filename), 'vastfiles', relpath),
+      'utf8'
+    ),
+    'text/xml'
+  );
+
+const parseXmlString = xmlString =>
+  new DOMParser().parseFromString(xmlString, 'text/xml');
+
+const find = (diagnostics, message) =>
+  diagnostics.filter(diagnostic => diagnostic.message.indexOf(message) !== -1);
+
+describe('VASTValidator', function() {
+  const vastParser = new VASTParser();
+
+  describe('#validate', function() {
+    it('should not report anything for a valid document', () => {
+      vastParser.validate(loadXml('inline-linear.xml')).should.eql([]);
+    });
+
+    it('should report an invalid root element', () => {
+      vastParser.validate(loadXml('vmap.xml')).should.eql([
+        {
+          severity: 'error',
+          code: 100,
+          path: '/',
+          message: 'Root element must be <VAST>'
+        }
+      ]);
+    });
+
+    it('should report an unsupported version', () => {
+      const diagnostics = vastParser.validate(
+        parseXmlString('<VAST version="5.0"></VAST>')
+      );
+
+      diagnostics.should.have.length(1);
+      diagnostics[0].code.should.equal(102);
+      diagnostics[0].severity.should.equal('error');
+    });
+
+    it('should warn when the version differs from the expected one', () => {
+      const diagnostics = vastParser.validate(loadXml('inline-linear.xml'), {
+        version: '4.1'
+      });
+
+      diagnostics.should.have.length(1);
+      diagnostics[0].severity.should.equal('warning');
+      diagnostics[0].message.should.equal(
+        "Document version 3.0 doesn't match the expected version 4.1"
+      );
+    });
+
+    describe('with an invalid document', function() {
+      const linearPath = '/VAST/Ad/InLine/Creatives/Creative/Linear';
+      let diagnostics = null;
+
+      before(() => {
+        diagnostics = vastParser.validate(loadXml('inline-invalid.xml'));
+      });
+
+      it('should report the missing required elements', () => {
+        find(diagnostics, 'Missing required element').should.eql([
+          {
+            severity: 'error',
+            code: 101,
+            path: '/VAST/Ad/InLine/AdTitle',
+            message: 'Missing required element <AdTitle>'
+          },
+          {
+            severity: 'error',
+            code: 101,
+            path: '/VAST/Ad/InLine/Impression',
+            message: 'Missing required element <Impression>'
+          }
+        ]);
+      });
+
+      it('should report the wrong duration format', () => {
+        find(diagnostics, 'Invalid duration').should.eql([
+          {
+            severity: 'error',
+            code: 101,
+            path: `${linearPath}/Duration`,
+            message: 'Invalid duration "30", expected HH:MM:SS[.mmm]'
+          }
+        ]);
+      });
+
+      it('should report the invalid skipoffset', () => {
+        const skipOffsetDiagnostic = find(diagnostics, 'skipoffset')[0];
+
+        skipOffsetDiagnostic.severity.should.equal('error');
+        skipOffsetDiagnostic.path.should.equal(linearPath);
+      });
+
+      it('should report the bad attribute values', () => {
+        const mediaFilePath = `${linearPath}/MediaFiles/MediaFile`;
+
+        find(diagnostics, 'Invalid sequence')[0].path.should.equal(
+          '/VAST/Ad/InLine/Creatives/Creative'
+        );
+        find(diagnostics, 'Invalid delivery')[0].path.should.equal(
+          mediaFilePath
+        );
+        find(diagnostics, 'Invalid width')[0].path.should.equal(mediaFilePath);
+        find(diagnostics, 'Invalid scalable')[0].path.should.equal(
+          mediaFilePath
+        );
+      });
+
+      it('should warn about the unknown tracking events', () => {
+        find(diagnostics, 'Unknown tracking event').should.eql([
+          {
+            severity: 'warning',
+            code: 101,
+            path: `${linearPath}/TrackingEvents/Tracking[2]`,
+            message: 'Unknown tracking event "unknownEvent"'
+          }
+        ]);
+      });
+
+      it('should report the progress events without offset', () => {
+        find(diagnostics, 'Invalid progress offset')[0].path.should.equal(
+          `${linearPath}/TrackingEvents/Tracking[3]`
+        );
+      });
+    });
+
+    it('should check the tracking events against the given version', () => {
+      const diagnostics = vastParser.validate(loadXml('inline-invalid.xml'), {
+        version: '2.0'
+      });
+
+      find(diagnostics, 'Unknown tracking event "progress"').should.have.length(
+        1
+      );
+      find(diagnostics, 'skipoffset')[0].severity.should.equal('warning');
+    });
+
+    it('should only warn about legacy wrapper ad tag urls', () => {
+      vastParser
+        .validate(loadXml('wrapper-legacy.xml'))
+        .map(diagnostic => diagnostic.severity)
+        .should.eql(['warning']);
+    });
+  });
+
+  describe('#strict parsing', function() {
+    const options = { urlhandler: nodeURLHandler, strict: true };
+    let _track = null;
+
+    before(() => {
+      _track = util.track;
+      util.track = () => {};
+    });
+
+    after(() => {
+      util.track = _track;
+    });
+
+    it('should resolve valid documents', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('inline-linear.xml'), options)
+        .then(response => {
+          response.ads.should.have.length(1);
+        });
+    });
+
+    it('should reject an invalid document with its diagnostics', () => {
+      const validated = [];
+      const onValidated = data => validated.push(data);
+      vastParser.on('VAST-validated', onValidated);
+
+      return vastParser
+        .getAndParseVAST(urlfor('inline-invalid.xml'), options)
+        .then(() => {
+          throw new Error('should have been rejected');
+        })
+        .catch(error => {
+          vastParser.removeListener('VAST-validated', onValidated);
+
+          error.message.should.equal(
+            'Invalid VAST XMLDocument: Missing required element <AdTitle> (/VAST/Ad/InLine/AdTitle)'
+          );
+          error.vastErrorCode.should.equal(101);
+          error.diagnostics.should.eql(validated[0].diagnostics);
+          validated[0].url.should.equal(urlfor('inline-invalid.xml'));
+        });
+    });
+
+    it('should flag a wrapper leading to an invalid document', () => {
+      const errors = [];
+      const onError = data => errors.push(data);
+      vastParser.on('VAST-error', onError);
+
+      return vastParser
+        .getAndParseVAST(urlfor('wrapper-invalid-inline.xml'), options)
+        .then(response => {
+          vastParser.removeListener('VAST-error', onError);
+
+          response.ads.should.have.length(0);
+          errors.should.have.length(1);
+          errors[0].ERRORCODE.should.equal(101);
+          errors[0].ERRORMESSAGE.should.startWith('Invalid VAST XMLDocument');
+        });
+    });
+
+    it('should parse invalid documents when not strict', () => {
+      return vastParser
+        .getAndParseVAST(urlfor('inline-invalid.xml'), {
+          urlhandler: nodeURLHandler
+        })
+        .then(response => {
+          response.ads.should.have.length(1);
+        });
+    });
+  });
+});
@@ -0,0 +1,213 @@
+import path from 'path';
+import should from 'should';
+import { DOMParser } from 'xmldom';
+import { VASTParser } from '../src/parser/vast_parser';
+import { VASTWriter } from '../src/writer/vast_writer';
+import { nodeURLHandler } from '../src/urlhandlers/node_url_handler';
+
+const urlfor = relpath =>
+  `file://${path
+    .resolve(path.dirname(module.filename), 'vastfiles', relpath)
+    .replace(/\\/g, '/')}`;
+
+const options = {
+  urlhandler: nodeURLHandler
+};
+
+const parseXmlString = xmlString =>
+  new DOMParser().parseFromString(xmlString, 'text/xml');
+
+// companionClickTrackingURLTemplate is a legacy shortcut to the first
+// CompanionClickTracking, which can differ once wrapper trackers are merged,
+// and a rewritten response has no wrapper chain
+const normalize = response =>
+  JSON.parse(
+    JSON.stringify(
+      response,
+      (key, value) =>
+        key === 'companionClickTrackingURLTemplate' ||
+        key === 'version' ||
+        key === 'wrapperChain'
+          ? undefined
+          : value
+    )
+  );
+
+describe('VASTWriter', function() {
+  const writer = new VASTWriter();
+
+  describe('#write', function() {
+    let response = null;
+
+    before(done => {
+      new VASTParser()
+        .getAndParseVAST(urlfor('wrapper-notracking.xml'), options)
+        .then(res => {
+          response = res;
+          done();
+        });
+    });
+
+    it('should write a VAST document with the response version', () => {
+      const xml = parseXmlString(writer.write(response));
+      xml.documentElement.nodeName.should.equal('VAST');
+      xml.documentElement.getAttribute('version').should.equal('2.0');
+    });
+
+    it('should write the selected target version', () => {
+      const xml = parseXmlString(writer.write(response, { version: '4.1' }));
+      xml.documentElement.getAttribute('version').should.equal('4.1');
+      new VASTWriter({ version: 3 })
+        .write(response)
+        .should.containEql('<VAST version="3.0">');
+    });
+
+    it('should throw for an unsupported version', () => {
+      (() => writer.write(response, { version: '5.0' })).should.throw(
+        'Unsupported VAST version: 5.0'
+      );
+    });
+
+    it('should write the merged wrapper tracking', () => {
+      const xmlString = writer.write(response, { version: '3.0' });
+      xmlString.should.containEql(
+        '<Tracking event="start"><![CDATA[http://example.com/wrapperA-linear-start1]]></Tracking>'
+      );
+      xmlString.should.containEql(
+        '<Tracking event="progress" offset="00:00:30.000"><![CDATA[http://example.com/wrapperB-linear-progress-30sec]]></Tracking>'
+      );
+      xmlString.should.containEql(
+        '<Impression><![CDATA[http://example.com/wrapperA-impression]]></Impression>'
+      );
+    });
+
+    it('should not write VAST 3 elements in a VAST 2 document', () => {
+      const xmlString = writer.write(response, { version: '2.0' });
+      xmlString.should.not.containEql('<Icons>');
+      xmlString.should.not.containEql('<Pricing');
+      xmlString.should.not.containEql('skipoffset');
+    });
+
+    it('should write the root errors in each ad with VAST 2', () => {
+      const errorResponse = {
+        ads: [response.ads[0]],
+        errorURLTemplates: ['http://example.com/root-error'],
+        version: '2.0'
+      };
+      const vast2 = parseXmlString(writer.write(errorResponse));
+      const vast3 = parseXmlString(
+        writer.write(errorResponse, { version: '3.0' })
+      );
+
+      vast2.documentElement
+        .getElementsByTagName('Error')
+        [
+          vast2.documentElement.getElementsByTagName('Error').length - 1
+        ].textContent.should.equal('http://example.com/root-error');
+      vast3.documentElement.childNodes[1].nodeName.should.equal('Error');
+    });
+
+    it('should escape the CDATA end marker', () => {
+      const linear = response.ads[0].creatives.filter(
+        creative => creative.type === 'linear'
+      )[0];
+      const adParameters = linear.adParameters;
+      linear.adParameters = 'foo]]>bar';
+      writer
+        .write(response)
+        .should.containEql('<![CDATA[foo]]]]><![CDATA[>bar]]>');
+      linear.adParameters = adParameters;
+    });
+  });
+
+  describe('round-trip', function() {
+    const roundTrip = (file, version) => {
+      let response = null;
+      let rewrittenResponse = null;
+
+      before(done => {
+        new VASTParser()
+          .getAndParseVAST(urlfor(file), options)
+          .then(res => {
+            response = res;
+            const xml = parseXmlString(writer.write(response, { version }));
+            return new VASTParser().parseVAST(xml, options);
+          })
+          .then(res => {
+            rewrittenResponse = res;
+            done();
+          });
+      });
+
+      it('should parse back to an equivalent response', () => {
+        rewrittenResponse.ads.should.have.length(response.ads.length);
+        normalize(rewrittenResponse).should.eql(normalize(response));
+      });
+
+      return () => rewrittenResponse;
+    };
+
+    describe('with a resolved wrapper chain in VAST 4', function() {
+      const getResponse = roundTrip('wrapper-notracking.xml', '4.0');
+
+      it('should have the target version', () => {
+        getResponse().version.should.equal('4.0');
+      });
+    });
+
+    describe('with ad verifications in VAST 4.1', function() {
+      roundTrip('inline-verifications.xml', '4.1');
+    });
+
+    describe('with viewable impressions in VAST 4.1', function() {
+      const getResponse = roundTrip('wrapper-viewable.xml', '4.1');
+
+      it('should keep the merged ViewableImpression urls', () => {
+        getResponse().ads[0].viewableImpression.viewableURLTemplates.should.eql(
+          [
+            'http://example.com/wrapper-viewable',
+            'http://example.com/viewable',
+            'http://example.com/viewable-2'
+          ]
+        );
+      });
+    });
+
+    describe('with ad verifications in VAST 3', function() {
+      let xml = null;
+      let rewrittenResponse = null;
+
+      before(done => {
+        new VASTParser()
+          .getAndParseVAST(urlfor('inline-verifications.xml'), options)
+          .then(response => {
+            xml = parseXmlString(writer.write(response, { version: '3.0' }));
+            return new VASTParser().parseVAST(xml, options);
+          })
+          .then(response => {
+            rewrittenResponse = response;
+            done();
+          });
+      });
+
+      it('should write them in an AdVerifications Extension', () => {
+        const inLine = xml.getElementsByTagName('InLine')[0];
+        const childNames = [];
+        for (let i = 0; i < inLine.childNodes.length; i++) {
+          childNames.push(inLine.childNodes[i].nodeName);
+        }
+        childNames.should.not.containEql('AdVerifications');
+        xml
+          .getElementsByTagName('Extension')[0]
+          .getAttribute('type')
+          .should.equal('AdVerifications');
+      });
+
+      it('should parse them back', () => {
+        rewrittenResponse.ads[0].adVerifications
+          .map(verification => verification.vendor)
+          .should.eql(['company.com-omid', 'company.com-native']);
+      });
+    });
+  });
+});
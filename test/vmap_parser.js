@@ -0,0 +1,250 @@
+import path from 'path';
+import should from 'should';
+import { AdBreak } from '../src/ad_break';
+import { VASTParser } from '../src/parser/vast_parser';
+import { VASTResponse } from '../src/vast_response';
+import { VMAPParser } from '../src/parser/vmap_parser';
+import { VMAPResponse } from '../src/vmap_response';
+import { nodeURLHandler } from '../src/urlhandlers/node_url_handler';
+import { TrackingRecorder } from '../src/util/tracking_recorder';
+import { util } from '../src/util/util';
+
+const urlfor = relpath =>
+  `file://${path
+    .resolve(path.dirname(module.filename), 'vastfiles', relpath)
+    .replace(/\\/g, '/')}`;
+
+describe('VMAPParser', function() {
+  const options = {
+    urlhandler: nodeURLHandler
+  };
+  const vmapParser = new VMAPParser();
+  let response = null;
+
+  before(done => {
+    vmapParser.getAndParseVMAP(urlfor('vmap.xml'), options).then(res => {
+      response = res;
+      done();
+    });
+  });
+
+  describe('#constructor', function() {
+    it('should create its own VASTParser by default', () => {
+      vmapParser.vastParser.should.be.an.instanceOf(VASTParser);
+    });
+
+    it('should use the given VASTParser', () => {
+      const vastParser = new VASTParser();
+      new VMAPParser(vastParser).vastParser.should.equal(vastParser);
+    });
+  });
+
+  describe('#getAndParseVMAP', function() {
+    it('should have returned a VMAP response object', () => {
+      response.should.be.an.instanceOf(VMAPResponse);
+      response.version.should.equal('1.0');
+    });
+
+    it('should have parsed 5 ad breaks', () => {
+      response.adBreaks.should.have.length(5);
+      response.adBreaks[0].should.be.an.instanceOf(AdBreak);
+    });
+
+    it('should have parsed the ad break attributes', () => {
+      const adBreak = response.adBreaks[1];
+      adBreak.timeOffset.should.equal('00:00:15.500');
+      adBreak.breakType.should.equal('linear');
+      adBreak.breakId.should.equal('midroll-1');
+      adBreak.repeatAfter.should.equal(300);
+      should.equal(response.adBreaks[0].repeatAfter, null);
+    });
+
+    it('should have parsed every timeOffset format', () => {
+      response.adBreaks
+        .map(adBreak => adBreak.offset)
+        .should.eql([
+          { type: 'start', value: null },
+          { type: 'time', value: 15.5 },
+          { type: 'percent', value: 50 },
+          { type: 'position', value: 2 },
+          { type: 'end', value: null }
+        ]);
+    });
+
+    it('should have parsed an AdTagURI AdSource', () => {
+      response.adBreaks[0].adSource.should.eql({
+        id: 'preroll-source',
+        allowMultipleAds: false,
+        followRedirects: true,
+        vastAdData: null,
+        adTagURI: urlfor('inline-linear.xml'),
+        templateType: 'vast3'
+      });
+    });
+
+    it('should have parsed a VASTAdData AdSource', () => {
+      const adSource = response.adBreaks[1].adSource;
+      should.equal(adSource.adTagURI, null);
+      should.equal(adSource.allowMultipleAds, null);
+      adSource.vastAdData.documentElement.nodeName.should.equal('VAST');
+    });
+
+    it('should not have an AdSource when none is defined', () => {
+      should.equal(response.adBreaks[3].adSource, null);
+    });
+
+    it('should have parsed the tracking events', () => {
+      response.adBreaks[0].trackingEvents.should.eql({
+        breakStart: ['http://example.com/preroll-breakstart'],
+        breakEnd: ['http://example.com/preroll-breakend'],
+        error: ['http://example.com/preroll-error_[ERRORCODE]']
+      });
+      response.adBreaks[1].trackingEvents.should.eql({
+        breakStart: [],
+        breakEnd: [],
+        error: []
+      });
+    });
+  });
+
+  describe('#parseVMAP', function() {
+    it('should reject a non VMAP document', done => {
+      vmapParser
+        .parseVMAP({ documentElement: { nodeName: 'VAST' } })
+        .catch(err => {
+          err.message.should.equal('Invalid VMAP XMLDocument');
+          done();
+        });
+    });
+  });
+
+  describe('#resolveAdBreak', function() {
+    it('should resolve an AdTagURI ad break', done => {
+      vmapParser
+        .resolveAdBreak(response.adBreaks[0], options)
+        .then(vastResponse => {
+          vastResponse.should.be.an.instanceOf(VASTResponse);
+          vastResponse.ads.should.have.length(1);
+          done();
+        });
+    });
+
+    it('should resolve an inline VASTAdData ad break', done => {
+      vmapParser
+        .resolveAdBreak(response.adBreaks[1], options)
+        .then(vastResponse => {
+          vastResponse.version.should.equal('3.0');
+          vastResponse.ads[0].id.should.equal('midroll-ad');
+          vastResponse.ads[0].creatives[0].duration.should.equal(10);
+          done();
+        });
+    });
+
+    it('should not follow wrappers when followRedirects is false', done => {
+      vmapParser
+        .resolveAdBreak(response.adBreaks[2], options)
+        .then(vastResponse => {
+          vastResponse.ads.should.have.length(0);
+          done();
+        });
+    });
+
+    it('should reject an ad break without AdSource', done => {
+      vmapParser.resolveAdBreak(response.adBreaks[3], options).catch(err => {
+        err.message.should.equal('No AdSource defined for the AdBreak');
+        done();
+      });
+    });
+
+    it('should reject an unsupported AdSource', done => {
+      vmapParser.resolveAdBreak(response.adBreaks[4], options).catch(err => {
+        err.should.be.an.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('#trackAdBreakEvent', function() {
+    const originalTrack = util.track;
+    let trackCalls = null;
+
+    beforeEach(() => {
+      trackCalls = [];
+      util.track = (URLTemplates, variables, trackOptions) => {
+        trackCalls.push({ URLTemplates, variables, trackOptions });
+      };
+    });
+
+    after(() => {
+      util.track = originalTrack;
+    });
+
+    it('should call the breakStart URLs', () => {
+      vmapParser.trackAdBreakEvent(response.adBreaks[0], 'breakStart');
+      trackCalls.should.eql([
+        {
+          URLTemplates: ['http://example.com/preroll-breakstart'],
+          variables: {},
+          trackOptions: {
+            isCustomCode: false,
+            transport: vmapParser.vastParser.trackingTransport,
+            recorder: null,
+            event: 'breakStart',
+            source: 'VMAPParser'
+          }
+        }
+      ]);
+    });
+
+    it('should call the URLs through the transport of the VASTParser', () => {
+      const transport = { send() {} };
+      const parser = new VMAPParser(new VASTParser());
+      parser.vastParser.trackingTransport = transport;
+
+      parser.trackAdBreakEvent(response.adBreaks[0], 'breakEnd');
+      trackCalls[0].trackOptions.transport.should.equal(transport);
+    });
+
+    it('should call the error URLs with a VMAP error code', () => {
+      vmapParser.trackAdBreakEvent(response.adBreaks[0], 'error', {
+        ERRORCODE: 1009
+      });
+      trackCalls[0].variables.should.eql({ ERRORCODE: 1009 });
+      trackCalls[0].trackOptions.isCustomCode.should.be.true();
+    });
+
+    it('should record the calls with the recorder of the VASTParser', () => {
+      const recorder = new TrackingRecorder({ dryRun: true });
+      const parser = new VMAPParser(new VASTParser());
+      parser.vastParser.trackingRecorder = recorder;
+      util.track = originalTrack;
+
+      parser.trackAdBreakEvent(response.adBreaks[0], 'breakStart');
+      recorder.getEntries().should.have.length(1);
+      recorder.getEntries()[0].should.containEql({
+        event: 'breakStart',
+        url: 'http://example.com/preroll-breakstart',
+        source: 'VMAPParser',
+        sent: false
+      });
+    });
+
+    it('should replace the macros of the registry of the VASTParser', () => {
+      const parser = new VMAPParser(new VASTParser());
+      parser.vastParser.macros.set({ GDPRCONSENT: 'abc', ERRORCODE: 1 });
+
+      parser.trackAdBreakEvent(response.adBreaks[0], 'error', {
+        ERRORCODE: 1009
+      });
+      trackCalls[0].variables.should.eql({
+        GDPRCONSENT: 'abc',
+        ERRORCODE: 1009
+      });
+    });
+
+    it('should not track anything without URLs', () => {
+      vmapParser.trackAdBreakEvent(response.adBreaks[1], 'breakStart');
+      trackCalls.should.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { VMAPScheduler } from '../src/vmap_scheduler';
+
+const adBreak = (breakId, offset, repeatAfter = null) => ({
+  breakId,
+  offset,
+  repeatAfter
+});
+
+const breakIds = adBreaks => adBreaks.map(adBreak => adBreak.breakId);
+
+describe('VMAPScheduler', function() {
+  const vmapResponse = {
+    adBreaks: [
+      adBreak('preroll', { type: 'start', value: null }),
+      adBreak('midroll-10', { type: 'time', value: 10 }),
+      adBreak('midroll-repeat', { type: 'time', value: 20 }, 30),
+      adBreak('midroll-50%', { type: 'percent', value: 50 }),
+      adBreak('position-2', { type: 'position', value: 2 }),
+      adBreak('postroll', { type: 'end', value: null })
+    ]
+  };
+  let scheduler = null;
+
+  beforeEach(() => {
+    scheduler = new VMAPScheduler(vmapResponse);
+  });
+
+  describe('#getAdBreaksToPlay', function() {
+    it('should return the preroll at the beginning', () => {
+      breakIds(scheduler.getAdBreaksToPlay(0)).should.eql(['preroll']);
+      scheduler.getAdBreaksToPlay(1).should.eql([]);
+    });
+
+    it('should return an ad break once its offset is crossed', () => {
+      scheduler.getAdBreaksToPlay(0);
+      scheduler.getAdBreaksToPlay(9.5).should.eql([]);
+      breakIds(scheduler.getAdBreaksToPlay(10.2)).should.eql(['midroll-10']);
+      scheduler.getAdBreaksToPlay(11).should.eql([]);
+    });
+
+    it('should return every ad break crossed by a forward seek', () => {
+      breakIds(scheduler.getAdBreaksToPlay(25)).should.eql([
+        'preroll',
+        'midroll-10',
+        'midroll-repeat'
+      ]);
+    });
+
+    it('should repeat ad breaks with a repeatAfter', () => {
+      scheduler.getAdBreaksToPlay(21);
+      scheduler.getAdBreaksToPlay(49).should.eql([]);
+      breakIds(scheduler.getAdBreaksToPlay(50)).should.eql(['midroll-repeat']);
+      breakIds(scheduler.getAdBreaksToPlay(200)).should.eql(['midroll-repeat']);
+    });
+
+    it('should not return ad breaks again when seeking backwards', () => {
+      scheduler.getAdBreaksToPlay(15);
+      scheduler.getAdBreaksToPlay(5).should.eql([]);
+      scheduler.getAdBreaksToPlay(12).should.eql([]);
+    });
+
+    it('should schedule percent offsets once the duration is known', () => {
+      scheduler.getAdBreaksToPlay(0);
+      scheduler.getAdBreaksToPlay(100).should.have.length(2);
+      scheduler.setContentDuration(180);
+      breakIds(scheduler.getAdBreaksToPlay(100)).should.eql(['midroll-50%']);
+    });
+  });
+
+  describe('#getAdBreaksAtEnd', function() {
+    it('should return the postroll only once', () => {
+      breakIds(scheduler.getAdBreaksAtEnd()).should.eql(['postroll']);
+      scheduler.getAdBreaksAtEnd().should.eql([]);
+    });
+  });
+
+  describe('#getAdBreaksAtPosition', function() {
+    it('should return the ad breaks for the given position', () => {
+      scheduler.getAdBreaksAtPosition(1).should.eql([]);
+      breakIds(scheduler.getAdBreaksAtPosition(2)).should.eql(['position-2']);
+      scheduler.getAdBreaksAtPosition(2).should.eql([]);
+    });
+  });
+
+  describe('#reset', function() {
+    it('should make every ad break playable again', () => {
+      scheduler.getAdBreaksToPlay(15);
+      scheduler.getAdBreaksAtEnd();
+      scheduler.reset();
+      breakIds(scheduler.getAdBreaksToPlay(0)).should.eql(['preroll']);
+      breakIds(scheduler.getAdBreaksAtEnd()).should.eql(['postroll']);
+    });
+  });
+});